@@ -1,4 +1,25 @@
 module.exports = {
     "extends": "google",
     "env": { "es6": true, "browser": true },
+    "overrides": [
+        {
+            "files": ["src/static/**/*.js"],
+            "parserOptions": { "sourceType": "module" },
+        },
+        {
+            "files": ["server.js", "server/**/*.js"],
+            "env": { "node": true, "browser": false },
+            // Dynamic import() loads the browser's ES modules.
+            "parserOptions": { "ecmaVersion": 2020 },
+            "rules": {
+                "new-cap": ["error", { "capIsNewExceptions": ["express.Router"] }],
+            },
+        },
+        {
+            "files": ["test/**/*.js"],
+            "env": { "node": true, "browser": false },
+            // The tests use async functions.
+            "parserOptions": { "sourceType": "module", "ecmaVersion": 2020 },
+        },
+    ],
 };
@@ -2,19 +2,40 @@
 // where your node app starts
 
 // init project
-var express = require('express');
-var app = express();
+const express = require('express');
+const path = require('path');
+const {loadGameModules} = require('./server/game-modules.js');
+const {RoomServer} = require('./server/rooms.js');
+const {ScoreStore} = require('./server/score-store.js');
+const {createScoresApi} = require('./server/scores-api.js');
+
+const port = process.env.PORT || 3000;
+const app = express();
 
 // http://expressjs.com/en/starter/static-files.html
-app.use(express.static('src'));
-app.use(express.static('/tmp'));
+app.use(express.static(path.join(__dirname, 'src')));
 
 // http://expressjs.com/en/starter/basic-routing.html
-app.get("/", function (request, response) {
-  response.sendFile(__dirname + '/src/index.html');
+app.get('/', (request, response) => {
+  response.sendFile(path.join(__dirname, 'src', 'index.html'));
 });
 
 // listen for requests :)
-var listener = app.listen(3000, function () {
-  console.log('Your app is listening on port ' + listener.address().port);
+loadGameModules().then(({DIFFICULTY_PRESETS}) => {
+  // The presets' modes are always ranked, however many custom modes there
+  // are.
+  const file = process.env.SCORES_FILE ||
+      path.join(__dirname, 'data', 'scores.json');
+  const store = new ScoreStore(file,
+      {presetModes: Object.keys(DIFFICULTY_PRESETS)});
+  return store.load().then(() => store);
+}).then((store) => {
+  app.use('/api', createScoresApi(store));
+  const listener = app.listen(port, () => {
+    console.log(`Your app is listening on port ${listener.address().port}`);
+  });
+  new RoomServer(listener);
+}).catch((error) => {
+  console.error(`Could not load the leaderboard: ${error.message}`);
+  process.exitCode = 1;
 });
@@ -0,0 +1,36 @@
+const path = require('path');
+const {pathToFileURL} = require('url');
+
+/**
+ * @fileOverview Game modules for the server.
+ * The simulation, difficulty, replay, high score and multiplayer modules are
+ * ES modules shared with the browser, so the server imports them rather than
+ * requiring them.
+ */
+
+/**
+ * The game modules, loaded once.
+ * @private {?Promise<!Object>}
+ */
+let modules_ = null;
+
+/**
+ * Loads the game modules, merging their exports into one object.
+ * @return {!Promise<!Object>}
+ */
+function loadGameModules() {
+  if (!modules_) {
+    const load = (file) => import(pathToFileURL(
+        path.join(__dirname, '..', 'src', 'static', file)).href);
+    modules_ = Promise.all([
+      load('dot-simulation.js'),
+      load('difficulty.js'),
+      load('replay.js'),
+      load('high-scores.js'),
+      load('multiplayer.js'),
+    ]).then((modules) => Object.assign({}, ...modules));
+  }
+  return modules_;
+}
+
+module.exports = {loadGameModules};
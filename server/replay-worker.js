@@ -0,0 +1,20 @@
+const {parentPort, workerData} = require('worker_threads');
+const {loadGameModules} = require('./game-modules.js');
+const {VerificationError, playReplay} = require('./verify-replay.js');
+
+/**
+ * @fileOverview Replay verification worker.
+ * Plays back the replay it was started with, checking it against the
+ * multiplayer round it must be of if there is one, and posts the round the
+ * replay records or the reason it was rejected. verifyReplay() starts one of
+ * these for each replay.
+ */
+
+loadGameModules()
+    .then((modules) => parentPort.postMessage({
+      result: playReplay(workerData.replay, workerData.round, modules),
+    }))
+    .catch((error) => parentPort.postMessage({
+      error: error.message,
+      rejected: error instanceof VerificationError,
+    }));
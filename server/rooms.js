@@ -0,0 +1,653 @@
+const crypto = require('crypto');
+const {WebSocket, WebSocketServer} = require('ws');
+const {loadGameModules} = require('./game-modules.js');
+const {
+  ServerBusyError,
+  VerificationError,
+  verifyReplay,
+} = require('./verify-replay.js');
+
+/** @private @enum {number|string|!RegExp} */
+const options_ = {
+  PATH: '/ws',
+  MIN_PLAYERS: 2,
+  MAX_PLAYERS: 8,
+  ROOM_PATTERN: /^[\w-]{1,32}$/,
+  MAX_NAME_LENGTH: 16,
+  // Claims a player may send in a second. A hit can take several stacked
+  // dots when PROPAGATE_HITS is on, so this is above the replays' limit on
+  // hits.
+  MAX_CLAIMS_PER_SECOND: 40,
+  // Milliseconds players get to send their replays after a round's time
+  // runs out.
+  GRACE_PERIOD: 10000,
+  // Longest round in milliseconds, for rounds that only end when lives run
+  // out. The same as the longest replay the server plays back.
+  MAX_ROUND_DURATION: 3600000,
+  // Bytes in one message, the same as the leaderboard API's body limit.
+  MAX_PAYLOAD: 2 * 1024 * 1024,
+  // Close code for messages that aren't JSON objects.
+  INVALID_MESSAGE_CODE: 1007,
+};
+
+/**
+ * @fileOverview Multiplayer rooms.
+ * Players join a room over a WebSocket. The first player to join creates the
+ * room with their options and mode, and becomes its host. When the host
+ * starts a round, every player gets the same seed and options so they play
+ * the same dots. Players report their score as it changes, and the server
+ * relays the scores to the room. When a player finishes they send the
+ * round's replay, and their final score is the one the server gets from
+ * playing it back, so it can't be made up. Once everyone has finished, the
+ * server declares the winner. In competitive mode, the first player to hit a
+ * dot claims it, and it is removed from everyone else's board. Hit dots
+ * aren't replaced in competitive rooms, and the dots can't speed up with a
+ * player's score, so every board adds the same dots at the same times. The
+ * server plays the round on a board of its own, and only accepts claims for
+ * dots already added to it, or pieces of claimed split dots, at up to
+ * MAX_CLAIMS_PER_SECOND. Replays are played back once everyone has
+ * finished. A claim only stands if the claimer's replay hits the dot, and
+ * the other players' replays are scored as if they never lost the dots whose
+ * claims fell. Players who haven't finished GRACE_PERIOD after the round's
+ * time runs out, or MAX_ROUND_DURATION for rounds played to the last life,
+ * forfeit with a score of 0, so no player can hold up the result.
+ *
+ * Messages are JSON objects with a type. Players send 'join' {room, name,
+ * mode, options}, 'start', 'score' {score}, 'claim' {id}, 'finish' {replay}
+ * and 'leave'. The server sends 'joined' {id, room, mode, options},
+ * 'players' {host, state, canStart, players}, 'start' {seed, options, mode},
+ * 'remove' {id, by}, 'result' {standings, winners} and 'error' {message}.
+ * Sockets that send anything but JSON objects, or messages over
+ * MAX_PAYLOAD, are closed.
+ */
+
+/**
+ * Stages of a room.
+ * @private @enum {string}
+ */
+const RoomState_ = {
+  LOBBY: 'lobby',
+  PLAYING: 'playing',
+  // Everyone has finished, and their replays are being played back.
+  SCORING: 'scoring',
+};
+
+/**
+ * A request a room can't accept.
+ */
+class RoomError extends Error {}
+
+/**
+ * Hosts multiplayer rooms on a WebSocket endpoint of an HTTP server.
+ */
+class RoomServer {
+  /**
+   * @constructor
+   * @param {!http.Server} server
+   */
+  constructor(server) {
+    /** @private {!Map<string, !Object>} Rooms by name. */
+    this.rooms_ = new Map();
+
+    /** @private {number} */
+    this.nextPlayerId_ = 1;
+
+    /** @private {?Object} The game modules, once a player has joined. */
+    this.modules_ = null;
+
+    /** @private {!WebSocketServer} */
+    this.sockets_ = new WebSocketServer({
+      server,
+      path: options_.PATH,
+      maxPayload: options_.MAX_PAYLOAD,
+    });
+    this.sockets_.on('connection', (socket) => this.connect_(socket));
+  }
+
+  /**
+   * Sets up a new connection.
+   * @param {!WebSocket} socket
+   * @private
+   */
+  connect_(socket) {
+    const player = {
+      id: this.nextPlayerId_++,
+      name: '',
+      socket,
+      room: null,
+      score: 0,
+      finished: false,
+      // The replay the player finished the round with.
+      replay: null,
+      // When the player's claims in the last second were made.
+      claimTimes: [],
+    };
+    socket.on('message', (data, binary) =>
+      this.receive_(player, data, binary));
+    socket.on('close', () => this.leave_(player));
+    // ws closes sockets that send frames over MAX_PAYLOAD or break the
+    // protocol, and reports why here.
+    socket.on('error', () => socket.terminate());
+  }
+
+  /**
+   * Handles a message from a player, replying with an error if it can't be
+   * handled. Players who send anything but JSON objects are disconnected.
+   * @param {!Object} player
+   * @param {!Buffer} data
+   * @param {boolean} binary
+   * @private
+   */
+  receive_(player, data, binary) {
+    let message = null;
+    try {
+      message = binary ? null : JSON.parse(data);
+    } catch (e) {
+      // Handled below, along with other messages that aren't objects.
+    }
+    if (!message || typeof message !== 'object' || Array.isArray(message)) {
+      player.socket.close(options_.INVALID_MESSAGE_CODE,
+          'Messages must be JSON objects.');
+      return;
+    }
+
+    Promise.resolve().then(() => {
+      switch (message.type) {
+        case 'join':
+          return this.join_(player, message);
+        case 'start':
+          return this.start_(player);
+        case 'score':
+          return this.updateScore_(player, message.score);
+        case 'finish':
+          return this.finish_(player, message.replay);
+        case 'claim':
+          return this.claim_(player, message.id);
+        case 'leave':
+          return this.leave_(player);
+        default:
+          throw new RoomError('Unknown message type.');
+      }
+    }).catch((error) => {
+      if (!(error instanceof RoomError)) {
+        console.error(error);
+      }
+      this.send_(player, {type: 'error', message: error.message});
+    });
+  }
+
+  /**
+   * Adds a player to a room, creating the room if it doesn't exist.
+   * @param {!Object} player
+   * @param {{room: *, name: *, mode: *, options: *}} message
+   * @return {!Promise}
+   * @private
+   */
+  join_(player, {room: name, name: playerName, mode, options}) {
+    if (typeof name !== 'string' || !options_.ROOM_PATTERN.test(name)) {
+      throw new RoomError(
+          'Room names are up to 32 letters, digits, dashes or underscores.');
+    }
+    if (typeof playerName !== 'string' || !playerName.trim() ||
+        playerName.length > options_.MAX_NAME_LENGTH) {
+      throw new RoomError(
+          `Names are 1 to ${options_.MAX_NAME_LENGTH} characters.`);
+    }
+
+    return loadGameModules().then((modules) => {
+      // A player who left while the modules loaded is gone for good.
+      if (player.socket.readyState !== WebSocket.OPEN) {
+        return;
+      }
+      this.modules_ = modules;
+      if (player.room && player.room.name === name) {
+        throw new RoomError('You are already in this room.');
+      }
+      this.leave_(player);
+
+      let room = this.rooms_.get(name);
+      if (!room) {
+        room = this.createRoom_(name, mode, options, modules);
+      } else if (room.state !== RoomState_.LOBBY) {
+        throw new RoomError('This room is playing a round. Try again soon.');
+      } else if (room.players.length >= options_.MAX_PLAYERS) {
+        throw new RoomError('This room is full.');
+      }
+
+      player.name = playerName.trim();
+      player.room = room;
+      player.score = 0;
+      player.finished = false;
+      player.replay = null;
+      room.players.push(player);
+      this.send_(player, {
+        type: 'joined',
+        id: player.id,
+        room: room.name,
+        mode: room.mode,
+        options: room.options,
+      });
+      this.broadcastPlayers_(room);
+    });
+  }
+
+  /**
+   * Creates a room. Competitive rooms turn REPLACE_HIT_DOTS off, as
+   * replacements appear at different times on each board.
+   * @param {string} name
+   * @param {*} mode
+   * @param {*} options
+   * @param {{RaceMode: !Object<string, string>,
+   *     Progression: !Object<string, string>,
+   *     resolveOptions: function(!Object): !Object}} modules
+   * @return {!Object}
+   * @throws {RoomError} If the mode or options are invalid.
+   * @private
+   */
+  createRoom_(name, mode, options, {RaceMode, Progression, resolveOptions}) {
+    const names = Object.keys(RaceMode).map((key) => RaceMode[key]);
+    if (names.indexOf(mode) === -1) {
+      throw new RoomError(`Mode must be one of ${names.join(', ')}.`);
+    }
+
+    const competitive = mode === RaceMode.COMPETITIVE;
+    const overrides = Object.assign({}, options,
+        competitive ? {REPLACE_HIT_DOTS: false} : {});
+    let resolved;
+    try {
+      resolved = resolveOptions(overrides);
+    } catch (error) {
+      throw new RoomError(error.message);
+    }
+    if (!resolved.ROUND_DURATION && !resolved.LIVES) {
+      throw new RoomError('Multiplayer rounds need a time limit or lives.');
+    }
+    if (competitive && resolved.PROGRESSION === Progression.SCORE) {
+      throw new RoomError('Competitive rounds can\'t ramp up by score, as ' +
+          'each player\'s score is different.');
+    }
+
+    const room = {
+      name,
+      mode,
+      options: overrides,
+      players: [],
+      state: RoomState_.LOBBY,
+      competitive,
+      seed: null,
+      // The server's own board for the round, which claims are checked
+      // against.
+      board: null,
+      // Timer that forfeits the players who haven't finished the round.
+      deadline: null,
+      // The player who claimed each dot, by dot id.
+      claims: new Map(),
+    };
+    this.rooms_.set(name, room);
+    return room;
+  }
+
+  /**
+   * Starts a round for everyone in the host's room.
+   * @param {!Object} player
+   * @private
+   */
+  start_(player) {
+    const room = this.getRoom_(player);
+    if (room.players[0] !== player) {
+      throw new RoomError('Only the host can start the round.');
+    }
+    if (room.state !== RoomState_.LOBBY) {
+      throw new RoomError('The round has already started.');
+    }
+    if (room.players.length < options_.MIN_PLAYERS) {
+      throw new RoomError(
+          `Rounds need at least ${options_.MIN_PLAYERS} players.`);
+    }
+
+    room.state = RoomState_.PLAYING;
+    room.seed = crypto.randomBytes(6).toString('hex');
+    room.claims.clear();
+    room.board = this.createBoard_(room);
+    room.deadline = setTimeout(() => this.forfeit_(room),
+        (room.board.ROUND_DURATION || options_.MAX_ROUND_DURATION) +
+        options_.GRACE_PERIOD);
+    room.players.forEach((other) => {
+      other.score = 0;
+      other.finished = false;
+      other.replay = null;
+      other.claimTimes = [];
+    });
+    this.broadcast_(room, {
+      type: 'start',
+      seed: room.seed,
+      options: room.options,
+      mode: room.mode,
+    });
+    this.broadcastPlayers_(room);
+  }
+
+  /**
+   * Records a player's score during a round. It only stands until their
+   * replay is played back.
+   * @param {!Object} player
+   * @param {*} score
+   * @private
+   */
+  updateScore_(player, score) {
+    const room = this.getRoom_(player);
+    if (room.state !== RoomState_.PLAYING || player.finished) {
+      return;
+    }
+    if (!Number.isInteger(score) || score < 0) {
+      throw new RoomError('Scores must be whole numbers from 0 up.');
+    }
+
+    player.score = score;
+    this.broadcastPlayers_(room);
+  }
+
+  /**
+   * Starts a board that plays the room's round in step with the players'.
+   * Dots never cost lives on it, so it keeps adding them until the round's
+   * time runs out.
+   * @param {!Object} room
+   * @return {!DotSimulation}
+   * @private
+   */
+  createBoard_(room) {
+    const board = new this.modules_.DotSimulation({
+      seed: room.seed,
+      options: Object.assign({}, room.options, {LIVES: 0}),
+    });
+    board.begin();
+    board.tick();
+    return board;
+  }
+
+  /**
+   * Records the replay a player finished the round with. Their final score
+   * is the one it earns when it is played back, once everyone has finished.
+   * @param {!Object} player
+   * @param {*} replay
+   * @private
+   */
+  finish_(player, replay) {
+    const room = this.getRoom_(player);
+    if (room.state !== RoomState_.PLAYING || player.finished) {
+      return;
+    }
+
+    player.replay = replay;
+    player.finished = true;
+    this.broadcastPlayers_(room);
+    this.checkFinished_(room);
+  }
+
+  /**
+   * Gives a dot to the first player to hit it, and removes it from the other
+   * players' boards. Only used in competitive mode. The dot must already be
+   * on the room's board, and the claim stands only if the player's replay
+   * hits it.
+   * @param {!Object} player
+   * @param {*} id The dot's id.
+   * @throws {RoomError} If the player claims too often, or the dot hasn't
+   *     been added yet.
+   * @private
+   */
+  claim_(player, id) {
+    const room = this.getRoom_(player);
+    if (!room.competitive || room.state !== RoomState_.PLAYING ||
+        player.finished || !Number.isInteger(id) || room.claims.has(id)) {
+      return;
+    }
+
+    const now = Date.now();
+    player.claimTimes = player.claimTimes.filter((time) => now - time < 1000);
+    if (player.claimTimes.length >= options_.MAX_CLAIMS_PER_SECOND) {
+      throw new RoomError(`Players can't claim more than ` +
+          `${options_.MAX_CLAIMS_PER_SECOND} dots a second.`);
+    }
+    player.claimTimes.push(now);
+
+    const board = room.board;
+    board.tick(Infinity);
+    const parent = Math.floor((-id - 1) / board.SPLIT_DOT_COUNT);
+    if (id >= 0 ? id >= board.dotsAdded : !room.claims.has(parent)) {
+      throw new RoomError('That dot isn\'t on the board yet.');
+    }
+
+    room.claims.set(id, player.id);
+    room.players
+        .filter((other) => other !== player)
+        .forEach((other) => this.send_(other, {
+          type: 'remove',
+          id,
+          by: player.id,
+        }));
+  }
+
+  /**
+   * Ends a round that is past its deadline. Players who haven't finished
+   * forfeit, and score 0.
+   * @param {!Object} room
+   * @private
+   */
+  forfeit_(room) {
+    room.deadline = null;
+    if (room.state !== RoomState_.PLAYING) {
+      return;
+    }
+
+    room.players
+        .filter((player) => !player.finished)
+        .forEach((player) => {
+          player.finished = true;
+          player.replay = null;
+          this.send_(player, {
+            type: 'error',
+            message: 'You ran out of time to finish the round, so you ' +
+                'score 0.',
+          });
+        });
+    this.score_(room);
+  }
+
+  /**
+   * Removes a player from their room, passing the host role on and closing
+   * the room once it is empty.
+   * @param {!Object} player
+   * @private
+   */
+  leave_(player) {
+    const room = player.room;
+    if (!room) {
+      return;
+    }
+
+    player.room = null;
+    room.players = room.players.filter((other) => other !== player);
+    if (!room.players.length) {
+      clearTimeout(room.deadline);
+      this.rooms_.delete(room.name);
+      return;
+    }
+    this.broadcastPlayers_(room);
+    this.checkFinished_(room);
+  }
+
+  /**
+   * Scores the round once every player in it has finished.
+   * @param {!Object} room
+   * @private
+   */
+  checkFinished_(room) {
+    if (room.state === RoomState_.PLAYING &&
+        room.players.every((player) => player.finished)) {
+      this.score_(room);
+    }
+  }
+
+  /**
+   * Plays back every player's replay, then declares the winner and returns
+   * the room to the lobby for a rematch. The replays are first played with
+   * every other player's claims removable, which shows the dots each player
+   * really hit. Claims of dots the claimer's replay doesn't hit fall, and
+   * the replays that removed those dots are played again without the
+   * removals. A replay that can't be verified scores 0.
+   * @param {!Object} room
+   * @return {!Promise}
+   * @private
+   */
+  score_(room) {
+    room.state = RoomState_.SCORING;
+    room.board = null;
+    clearTimeout(room.deadline);
+    room.deadline = null;
+    this.broadcastPlayers_(room);
+
+    const players = room.players.slice();
+    const claims = Array.from(room.claims.keys());
+    const verify = (player, dropped) => this.verify_(player, {
+      seed: room.seed,
+      options: room.options,
+      removable: claims.filter((id) => room.claims.get(id) !== player.id &&
+          dropped.indexOf(id) === -1),
+      dropped,
+    });
+
+    return Promise.all(players.map((player) => verify(player, [])))
+        .then((results) => {
+          const hits = new Map(players.map((player, i) =>
+            [player.id, results[i] ? results[i].hits : []]));
+          const fallen = claims.filter((id) => {
+            const claimer = hits.get(room.claims.get(id));
+            return !claimer || claimer.indexOf(id) === -1;
+          });
+
+          return Promise.all(players.map((player, i) => {
+            const dropped = results[i] ? fallen.filter((id) =>
+              player.replay.inputs.some(([, type, removed]) =>
+                type === 'remove' && removed === id)) : [];
+            return dropped.length ? verify(player, dropped) : results[i];
+          }));
+        })
+        .then((results) => {
+          players.forEach((player, i) => {
+            if (player.room === room) {
+              player.score = results[i] ? results[i].score : 0;
+            }
+          });
+          this.declareResult_(room);
+        });
+  }
+
+  /**
+   * Plays back the replay a player finished a round with, telling them if
+   * it can't be verified.
+   * @param {!Object} player
+   * @param {{seed: string, options: !Object, removable: !Array<number>,
+   *     dropped: !Array<number>}} round
+   * @return {!Promise<?{score: number, hits: !Array<number>}>} What the
+   *     replay earns, or null if it can't be verified or the player
+   *     forfeited.
+   * @private
+   */
+  verify_(player, round) {
+    if (player.replay === null) {
+      return Promise.resolve(null);
+    }
+    return verifyReplay(player.replay, round).catch((error) => {
+      if (!(error instanceof VerificationError ||
+          error instanceof ServerBusyError)) {
+        console.error(error);
+      }
+      this.send_(player, {
+        type: 'error',
+        message: `Your score couldn't be verified: ${error.message}`,
+      });
+      return null;
+    });
+  }
+
+  /**
+   * Sends everyone in a scored round the standings and winners, and returns
+   * the room to the lobby.
+   * @param {!Object} room
+   * @private
+   */
+  declareResult_(room) {
+    if (!room.players.length) {
+      return;
+    }
+
+    const standings = room.players
+        .map(({id, name, score}) => ({id, name, score}))
+        .sort((a, b) => b.score - a.score);
+    const best = standings[0].score;
+    room.state = RoomState_.LOBBY;
+    this.broadcast_(room, {
+      type: 'result',
+      standings,
+      winners: standings
+          .filter((player) => player.score === best)
+          .map((player) => player.id),
+    });
+    this.broadcastPlayers_(room);
+  }
+
+  /**
+   * Returns the player's room.
+   * @param {!Object} player
+   * @return {!Object}
+   * @throws {RoomError} If the player hasn't joined a room.
+   * @private
+   */
+  getRoom_(player) {
+    if (!player.room) {
+      throw new RoomError('Join a room first.');
+    }
+    return player.room;
+  }
+
+  /**
+   * Sends everyone in a room the list of players and their scores.
+   * @param {!Object} room
+   * @private
+   */
+  broadcastPlayers_(room) {
+    this.broadcast_(room, {
+      type: 'players',
+      host: room.players[0].id,
+      state: room.state,
+      canStart: room.state === RoomState_.LOBBY &&
+          room.players.length >= options_.MIN_PLAYERS,
+      players: room.players.map(({id, name, score, finished}) =>
+        ({id, name, score, finished})),
+    });
+  }
+
+  /**
+   * Sends a message to everyone in a room.
+   * @param {!Object} room
+   * @param {!Object} message
+   * @private
+   */
+  broadcast_(room, message) {
+    room.players.forEach((player) => this.send_(player, message));
+  }
+
+  /**
+   * Sends a message to one player, if they are still connected.
+   * @param {!Object} player
+   * @param {!Object} message
+   * @private
+   */
+  send_(player, message) {
+    if (player.socket.readyState === WebSocket.OPEN) {
+      player.socket.send(JSON.stringify(message));
+    }
+  }
+}
+
+module.exports = {RoomServer};
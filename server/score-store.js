@@ -0,0 +1,159 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * A score for a new mode, when the leaderboard already has as many modes as
+ * it keeps.
+ */
+class ModeLimitError extends Error {}
+
+/**
+ * @fileOverview Leaderboard storage.
+ * Keeps every mode's scores in memory, ranked from best to worst, and writes
+ * them to a JSON file after each change. Writes are queued so they never
+ * overlap, and each one replaces the file in a single rename. Each mode
+ * keeps its best scores, and modes other than the presets are capped, so
+ * the file can't grow without limit.
+ */
+class ScoreStore {
+  /**
+   * @constructor
+   * @param {string} file Path of the JSON file holding the scores.
+   * @param {{
+   *   maxPerMode: (number|undefined),
+   *   maxModes: (number|undefined),
+   *   presetModes: (!Array<string>|undefined),
+   * }=} config Most scores kept for each mode, most modes kept, and modes
+   *     that are always kept without counting towards maxModes.
+   */
+  constructor(file, {maxPerMode = 1000, maxModes = 100,
+    presetModes = []} = {}) {
+    /** @private {string} */
+    this.file_ = file;
+
+    /** @private {number} */
+    this.maxPerMode_ = maxPerMode;
+
+    /** @private {number} */
+    this.maxModes_ = maxModes;
+
+    /** @private {!Set<string>} */
+    this.presetModes_ = new Set(presetModes);
+
+    /**
+     * @private {!Map<string, !Array<!Object>>} A Map, so modes named after
+     *     Object's properties, such as 'constructor', start out empty.
+     */
+    this.modes_ = new Map();
+
+    /** @private {!Promise} The last queued write. */
+    this.writing_ = Promise.resolve();
+  }
+
+  /**
+   * Reads the scores from the file. A missing file is an empty leaderboard.
+   * @return {!Promise}
+   */
+  load() {
+    return new Promise((resolve, reject) => {
+      fs.readFile(this.file_, 'utf8', (error, json) => {
+        if (error && error.code === 'ENOENT') {
+          resolve();
+        } else if (error) {
+          reject(error);
+        } else {
+          try {
+            this.modes_ = new Map(Object.entries(JSON.parse(json)));
+            resolve();
+          } catch (e) {
+            reject(new Error(`${this.file_} is not valid JSON.`));
+          }
+        }
+      });
+    });
+  }
+
+  /**
+   * Returns the modes that have scores.
+   * @return {!Array<string>}
+   */
+  getModes() {
+    return Array.from(this.modes_.keys());
+  }
+
+  /**
+   * Adds a score to a mode's ranking and saves the leaderboard.
+   * @param {string} mode
+   * @param {!Object} score A validated score.
+   * @return {!Promise<{score: !Object, rank: ?number}>} The stored score and
+   *     its rank, starting at 1, or null if it didn't make the ranking.
+   * @throws {ModeLimitError} If the mode is new and the leaderboard already
+   *     has maxModes modes.
+   */
+  add(mode, score) {
+    if (!this.modes_.has(mode) && !this.presetModes_.has(mode) &&
+        this.getModes().filter((other) => !this.presetModes_.has(other))
+            .length >= this.maxModes_) {
+      return Promise.reject(new ModeLimitError(
+          'The leaderboard has no room for scores with these options.'));
+    }
+
+    const entry = Object.assign({date: new Date().toISOString()}, score);
+    const scores = (this.modes_.get(mode) || []).concat(entry)
+        .sort((a, b) => b.score - a.score || a.date.localeCompare(b.date))
+        .slice(0, this.maxPerMode_);
+    const i = scores.indexOf(entry);
+
+    this.modes_.set(mode, scores);
+    return this.save_().then(() => ({
+      score: entry,
+      rank: i > -1 ? i + 1 : null,
+    }));
+  }
+
+  /**
+   * Returns a page of a mode's ranking.
+   * @param {string} mode
+   * @param {{limit: number, offset: number}} page
+   * @return {{total: number, scores: !Array<!Object>}} Scores with their
+   *     rank, starting at 1.
+   */
+  list(mode, {limit, offset}) {
+    const scores = this.modes_.get(mode) || [];
+    return {
+      total: scores.length,
+      scores: scores.slice(offset, offset + limit).map((score, i) =>
+        Object.assign({rank: offset + i + 1}, score)),
+    };
+  }
+
+  /**
+   * Queues a write of the leaderboard to the file.
+   * @return {!Promise}
+   * @private
+   */
+  save_() {
+    const json = JSON.stringify(Object.fromEntries(this.modes_));
+    const temp = `${this.file_}.tmp`;
+    this.writing_ = this.writing_.catch(() => {}).then(() =>
+      new Promise((resolve, reject) => {
+        fs.mkdir(path.dirname(this.file_), {recursive: true}, (error) => {
+          if (error) {
+            reject(error);
+            return;
+          }
+          fs.writeFile(temp, json, (error) => {
+            if (error) {
+              reject(error);
+              return;
+            }
+            fs.rename(temp, this.file_, (error) => error ?
+                reject(error) : resolve());
+          });
+        });
+      }));
+    return this.writing_;
+  }
+}
+
+module.exports = {ModeLimitError, ScoreStore};
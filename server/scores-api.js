@@ -0,0 +1,161 @@
+const express = require('express');
+const {ModeLimitError} = require('./score-store.js');
+const {
+  ServerBusyError,
+  VerificationError,
+  verifyReplay,
+} = require('./verify-replay.js');
+
+/** @private @enum {number|string|!RegExp} */
+const options_ = {
+  DEFAULT_MODE: 'normal',
+  DEFAULT_LIMIT: 10,
+  MAX_LIMIT: 100,
+  MAX_BODY_SIZE: '2mb',
+  MODE_PATTERN: /^[a-z0-9-]{1,40}$/,
+  INITIALS_PATTERN: /^[A-Z]{1,3}$/,
+  // Seconds a client is asked to wait when the server is too busy to verify
+  // its score.
+  RETRY_AFTER: 10,
+};
+
+/**
+ * @fileOverview Leaderboard REST API.
+ *
+ * POST /api/scores with a JSON body of {initials, replay} plays the replay
+ * back to verify its score, adds the score to its mode's ranking, and
+ * responds 201 with the stored score and its rank. Replays that don't earn
+ * their score get a 422 response, and a 503 response means too many
+ * replays are waiting to be verified, so the client should try again later.
+ * Scores for a new mode get a 507 response once the leaderboard has as many
+ * modes as it keeps.
+ *
+ * GET /api/scores?mode=&limit=&offset= responds with a page of a mode's
+ * ranking, best first.
+ *
+ * A mode is the name of a high score table: a difficulty preset, or
+ * "custom-" and a hash of the options. Invalid requests get a 400 response
+ * with an error message.
+ */
+
+/**
+ * An invalid request.
+ */
+class ValidationError extends Error {}
+
+/**
+ * Parses an optional whole number query parameter.
+ * @param {string|undefined} value
+ * @param {string} name
+ * @param {number} fallback Used when the parameter is missing.
+ * @param {number} min
+ * @param {number} max
+ * @return {number}
+ * @throws {ValidationError} If the value isn't a whole number in range.
+ * @private
+ */
+function parseInteger_(value, name, fallback, min, max) {
+  if (value === undefined) {
+    return fallback;
+  }
+  const number = Number(value);
+  if (!/^\d+$/.test(value) || number < min || number > max) {
+    throw new ValidationError(
+        `${name} must be a whole number from ${min} to ${max}.`);
+  }
+  return number;
+}
+
+/**
+ * Checks a mode name.
+ * @param {*} mode
+ * @return {string}
+ * @throws {ValidationError} If the mode is malformed.
+ * @private
+ */
+function validateMode_(mode) {
+  if (typeof mode !== 'string' || !options_.MODE_PATTERN.test(mode)) {
+    throw new ValidationError(
+        'mode must be up to 40 lowercase letters, digits or dashes.');
+  }
+  return mode;
+}
+
+/**
+ * Checks a submitted score. The replay is checked when it is played back.
+ * @param {*} body
+ * @return {{initials: string, replay: *}}
+ * @throws {ValidationError} If the submission is malformed.
+ */
+function validateSubmission(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new ValidationError('Score must be a JSON object.');
+  }
+
+  const {initials, replay} = body;
+  if (typeof initials !== 'string' ||
+      !options_.INITIALS_PATTERN.test(initials)) {
+    throw new ValidationError('initials must be one to three capital letters.');
+  }
+  if (replay === undefined) {
+    throw new ValidationError('replay is missing.');
+  }
+
+  return {initials, replay};
+}
+
+/**
+ * Returns a router serving the leaderboard API.
+ * @param {!ScoreStore} store
+ * @return {!express.Router}
+ */
+function createScoresApi(store) {
+  const router = express.Router();
+  router.use(express.json({limit: options_.MAX_BODY_SIZE}));
+
+  router.get('/scores', (request, response) => {
+    const mode = validateMode_(request.query.mode || options_.DEFAULT_MODE);
+    const limit = parseInteger_(request.query.limit, 'limit',
+        options_.DEFAULT_LIMIT, 1, options_.MAX_LIMIT);
+    const offset = parseInteger_(request.query.offset, 'offset', 0, 0,
+        Number.MAX_SAFE_INTEGER);
+    const page = store.list(mode, {limit, offset});
+    response.json({
+      mode,
+      total: page.total,
+      limit,
+      offset,
+      scores: page.scores,
+    });
+  });
+
+  router.post('/scores', (request, response, next) => {
+    const {initials, replay} = validateSubmission(request.body);
+    verifyReplay(replay)
+        .then(({mode, score, accuracy, seed}) =>
+          store.add(mode, {initials, score, accuracy, seed})
+              .then((result) => response.status(201).json(
+                  Object.assign({mode}, result))))
+        .catch(next);
+  });
+
+  router.use((error, request, response, next) => {
+    if (error instanceof ValidationError ||
+        error.type === 'entity.parse.failed') {
+      response.status(400).json({error: error.message});
+    } else if (error instanceof VerificationError) {
+      response.status(422).json({error: error.message});
+    } else if (error instanceof ModeLimitError) {
+      response.status(507).json({error: error.message});
+    } else if (error instanceof ServerBusyError) {
+      response.set('Retry-After', String(options_.RETRY_AFTER));
+      response.status(503).json({error: error.message});
+    } else {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = {ValidationError, createScoresApi, validateSubmission};
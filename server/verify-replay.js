@@ -0,0 +1,293 @@
+const path = require('path');
+const {Worker} = require('worker_threads');
+
+/** @private @enum {number|string} */
+const options_ = {
+  MAX_HITS_PER_SECOND: 20,
+  MAX_BOARD_SIZE: 10000,
+  MAX_DURATION: 3600000,
+  // Shortest leaderboard round in milliseconds.
+  MIN_DURATION: 10000,
+  MAX_DOTS: 1000,
+  // Milliseconds a replay worker gets before it is stopped.
+  TIMEOUT: 10000,
+  MAX_WORKER_MEMORY_MB: 64,
+  // Replay workers run at once. Others wait their turn, up to MAX_QUEUED.
+  MAX_WORKERS: 2,
+  MAX_QUEUED: 16,
+  WORKER_FILE: path.join(__dirname, 'replay-worker.js'),
+};
+
+/**
+ * Replays waiting for a worker, oldest first. Each starts its worker and
+ * resolves once the worker has answered or been stopped.
+ * @private {!Array<function(): !Promise>}
+ */
+const queue_ = [];
+
+/**
+ * Number of replay workers running.
+ * @private {number}
+ */
+let running_ = 0;
+
+/**
+ * @fileOverview Leaderboard score verification.
+ * Plays a submitted replay back through the same DotSimulation and scoring
+ * strategies the browser uses, so a score is only accepted if the recorded
+ * inputs really earn it. Inputs no person could make, such as more than
+ * MAX_HITS_PER_SECOND clicks in a second or clicks off the board, are
+ * rejected before the replay is run. Multiplayer rounds are checked the same
+ * way, against the room's seed and options. Each replay is played in its own
+ * replay-worker.js thread, which is stopped if it runs for longer than
+ * TIMEOUT, so no replay can hold up the server. No more than MAX_WORKERS
+ * threads run at once, and replays sent while MAX_QUEUED are already
+ * waiting are turned away, so a burst of submissions can't use up the
+ * host's memory or processors.
+ */
+
+/**
+ * A replay that doesn't earn the score it claims.
+ */
+class VerificationError extends Error {}
+
+/**
+ * A replay turned away because too many are waiting to be played back.
+ */
+class ServerBusyError extends Error {}
+
+/**
+ * Checks that the inputs are ones a person could make.
+ * @param {!Array<!Array>} inputs
+ * @param {!Object<string, !OptionSpec>} specs The simulation's option specs.
+ * @param {?{removable: !Array<number>}} round The multiplayer round, if
+ *     any.
+ * @throws {VerificationError} If an input is impossible.
+ * @private
+ */
+function checkInputs_(inputs, specs, round) {
+  const removable = new Set(round ? round.removable : []);
+  const hitTimes = [];
+  let width = 0;
+  let height = 0;
+
+  inputs.forEach(([time, type, ...args], i) => {
+    switch (type) {
+      case 'resize':
+        [width, height] = args;
+        if (width <= 0 || height <= 0 || width > options_.MAX_BOARD_SIZE ||
+            height > options_.MAX_BOARD_SIZE) {
+          throw new VerificationError(`Input ${i} resizes the board to an ` +
+              `impossible size.`);
+        }
+        break;
+      case 'speed':
+        if (args[0] < specs.SPEED.min || args[0] > specs.SPEED.max) {
+          throw new VerificationError(`Input ${i} sets an impossible speed.`);
+        }
+        break;
+      case 'remove':
+        if (!round) {
+          throw new VerificationError('Multiplayer rounds can\'t be ranked.');
+        }
+        if (!removable.has(args[0])) {
+          throw new VerificationError(`Input ${i} removes a dot no other ` +
+              `player took.`);
+        }
+        break;
+      case 'hit':
+        if (args[0] < 0 || args[1] < 0 || args[0] > width ||
+            args[1] > height) {
+          throw new VerificationError(`Input ${i} clicks off the board.`);
+        }
+        hitTimes.push(time);
+        if (hitTimes.length > options_.MAX_HITS_PER_SECOND &&
+            time - hitTimes[hitTimes.length - 1 -
+                options_.MAX_HITS_PER_SECOND] < 1000) {
+          throw new VerificationError(`Input ${i} clicks faster than ` +
+              `${options_.MAX_HITS_PER_SECOND} times a second.`);
+        }
+        break;
+    }
+  });
+}
+
+/**
+ * Plays a replay back and returns the round it records. Rounds must end by
+ * themselves, through a time limit or lives, and stay under MAX_DURATION
+ * and MAX_DOTS, so playing one back takes a bounded amount of work.
+ * Leaderboard rounds must also last MIN_DURATION, so a flood of instant
+ * rounds can't fill the leaderboard with new modes.
+ * @param {*} replay A replay log from DotSimulation.getReplay().
+ * @param {?{seed: string, options: !Object, removable: !Array<number>,
+ *     dropped: !Array<number>}} round The multiplayer round the replay must
+ *     be of: its seed, its options, the ids of the dots other players took,
+ *     which are the only ones it may remove, and the ids of dots other
+ *     players claimed without hitting them. Removals of those are left out,
+ *     and the replay scores whatever it earns without them. Null for a
+ *     leaderboard round.
+ * @param {!Object} modules The game modules.
+ * @return {{mode: string, score: number, accuracy: number, seed: string,
+ *     hits: !Array<number>}} The round's high score table, score, accuracy
+ *     and seed, and the ids of the dots hit.
+ * @throws {VerificationError} If the replay is malformed, impossible, or
+ *     doesn't earn its score.
+ */
+function playReplay(replay, round, {
+  DotSimulation,
+  GameState,
+  OPTION_SPECS,
+  ReplayPlayer,
+  getHighScoreTable,
+  resolveOptions,
+  validateReplay,
+}) {
+  let simulation;
+  let player;
+  let played;
+  try {
+    validateReplay(replay);
+    const dropped = new Set(round ? round.dropped : []);
+    played = Object.assign({}, replay, {
+      inputs: replay.inputs.filter(([, type, id]) =>
+        type !== 'remove' || !dropped.has(id)),
+    });
+    simulation = new DotSimulation({
+      seed: replay.seed,
+      clock: () => 0,
+      options: replay.options || {},
+    });
+    player = new ReplayPlayer(played, simulation);
+  } catch (error) {
+    throw new VerificationError(error.message);
+  }
+  if (round) {
+    const options = resolveOptions(round.options);
+    const actual = simulation.getOptions();
+    if (replay.seed !== round.seed || Object.keys(OPTION_SPECS).some(
+        (name) => actual[name] !== options[name])) {
+      throw new VerificationError('Replay is of a different round.');
+    }
+  }
+  if (!simulation.ROUND_DURATION && !simulation.LIVES) {
+    throw new VerificationError('Rounds without a time limit or lives ' +
+        'can\'t be ranked.');
+  }
+  checkInputs_(played.inputs, OPTION_SPECS, round);
+
+  const hits = [];
+  simulation.on('score', ({dot}) => hits.push(dot.id));
+  simulation.on('bomb', ({dot}) => hits.push(dot.id));
+  simulation.begin();
+  while (simulation.state === GameState.PLAYING &&
+      simulation.time < options_.MAX_DURATION) {
+    simulation.update(simulation.STEP_DURATION);
+    if (simulation.dotCount > options_.MAX_DOTS) {
+      throw new VerificationError(`Replay has more than ` +
+          `${options_.MAX_DOTS} dots on the board.`);
+    }
+  }
+
+  if (simulation.state !== GameState.FINISHED) {
+    throw new VerificationError('Replay never finishes.');
+  }
+  if (!round && simulation.time < options_.MIN_DURATION) {
+    throw new VerificationError(`Rounds shorter than ` +
+        `${options_.MIN_DURATION / 1000} seconds can't be ranked.`);
+  }
+  if (!player.done) {
+    throw new VerificationError('Replay has inputs after the round ended.');
+  }
+  if (played.inputs.length === replay.inputs.length &&
+      simulation.score !== replay.score) {
+    throw new VerificationError(`Replay scores ${simulation.score}, not ` +
+        `${replay.score}.`);
+  }
+
+  return {
+    mode: getHighScoreTable(simulation.getOptions()),
+    score: simulation.score,
+    accuracy: simulation.getAccuracy(),
+    seed: simulation.seed,
+    hits,
+  };
+}
+
+/**
+ * Plays a replay back in a replay worker and returns the round it records.
+ * @param {*} replay
+ * @param {?{seed: string, options: !Object, removable: !Array<number>,
+ *     dropped: !Array<number>}} round
+ * @return {!Promise<{mode: string, score: number, accuracy: number,
+ *     seed: string, hits: !Array<number>}>}
+ * @private
+ */
+function playInWorker_(replay, round) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(options_.WORKER_FILE, {
+      workerData: {replay, round},
+      resourceLimits: {maxOldGenerationSizeMb: options_.MAX_WORKER_MEMORY_MB},
+    });
+    const settle = (callback, value) => {
+      clearTimeout(timeout);
+      worker.terminate();
+      callback(value);
+    };
+    const timeout = setTimeout(() => settle(reject, new VerificationError(
+        'Replay takes too long to play back.')), options_.TIMEOUT);
+
+    worker.on('message', ({result, error, rejected}) => {
+      if (result) {
+        settle(resolve, result);
+      } else {
+        settle(reject, rejected ? new VerificationError(error) :
+            new Error(error));
+      }
+    });
+    worker.on('error', (error) => settle(reject, error));
+    worker.on('exit', () => settle(reject,
+        new Error('Replay worker stopped without an answer.')));
+  });
+}
+
+/**
+ * Starts the replays at the front of the queue while workers are free.
+ * @private
+ */
+function runQueue_() {
+  while (running_ < options_.MAX_WORKERS && queue_.length) {
+    running_++;
+    queue_.shift()().then(() => {
+      running_--;
+      runQueue_();
+    });
+  }
+}
+
+/**
+ * Plays a replay back in a replay worker and returns the round it records.
+ * The replay waits for a free worker first.
+ * @param {*} replay A replay log from DotSimulation.getReplay().
+ * @param {?{seed: string, options: !Object, removable: !Array<number>,
+ *     dropped: !Array<number>}=} round The multiplayer round the replay
+ *     must be of, if any.
+ * @return {!Promise<{mode: string, score: number, accuracy: number,
+ *     seed: string, hits: !Array<number>}>} The round's high score table,
+ *     score, accuracy and seed, and the ids of the dots hit.
+ * @throws {VerificationError} If the replay is malformed, impossible,
+ *     doesn't earn its score, or takes too long to play back.
+ * @throws {ServerBusyError} If MAX_QUEUED replays are already waiting.
+ */
+function verifyReplay(replay, round = null) {
+  if (queue_.length >= options_.MAX_QUEUED) {
+    return Promise.reject(new ServerBusyError(
+        'Too many scores are being verified. Try again soon.'));
+  }
+
+  return new Promise((resolve, reject) => {
+    queue_.push(() => playInWorker_(replay, round).then(resolve, reject));
+    runQueue_();
+  });
+}
+
+module.exports = {ServerBusyError, VerificationError, playReplay, verifyReplay};
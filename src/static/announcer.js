@@ -0,0 +1,86 @@
+/** @private @enum {number} */
+const options_ = {
+  // Minimum milliseconds between routine announcements.
+  INTERVAL: 2000,
+};
+
+/**
+ * @fileOverview Dot Game screen reader announcements.
+ * Writes messages into an ARIA live region. Routine updates such as the
+ * score change many times a second, so they are throttled to the latest one
+ * every INTERVAL milliseconds; important events are announced right away.
+ */
+export class Announcer {
+  /**
+   * @constructor
+   * @param {!Element} element An element with aria-live set.
+   */
+  constructor(element) {
+    /** @private {!Element} */
+    this.element_ = element;
+
+    /** @private {?string} The latest routine message not yet announced. */
+    this.pending_ = null;
+
+    /** @private {?number} */
+    this.timeout_ = null;
+  }
+
+  /**
+   * Returns the minimum milliseconds between routine announcements.
+   * @return {number}
+   */
+  get INTERVAL() {
+    return options_.INTERVAL;
+  }
+
+  /**
+   * Announces a message right away, replacing any routine message waiting
+   * to be announced.
+   * @param {string} message
+   */
+  announce(message) {
+    this.pending_ = null;
+    this.write_(message);
+  }
+
+  /**
+   * Announces a routine message, unless a newer one replaces it before the
+   * next announcement is due.
+   * @param {string} message
+   */
+  update(message) {
+    this.pending_ = message;
+    if (this.timeout_ === null) {
+      this.flush_();
+    }
+  }
+
+  /**
+   * Announces the pending routine message, if any, and waits INTERVAL
+   * before announcing the next one.
+   * @private
+   */
+  flush_() {
+    if (this.pending_ === null) {
+      this.timeout_ = null;
+      return;
+    }
+
+    this.write_(this.pending_);
+    this.pending_ = null;
+    this.timeout_ = setTimeout(() => this.flush_(), this.INTERVAL);
+  }
+
+  /**
+   * Writes a message into the live region.
+   * @param {string} message
+   * @private
+   */
+  write_(message) {
+    // Screen readers skip text that hasn't changed, so repeats get a
+    // trailing space.
+    this.element_.textContent = this.element_.textContent === message ?
+        `${message} ` : message;
+  }
+}
@@ -0,0 +1,575 @@
+import {DotType} from './dot-simulation.js';
+import {EffectType} from './effects.js';
+import {DEFAULT_THEME, THEMES} from './themes.js';
+
+/** @private @enum {number|string} */
+const options_ = {
+  DOT_START_ANGLE: 0,
+  DOT_END_ANGLE: Math.PI / 180 * 360,
+  DIVIDER_WIDTH: 2,
+  CROSSHAIR_SIZE: 12,
+  CROSSHAIR_WIDTH: 3,
+  MIN_GLYPH_RADIUS: 8,
+  GLYPH_FONT: 'bold {size}px {font}',
+  POPUP_FONT: 'bold 20px {font}',
+  // Where a dot's gradient highlight sits, as a fraction of its radius up
+  // and left of its center.
+  GRADIENT_OFFSET: 0.4,
+  RIPPLE_WIDTH: 2,
+  // Past this many dots on a board, dots are drawn in batches by style
+  // rather than one at a time.
+  BATCH_THRESHOLD: 100,
+};
+
+/**
+ * Marks for special dots that don't depend on color: a glyph drawn in the
+ * middle, and the dash pattern of the stroke.
+ * @private @const {!Object<!DotType, {glyph: string,
+ *     dash: (!Array<number>|undefined)}>}
+ */
+const DOT_MARKS_ = {
+  [DotType.BONUS]: {glyph: '★'},
+  [DotType.BOMB]: {glyph: '✕'},
+  [DotType.FREEZE]: {glyph: '❄\uFE0E'},
+  [DotType.SPLIT]: {glyph: '÷', dash: [4, 3]},
+};
+
+/**
+ * @fileOverview Dot Game canvas renderer.
+ * Draws a DotSimulation onto a canvas element in the colors of a Theme.
+ * It can also draw onto an OffscreenCanvas in a worker, which has no layout
+ * to measure, so its size is set with setBoardSize() instead.
+ */
+export class CanvasRenderer {
+  /**
+   * @constructor
+   * @param {!HTMLCanvasElement|!OffscreenCanvas} board
+   */
+  constructor(board) {
+    /** @private {!HTMLCanvasElement|!OffscreenCanvas} */
+    this.board_ = board;
+
+    /**
+     * @private {!CanvasRenderingContext2D|!OffscreenCanvasRenderingContext2D}
+     */
+    this.ctx_ = this.board_.getContext('2d');
+
+    /** @private {number} */
+    this.boardWidth_ = 0;
+
+    /** @private {number} */
+    this.boardHeight_ = 0;
+
+    /** @private {!Theme} */
+    this.theme_ = THEMES[DEFAULT_THEME];
+  }
+
+  /**
+   * Returns the color of the dot stroke.
+   * @return {string}
+   */
+  get STROKE_COLOR() {
+    return this.theme_.dots.stroke;
+  }
+
+  /**
+   * Returns the dot fill colors, for the smallest dots first.
+   * @return {!Array<string>}
+   */
+  get DOT_FILL_COLORS() {
+    return this.theme_.dots.fills;
+  }
+
+  /**
+   * Returns the starting angle in radians for drawing a dot.
+   * @return {number}
+   */
+  get DOT_START_ANGLE() {
+    return options_.DOT_START_ANGLE;
+  }
+
+  /**
+   * Returns the ending angle in radians for drawing a dot.
+   * @return {number}
+   */
+  get DOT_END_ANGLE() {
+    return options_.DOT_END_ANGLE;
+  }
+
+  /**
+   * Returns the color laid over the board while the dots are frozen.
+   * @return {string}
+   */
+  get FROZEN_BOARD_COLOR() {
+    return this.theme_.board.frozen;
+  }
+
+  /**
+   * Returns the color of the line between boards drawn side by side.
+   * @return {string}
+   */
+  get DIVIDER_COLOR() {
+    return this.theme_.board.divider;
+  }
+
+  /**
+   * Returns the width of the line between boards drawn side by side.
+   * @return {number}
+   */
+  get DIVIDER_WIDTH() {
+    return options_.DIVIDER_WIDTH;
+  }
+
+  /**
+   * Returns the size of the keyboard crosshair in pixels.
+   * @return {number}
+   */
+  get CROSSHAIR_SIZE() {
+    return options_.CROSSHAIR_SIZE;
+  }
+
+  /**
+   * Returns the line width of the keyboard crosshair.
+   * @return {number}
+   */
+  get CROSSHAIR_WIDTH() {
+    return options_.CROSSHAIR_WIDTH;
+  }
+
+  /**
+   * Returns the smallest dot radius that is marked with a glyph.
+   * @return {number}
+   */
+  get MIN_GLYPH_RADIUS() {
+    return options_.MIN_GLYPH_RADIUS;
+  }
+
+  /**
+   * Returns the font for dot glyphs, with {size} standing for the size.
+   * @return {string}
+   */
+  get GLYPH_FONT() {
+    return options_.GLYPH_FONT.replace('{font}', this.theme_.font);
+  }
+
+  /**
+   * Returns the font for floating score popups.
+   * @return {string}
+   */
+  get POPUP_FONT() {
+    return options_.POPUP_FONT.replace('{font}', this.theme_.font);
+  }
+
+  /**
+   * Returns the number of dots on a board past which they are drawn in
+   * batches.
+   * @return {number}
+   */
+  get BATCH_THRESHOLD() {
+    return options_.BATCH_THRESHOLD;
+  }
+
+  /**
+   * Returns how far up and left of a dot's center its gradient highlight
+   * sits, as a fraction of its radius.
+   * @return {number}
+   */
+  get GRADIENT_OFFSET() {
+    return options_.GRADIENT_OFFSET;
+  }
+
+  /**
+   * Returns the line width of miss ripples.
+   * @return {number}
+   */
+  get RIPPLE_WIDTH() {
+    return options_.RIPPLE_WIDTH;
+  }
+
+  /**
+   * Changes the theme the board is drawn in.
+   * @param {!Theme} theme
+   */
+  setTheme(theme) {
+    this.theme_ = theme;
+  }
+
+  /**
+   * Calculates the dimensions of the game board. The canvas gets a pixel for
+   * every device pixel so dots stay sharp on high density screens, while
+   * drawing still uses CSS pixels.
+   * @return {{width: number, height: number}} The board's size in CSS
+   *     pixels, not counting its border.
+   */
+  calculateBoardSize() {
+    return this.setBoardSize(this.board_.clientWidth,
+        this.board_.clientHeight, window.devicePixelRatio || 1);
+  }
+
+  /**
+   * Sizes the canvas for a board of the given size in CSS pixels.
+   * @param {number} width
+   * @param {number} height
+   * @param {number=} ratio Device pixels per CSS pixel.
+   * @return {{width: number, height: number}} The board's size in CSS
+   *     pixels.
+   */
+  setBoardSize(width, height, ratio = 1) {
+    this.boardWidth_ = width;
+    this.boardHeight_ = height;
+
+    this.board_.width = Math.round(width * ratio);
+    this.board_.height = Math.round(height * ratio);
+    this.ctx_.setTransform(ratio, 0, 0, ratio, 0, 0);
+
+    return {width, height};
+  }
+
+  /**
+   * Converts a point in the viewport, such as a pointer event's clientX and
+   * clientY, to a point on the board. The board's position is measured
+   * each time, so points stay accurate after scrolling or layout changes,
+   * and are scaled in case the board has been resized since its size was
+   * last calculated.
+   * @param {number} clientX
+   * @param {number} clientY
+   * @return {{x: number, y: number}}
+   */
+  getBoardPoint(clientX, clientY) {
+    const boundingRect = this.board_.getBoundingClientRect();
+    const left = boundingRect.left + this.board_.clientLeft;
+    const top = boundingRect.top + this.board_.clientTop;
+
+    return {
+      x: (clientX - left) * this.boardWidth_ / this.board_.clientWidth,
+      y: (clientY - top) * this.boardHeight_ / this.board_.clientHeight,
+    };
+  }
+
+  /**
+   * Clears the board.
+   */
+  clear() {
+    this.ctx_.clearRect(0, 0, this.boardWidth_, this.boardHeight_);
+    if (this.theme_.board.background) {
+      this.ctx_.fillStyle = this.theme_.board.background;
+      this.ctx_.fillRect(0, 0, this.boardWidth_, this.boardHeight_);
+    }
+  }
+
+  /**
+   * Renders the dots.
+   * @param {!DotSimulation} simulation
+   */
+  render(simulation) {
+    this.clear();
+    this.drawBoard_(simulation, this.boardWidth_);
+  }
+
+  /**
+   * Renders several simulations side by side, each on an equal share of the
+   * board's width, with a line between them.
+   * @param {!Array<!DotSimulation>} simulations
+   */
+  renderSideBySide(simulations) {
+    const width = this.boardWidth_ / simulations.length;
+    this.clear();
+
+    simulations.forEach((simulation, i) => {
+      this.ctx_.save();
+      this.ctx_.translate(width * i, 0);
+      this.ctx_.beginPath();
+      this.ctx_.rect(0, 0, width, this.boardHeight_);
+      this.ctx_.clip();
+      this.drawBoard_(simulation, width);
+      this.ctx_.restore();
+    });
+
+    this.ctx_.beginPath();
+    for (let i = 1; i < simulations.length; i++) {
+      this.ctx_.moveTo(width * i, 0);
+      this.ctx_.lineTo(width * i, this.boardHeight_);
+    }
+    this.ctx_.strokeStyle = this.DIVIDER_COLOR;
+    this.ctx_.lineWidth = this.DIVIDER_WIDTH;
+    this.ctx_.stroke();
+  }
+
+  /**
+   * Draws a simulation's board and dots.
+   * @param {!DotSimulation} simulation
+   * @param {number} width Width of the simulation's board in pixels.
+   * @private
+   */
+  drawBoard_(simulation, width) {
+    if (simulation.frozen) {
+      this.ctx_.fillStyle = this.FROZEN_BOARD_COLOR;
+      this.ctx_.fillRect(0, 0, width, this.boardHeight_);
+    }
+
+    const {dots} = this.theme_;
+    this.ctx_.save();
+    this.ctx_.lineWidth = dots.strokeWidth === null ?
+        simulation.STROKE_WIDTH : dots.strokeWidth;
+    if (simulation.dots.length > this.BATCH_THRESHOLD) {
+      this.drawDotBatches_(simulation);
+    } else {
+      simulation.dots.forEach((dot) => {
+        this.drawDots_(simulation, [dot]);
+        this.drawGlyph_(simulation, dot);
+      });
+    }
+    this.ctx_.restore();
+  }
+
+  /**
+   * Draws the dots grouped by how they look, so a busy board takes a few
+   * paths rather than one per dot. Dots in a batch are drawn together, so
+   * where dots overlap, the one on top may not be the one a hit takes.
+   * @param {!DotSimulation} simulation
+   * @private
+   */
+  drawDotBatches_(simulation) {
+    const batches = new Map();
+    simulation.dots.forEach((dot) => {
+      const key = `${dot.type} ${this.getDotFill_(simulation, dot)}`;
+      const batch = batches.get(key);
+      if (batch) {
+        batch.push(dot);
+      } else {
+        batches.set(key, [dot]);
+      }
+    });
+
+    batches.forEach((batch) => this.drawDots_(simulation, batch));
+    simulation.dots.forEach((dot) => this.drawGlyph_(simulation, dot));
+  }
+
+  /**
+   * Draws the running effects over the board.
+   * @param {!EffectsLayer} layer
+   */
+  drawEffects(layer) {
+    layer.update().forEach((effect) => {
+      this.ctx_.save();
+      this.ctx_.globalAlpha = 1 - effect.progress;
+      switch (effect.type) {
+        case EffectType.BURST:
+          this.drawBurst_(layer, effect);
+          break;
+        case EffectType.POPUP:
+          this.drawPopup_(layer, effect);
+          break;
+        case EffectType.RIPPLE:
+          this.drawRipple_(layer, effect);
+          break;
+        case EffectType.FADE:
+          this.drawFade_(effect);
+          break;
+      }
+      this.ctx_.restore();
+    });
+  }
+
+  /**
+   * Returns the color of a dot's particles and fade: a special dot's fill,
+   * or the stroke for normal dots, whose fill may vanish against the board.
+   * @param {!DotType} dotType
+   * @return {string}
+   * @private
+   */
+  getEffectColor_(dotType) {
+    const style = this.theme_.special[dotType] || {};
+    return style.fill || this.STROKE_COLOR;
+  }
+
+  /**
+   * Draws particles flying out and falling.
+   * @param {!EffectsLayer} layer
+   * @param {!Effect} effect
+   * @private
+   */
+  drawBurst_(layer, effect) {
+    const t = effect.progress * effect.duration;
+    const fall = layer.PARTICLE_GRAVITY * t * t / 2;
+    this.ctx_.fillStyle = this.getEffectColor_(effect.dotType);
+    this.ctx_.beginPath();
+    effect.particles.forEach(({vx, vy}) => {
+      const x = effect.x + vx * t;
+      const y = effect.y + vy * t + fall;
+      this.ctx_.moveTo(x + layer.PARTICLE_RADIUS, y);
+      this.ctx_.arc(x, y, layer.PARTICLE_RADIUS, this.DOT_START_ANGLE,
+          this.DOT_END_ANGLE, false);
+    });
+    this.ctx_.fill();
+  }
+
+  /**
+   * Draws text floating up.
+   * @param {!EffectsLayer} layer
+   * @param {!Effect} effect
+   * @private
+   */
+  drawPopup_(layer, effect) {
+    this.ctx_.fillStyle = effect.gain ?
+        this.theme_.effects.gain : this.theme_.effects.loss;
+    this.ctx_.font = this.POPUP_FONT;
+    this.ctx_.textAlign = 'center';
+    this.ctx_.textBaseline = 'middle';
+    this.ctx_.fillText(effect.text, effect.x,
+        effect.y - layer.POPUP_RISE * effect.progress);
+  }
+
+  /**
+   * Draws a ring spreading out.
+   * @param {!EffectsLayer} layer
+   * @param {!Effect} effect
+   * @private
+   */
+  drawRipple_(layer, effect) {
+    this.ctx_.strokeStyle = this.theme_.effects.loss;
+    this.ctx_.lineWidth = this.RIPPLE_WIDTH;
+    this.ctx_.beginPath();
+    this.ctx_.arc(effect.x, effect.y, layer.RIPPLE_RADIUS * effect.progress,
+        this.DOT_START_ANGLE, this.DOT_END_ANGLE, false);
+    this.ctx_.stroke();
+  }
+
+  /**
+   * Draws a dot shrinking away.
+   * @param {!Effect} effect
+   * @private
+   */
+  drawFade_(effect) {
+    this.ctx_.fillStyle = this.getEffectColor_(effect.dotType);
+    this.ctx_.beginPath();
+    this.ctx_.arc(effect.x, effect.y, effect.r * (1 - effect.progress),
+        this.DOT_START_ANGLE, this.DOT_END_ANGLE, false);
+    this.ctx_.fill();
+  }
+
+  /**
+   * Draws the keyboard crosshair over the board.
+   * @param {{x: number, y: number}} position
+   */
+  drawCrosshair({x, y}) {
+    const size = this.CROSSHAIR_SIZE;
+    this.ctx_.beginPath();
+    this.ctx_.moveTo(x - size, y);
+    this.ctx_.lineTo(x + size, y);
+    this.ctx_.moveTo(x, y - size);
+    this.ctx_.lineTo(x, y + size);
+    this.ctx_.strokeStyle = this.theme_.board.crosshair;
+    this.ctx_.lineWidth = this.CROSSHAIR_WIDTH;
+    this.ctx_.stroke();
+  }
+
+  /**
+   * Returns a dot's fill color: a special dot's own fill, or one of the
+   * theme's fills by size, which run from the smallest dots to the biggest.
+   * @param {!DotSimulation} simulation
+   * @param {object} dot Dot settings.
+   * @return {string}
+   * @private
+   */
+  getDotFill_(simulation, dot) {
+    const style = this.theme_.special[dot.type];
+    if (style && style.fill) {
+      return style.fill;
+    }
+
+    const fills = this.DOT_FILL_COLORS;
+    const min = simulation.MIN_DOT_DIAMETER;
+    const range = simulation.MAX_DOT_DIAMETER - min;
+    const size = range > 0 ? (dot.r * 2 - min) / range : 0;
+    const index = Math.floor(Math.min(Math.max(size, 0), 1) * fills.length);
+    return fills[Math.min(index, fills.length - 1)];
+  }
+
+  /**
+   * Adds a dot's circle to the current path.
+   * @param {!DotSimulation} simulation
+   * @param {object} dot Dot settings.
+   * @private
+   */
+  traceDot_(simulation, dot) {
+    const x = simulation.percentToPixel(dot);
+    this.ctx_.moveTo(x + dot.r, dot.y);
+    this.ctx_.arc(x, dot.y, dot.r, this.DOT_START_ANGLE,
+        this.DOT_END_ANGLE, false);
+  }
+
+  /**
+   * Fills a dot with its theme's gradient highlight.
+   * @param {!DotSimulation} simulation
+   * @param {object} dot Dot settings.
+   * @param {string} fill The dot's fill color.
+   * @private
+   */
+  fillGradient_(simulation, dot, fill) {
+    const x = simulation.percentToPixel(dot);
+    const offset = dot.r * this.GRADIENT_OFFSET;
+    const gradient = this.ctx_.createRadialGradient(x - offset,
+        dot.y - offset, 0, x, dot.y, dot.r);
+    gradient.addColorStop(0, this.theme_.dots.gradient);
+    gradient.addColorStop(1, fill);
+
+    this.ctx_.beginPath();
+    this.traceDot_(simulation, dot);
+    this.ctx_.fillStyle = gradient;
+    this.ctx_.fill();
+  }
+
+  /**
+   * Draws dots that look alike, which must share a type and fill, as one
+   * path.
+   * @param {!DotSimulation} simulation
+   * @param {!Array<object>} dots
+   * @private
+   */
+  drawDots_(simulation, dots) {
+    const type = dots[0].type;
+    const style = this.theme_.special[type] || {};
+    const marks = DOT_MARKS_[type] || {};
+    const fill = this.getDotFill_(simulation, dots[0]);
+    const stroke = style.stroke || this.STROKE_COLOR;
+    this.ctx_.shadowBlur = this.theme_.dots.glow;
+    this.ctx_.shadowColor = stroke;
+
+    // Gradients are centered on each dot, so each is filled on its own.
+    if (this.theme_.dots.gradient) {
+      dots.forEach((dot) => this.fillGradient_(simulation, dot, fill));
+    }
+
+    this.ctx_.beginPath();
+    dots.forEach((dot) => this.traceDot_(simulation, dot));
+    if (!this.theme_.dots.gradient) {
+      this.ctx_.fillStyle = fill;
+      this.ctx_.fill();
+    }
+    this.ctx_.strokeStyle = stroke;
+    this.ctx_.setLineDash(marks.dash || []);
+    this.ctx_.stroke();
+  }
+
+  /**
+   * Draws a special dot's glyph in its middle, if it is big enough.
+   * @param {!DotSimulation} simulation
+   * @param {object} dot Dot settings.
+   * @private
+   */
+  drawGlyph_(simulation, dot) {
+    const marks = DOT_MARKS_[dot.type];
+    if (!marks || dot.r < this.MIN_GLYPH_RADIUS) {
+      return;
+    }
+
+    const style = this.theme_.special[dot.type] || {};
+    this.ctx_.shadowBlur = 0;
+    this.ctx_.fillStyle = style.glyph || this.theme_.dots.glyph;
+    this.ctx_.font = this.GLYPH_FONT.replace('{size}', Math.round(dot.r));
+    this.ctx_.textAlign = 'center';
+    this.ctx_.textBaseline = 'middle';
+    this.ctx_.fillText(marks.glyph, simulation.percentToPixel(dot), dot.y);
+  }
+}
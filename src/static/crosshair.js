@@ -0,0 +1,121 @@
+/** @private @enum {number|!Object<string, !Array<number>>} */
+const options_ = {
+  STEP: 20,
+  FAST_STEP: 80,
+  LANES: 9,
+  // Horizontal and vertical direction of each arrow key.
+  DIRECTIONS: {
+    ArrowLeft: [-1, 0],
+    ArrowRight: [1, 0],
+    ArrowUp: [0, -1],
+    ArrowDown: [0, 1],
+  },
+};
+
+/**
+ * @fileOverview Dot Game keyboard aiming.
+ * A crosshair on the board for playing without a mouse or touch screen. The
+ * arrow keys move it, Shift moves it further, and the number keys jump it
+ * to one of LANES columns across the board.
+ */
+export class Crosshair {
+  /**
+   * @constructor
+   */
+  constructor() {
+    /** @private {number} */
+    this.x_ = 0;
+
+    /** @private {number} */
+    this.y_ = 0;
+
+    /** @private {number} */
+    this.width_ = 0;
+
+    /** @private {number} */
+    this.height_ = 0;
+  }
+
+  /**
+   * Returns how far an arrow key moves the crosshair in pixels.
+   * @return {number}
+   */
+  get STEP() {
+    return options_.STEP;
+  }
+
+  /**
+   * Returns how far an arrow key moves the crosshair with Shift held.
+   * @return {number}
+   */
+  get FAST_STEP() {
+    return options_.FAST_STEP;
+  }
+
+  /**
+   * Returns the number of columns the number keys jump to.
+   * @return {number}
+   */
+  get LANES() {
+    return options_.LANES;
+  }
+
+  /**
+   * Returns the crosshair's position on the board.
+   * @return {{x: number, y: number}}
+   */
+  get position() {
+    return {x: this.x_, y: this.y_};
+  }
+
+  /**
+   * Keeps the crosshair on a board of a new size, centering it the first
+   * time.
+   * @param {number} width
+   * @param {number} height
+   */
+  resize(width, height) {
+    if (!this.width_ || !this.height_) {
+      this.x_ = width / 2;
+      this.y_ = height / 2;
+    } else {
+      this.x_ *= width / this.width_;
+      this.y_ *= height / this.height_;
+    }
+    this.width_ = width;
+    this.height_ = height;
+  }
+
+  /**
+   * Moves the crosshair for an arrow or number key.
+   * @param {!KeyboardEvent} e
+   * @return {boolean} True if the key moved the crosshair.
+   */
+  handleKey(e) {
+    const direction = options_.DIRECTIONS[e.key];
+    if (direction) {
+      const step = e.shiftKey ? this.FAST_STEP : this.STEP;
+      this.moveTo_(this.x_ + direction[0] * step,
+          this.y_ + direction[1] * step);
+      return true;
+    }
+
+    const lane = parseInt(e.key, 10);
+    if (lane >= 1 && lane <= this.LANES) {
+      this.moveTo_((lane - 0.5) * this.width_ / this.LANES, this.y_);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Moves the crosshair, keeping it on the board.
+   * @param {number} x
+   * @param {number} y
+   * @private
+   */
+  moveTo_(x, y) {
+    this.x_ = Math.min(Math.max(x, 0), this.width_);
+    this.y_ = Math.min(Math.max(y, 0), this.height_);
+  }
+}
@@ -0,0 +1,77 @@
+/**
+ * @fileOverview Dot Game difficulty presets.
+ * Each preset is a set of simulation option overrides that are tuned to
+ * work together.
+ */
+
+/**
+ * Simulation options for each named difficulty.
+ * @const {!Object<string, !Object>}
+ */
+export const DIFFICULTY_PRESETS = {
+  easy: {
+    SPEED: 10,
+    NEW_DOT_GENERATION_DELAY: 1500,
+    MIN_DOT_DIAMETER: 30,
+    MAX_DOT_DIAMETER: 100,
+    DOT_RESPAWN_DELAY: 1500,
+  },
+  normal: {
+    SPEED: 30,
+    NEW_DOT_GENERATION_DELAY: 1000,
+    MIN_DOT_DIAMETER: 10,
+    MAX_DOT_DIAMETER: 100,
+    DOT_RESPAWN_DELAY: 1000,
+  },
+  hard: {
+    SPEED: 60,
+    NEW_DOT_GENERATION_DELAY: 700,
+    MIN_DOT_DIAMETER: 10,
+    MAX_DOT_DIAMETER: 70,
+    DOT_RESPAWN_DELAY: 700,
+  },
+  insane: {
+    SPEED: 100,
+    NEW_DOT_GENERATION_DELAY: 400,
+    MIN_DOT_DIAMETER: 10,
+    MAX_DOT_DIAMETER: 40,
+    DOT_RESPAWN_DELAY: 400,
+  },
+};
+
+/**
+ * Name used for options that don't match any preset.
+ * @const {string}
+ */
+export const CUSTOM_DIFFICULTY = 'custom';
+
+/**
+ * Returns a difficulty's preset options with the overrides applied on top.
+ * @param {?string|undefined} difficulty
+ * @param {!Object=} overrides
+ * @return {!Object}
+ * @throws {Error} If the difficulty is not a preset.
+ */
+export function applyDifficulty(difficulty, overrides = {}) {
+  if (!difficulty) {
+    return Object.assign({}, overrides);
+  }
+  if (!DIFFICULTY_PRESETS.hasOwnProperty(difficulty)) {
+    throw new Error(`Unknown difficulty: ${difficulty}.`);
+  }
+  return Object.assign({}, DIFFICULTY_PRESETS[difficulty], overrides);
+}
+
+/**
+ * Returns the name of the preset the options match, or CUSTOM_DIFFICULTY.
+ * @param {!Object} options Complete simulation options.
+ * @return {string}
+ */
+export function getDifficulty(options) {
+  const names = Object.keys(DIFFICULTY_PRESETS);
+  const match = names.find((name) => {
+    const preset = DIFFICULTY_PRESETS[name];
+    return Object.keys(preset).every((key) => preset[key] === options[key]);
+  });
+  return match || CUSTOM_DIFFICULTY;
+}
@@ -0,0 +1,1631 @@
+import {
+  Motion,
+  getSpeedFactor,
+  initMotion,
+  isRising,
+  moveDot,
+} from './motion.js';
+import {mergeOptions} from './options.js';
+import {createRandom, generateSeed} from './random.js';
+import {SCORING_STRATEGY_NAMES, getScoringStrategy} from './scoring.js';
+import {SpatialGrid} from './spatial-grid.js';
+
+/** @private @enum {number|string|boolean} */
+const options_ = {
+  FRAMES_PER_SECOND: 60,
+  MAX_FRAME_DELTA: 250,
+  SPEED: 30,
+  MIN_DOT_DIAMETER: 10,
+  MAX_DOT_DIAMETER: 100,
+  NEW_DOT_GENERATION_DELAY: 1000,
+  MIN_DOT_GENERATION_DELAY: 150,
+  DOT_RESPAWN_DELAY: 1000,
+  REPLACE_HIT_DOTS: true,
+  STROKE_WIDTH: 1,
+  BOARD_INNER_PADDING: 5,
+  PROPAGATE_HITS: false,
+  ROUND_DURATION: 60000,
+  LIVES: 0,
+  SCORING: 'classic',
+  MISS_PENALTY: 0,
+  NORMAL_DOT_WEIGHT: 100,
+  BONUS_DOT_WEIGHT: 4,
+  BOMB_DOT_WEIGHT: 4,
+  FREEZE_DOT_WEIGHT: 2,
+  SPLIT_DOT_WEIGHT: 4,
+  BONUS_DOT_MULTIPLIER: 3,
+  BOMB_PENALTY: 10,
+  FREEZE_DURATION: 3000,
+  FREEZE_SPEED_FACTOR: 0.25,
+  SPLIT_DOT_COUNT: 3,
+  FALL_MOTION_WEIGHT: 100,
+  SINE_MOTION_WEIGHT: 10,
+  DIAGONAL_MOTION_WEIGHT: 10,
+  ACCELERATE_MOTION_WEIGHT: 5,
+  BOUNCE_MOTION_WEIGHT: 5,
+  FLOAT_MOTION_WEIGHT: 5,
+  COMBO_STEP: 5,
+  MAX_COMBO_MULTIPLIER: 4,
+  PROGRESSION: 'off',
+  LEVEL_DURATION: 15000,
+  LEVEL_SCORE: 50,
+  LEVEL_SPEED_INCREASE: 0.15,
+  LEVEL_DELAY_DECREASE: 0.1,
+  MAX_LEVEL: 20,
+};
+
+/**
+ * Kinds of dot. Special dots have an effect when hit.
+ * @enum {string}
+ */
+export const DotType = {
+  // Scores points.
+  NORMAL: 'normal',
+  // Scores BONUS_DOT_MULTIPLIER times the points.
+  BONUS: 'bonus',
+  // Costs a life, or BOMB_PENALTY points without lives, and breaks the
+  // streak. Letting it fall off the board is free.
+  BOMB: 'bomb',
+  // Scores points and slows every dot for FREEZE_DURATION.
+  FREEZE: 'freeze',
+  // Scores points and breaks into SPLIT_DOT_COUNT smaller dots.
+  SPLIT: 'split',
+};
+
+/**
+ * Option holding the spawn weight of each type of dot.
+ * @private @const {!Object<!DotType, string>}
+ */
+const DOT_TYPE_WEIGHTS_ = {
+  [DotType.NORMAL]: 'NORMAL_DOT_WEIGHT',
+  [DotType.BONUS]: 'BONUS_DOT_WEIGHT',
+  [DotType.BOMB]: 'BOMB_DOT_WEIGHT',
+  [DotType.FREEZE]: 'FREEZE_DOT_WEIGHT',
+  [DotType.SPLIT]: 'SPLIT_DOT_WEIGHT',
+};
+
+/**
+ * Option holding the spawn weight of each motion.
+ * @private @const {!Object<!Motion, string>}
+ */
+const MOTION_WEIGHTS_ = {
+  [Motion.FALL]: 'FALL_MOTION_WEIGHT',
+  [Motion.SINE]: 'SINE_MOTION_WEIGHT',
+  [Motion.DIAGONAL]: 'DIAGONAL_MOTION_WEIGHT',
+  [Motion.ACCELERATE]: 'ACCELERATE_MOTION_WEIGHT',
+  [Motion.BOUNCE]: 'BOUNCE_MOTION_WEIGHT',
+  [Motion.FLOAT]: 'FLOAT_MOTION_WEIGHT',
+};
+
+/**
+ * Ways the difficulty can ramp up during a round.
+ * @enum {string}
+ */
+export const Progression = {
+  OFF: 'off',
+  TIME: 'time',
+  SCORE: 'score',
+};
+
+/**
+ * Options that can be overridden when creating a simulation.
+ * @const {!Object<string, !OptionSpec>}
+ */
+export const OPTION_SPECS = {
+  SPEED: {
+    type: 'number', label: 'Starting speed (px/s)', min: 10, max: 100,
+    integer: true,
+  },
+  MIN_DOT_DIAMETER: {
+    type: 'number', label: 'Smallest dot (px)', min: 2, max: 400,
+    integer: true,
+  },
+  MAX_DOT_DIAMETER: {
+    type: 'number', label: 'Largest dot (px)', min: 2, max: 400,
+    integer: true,
+  },
+  NEW_DOT_GENERATION_DELAY: {
+    type: 'number', label: 'New dot every (ms)', min: 10, max: 10000,
+    integer: true,
+  },
+  DOT_RESPAWN_DELAY: {
+    type: 'number', label: 'Replacement dot after (ms)', min: 0, max: 10000,
+    integer: true,
+  },
+  REPLACE_HIT_DOTS: {
+    type: 'boolean', label: 'Replace dots that are hit',
+  },
+  ROUND_DURATION: {
+    type: 'number', label: 'Round length (ms, 0 for none)', min: 0,
+    max: 3600000, integer: true,
+  },
+  LIVES: {
+    type: 'number', label: 'Lives (0 for unlimited)', min: 0, max: 100,
+    integer: true,
+  },
+  PROPAGATE_HITS: {
+    type: 'boolean', label: 'Hits pass through to dots underneath',
+  },
+  SCORING: {
+    type: 'string', label: 'Scoring', values: SCORING_STRATEGY_NAMES,
+  },
+  MISS_PENALTY: {
+    type: 'number', label: 'Points lost per miss', min: 0, max: 100,
+    integer: true,
+  },
+  BONUS_DOT_WEIGHT: {
+    type: 'number', label: 'Golden bonus dots per 100 normal dots', min: 0,
+    max: 100, integer: true,
+  },
+  BOMB_DOT_WEIGHT: {
+    type: 'number', label: 'Bomb dots per 100 normal dots', min: 0, max: 100,
+    integer: true,
+  },
+  FREEZE_DOT_WEIGHT: {
+    type: 'number', label: 'Freeze dots per 100 normal dots', min: 0, max: 100,
+    integer: true,
+  },
+  SPLIT_DOT_WEIGHT: {
+    type: 'number', label: 'Split dots per 100 normal dots', min: 0, max: 100,
+    integer: true,
+  },
+  SINE_MOTION_WEIGHT: {
+    type: 'number', label: 'Drifting dots per 100 straight dots', min: 0,
+    max: 100, integer: true,
+  },
+  DIAGONAL_MOTION_WEIGHT: {
+    type: 'number', label: 'Diagonal dots per 100 straight dots', min: 0,
+    max: 100, integer: true,
+  },
+  ACCELERATE_MOTION_WEIGHT: {
+    type: 'number', label: 'Accelerating dots per 100 straight dots',
+    min: 0, max: 100, integer: true,
+  },
+  BOUNCE_MOTION_WEIGHT: {
+    type: 'number', label: 'Bouncing dots per 100 straight dots', min: 0,
+    max: 100, integer: true,
+  },
+  FLOAT_MOTION_WEIGHT: {
+    type: 'number', label: 'Rising dots per 100 straight dots', min: 0,
+    max: 100, integer: true,
+  },
+  COMBO_STEP: {
+    type: 'number', label: 'Hits in a row per combo level', min: 1,
+    max: 100, integer: true,
+  },
+  MAX_COMBO_MULTIPLIER: {
+    type: 'number', label: 'Highest combo multiplier (1 for none)', min: 1,
+    max: 20, integer: true,
+  },
+  PROGRESSION: {
+    type: 'string', label: 'Ramp up difficulty by',
+    values: Object.keys(Progression).map((key) => Progression[key]),
+  },
+};
+
+/**
+ * Returns the simulation defaults with overrides applied.
+ * @param {!Object=} overrides
+ * @return {!Object}
+ * @throws {Error} If an override is unknown or invalid.
+ */
+export function resolveOptions(overrides) {
+  const options = mergeOptions(options_, OPTION_SPECS, overrides);
+  if (options.MIN_DOT_DIAMETER > options.MAX_DOT_DIAMETER) {
+    throw new RangeError(
+        'MIN_DOT_DIAMETER must not be larger than MAX_DOT_DIAMETER.');
+  }
+  return options;
+}
+
+/**
+ * Version of the replay log format returned by getReplay().
+ * @const {number}
+ */
+export const REPLAY_VERSION = 2;
+
+/**
+ * Stages of a round.
+ * @enum {string}
+ */
+export const GameState = {
+  READY: 'ready',
+  PLAYING: 'playing',
+  PAUSED: 'paused',
+  FINISHED: 'finished',
+};
+
+/**
+ * @fileOverview Dot Game simulation.
+ * Owns the dots, the score and the round lifecycle without touching the DOM,
+ * so a game can be run and stepped in Node as well as in the browser. The
+ * clock, random number generator and board size are supplied by the caller.
+ * Dots are generated from a seed, so a round with the same seed always has
+ * the same sequence of dots, and every input is recorded so the round can be
+ * replayed exactly.
+ */
+export class DotSimulation {
+  /**
+   * @constructor
+   * @param {{
+   *   width: (number|undefined),
+   *   height: (number|undefined),
+   *   seed: (string|undefined),
+   *   random: (function(): number|undefined),
+   *   clock: (function(): number|undefined),
+   *   options: (!Object|undefined),
+   * }=} config Board size in pixels, the seed for the dot sequence, a random
+   *     number generator returning values in [0, 1) to use instead of the
+   *     seed, a clock returning milliseconds, and overrides for any of the
+   *     OPTION_SPECS.
+   * @throws {Error} If an option override is unknown or invalid.
+   */
+  constructor({width = 0, height = 0, seed = generateSeed(), random = null,
+    clock = () => Date.now(), options = {}} = {}) {
+    /** @private {!Object} */
+    this.options_ = resolveOptions(options);
+
+    /** @private {string} */
+    this.seed_ = String(seed);
+
+    /** @private {?function(): number} */
+    this.customRandom_ = random;
+
+    /** @private {function(): number} */
+    this.random_ = random || createRandom(this.seed_);
+
+    /** @private {function(): number} */
+    this.clock_ = clock;
+
+    /** @private {number} */
+    this.boardWidth_ = width;
+
+    /** @private {number} */
+    this.boardHeight_ = height;
+
+    /** @private {!Object<string, !Array<function(!Object)>>} */
+    this.listeners_ = {};
+
+    /** @private {number} Pixels per second, before progression. */
+    this.speed_ = this.SPEED;
+
+    /** @private {number} */
+    this.level_ = 0;
+
+    /** @private {?number} Clock time of the previous tick. */
+    this.lastTickTime_ = null;
+
+    /** @private {number} Simulated milliseconds not yet stepped. */
+    this.accumulator_ = 0;
+
+    /** @private {number} Simulated milliseconds since the round began. */
+    this.time_ = 0;
+
+    /** @private {number} Milliseconds left until the next new dot. */
+    this.newDotDelayRemaining_ = 0;
+
+    /** @private {!Array<number>} Milliseconds left until each respawn. */
+    this.pendingRespawns_ = [];
+
+    /** @private {!Array<!Array>} Inputs recorded during the round. */
+    this.inputs_ = [];
+
+    /** @private {Array<Object>} */
+    this.dots_ = [];
+
+    /**
+     * @private {!Array<!Object>} Removed dots waiting to be reused, so busy
+     *     boards don't churn through garbage.
+     */
+    this.dotPool_ = [];
+
+    /**
+     * @private {!Array<!Object>} Dots removed since the last step. Events
+     *     hand out removed dots, so they only join the pool on the next step.
+     */
+    this.removedDots_ = [];
+
+    /**
+     * @private {!SpatialGrid} Finds the dots near a hit. With cells as wide
+     *     as the largest dot, a hit only has to check the dots in the two by
+     *     two cells around it.
+     */
+    this.grid_ = new SpatialGrid(this.MAX_DOT_DIAMETER);
+
+    /** @private {number} Id given to the next dot. */
+    this.nextDotId_ = 0;
+
+    /** @private {number} Layer given to the next dot, counting up. */
+    this.nextLayer_ = 0;
+
+    /** @private {!GameState} */
+    this.state_ = GameState.READY;
+
+    /** @private {number} */
+    this.score_ = 0;
+
+    /** @private {number} */
+    this.hits_ = 0;
+
+    /** @private {number} */
+    this.misses_ = 0;
+
+    /** @private {number} Dots that fell off the bottom of the board. */
+    this.escapes_ = 0;
+
+    /** @private {number} Hits since the last miss or escape. */
+    this.streak_ = 0;
+
+    /** @private {number} */
+    this.bestStreak_ = 0;
+
+    /** @private {number} Bomb dots hit. */
+    this.bombs_ = 0;
+
+    /** @private {number} Milliseconds left until frozen dots speed up. */
+    this.freezeRemaining_ = 0;
+
+    /** @private {number} */
+    this.lives_ = this.LIVES;
+
+    /** @private {number} */
+    this.timeRemaining_ = this.ROUND_DURATION;
+  }
+
+  /**
+   * Returns the number of simulation steps per second.
+   * @return {number}
+   */
+  get FRAMES_PER_SECOND() {
+    return this.options_.FRAMES_PER_SECOND;
+  }
+
+  /**
+   * Returns the length in milliseconds of one simulation step.
+   * @return {number}
+   */
+  get STEP_DURATION() {
+    return 1000 / this.FRAMES_PER_SECOND;
+  }
+
+  /**
+   * Returns the longest gap in milliseconds between ticks that will be
+   * simulated. Longer gaps, such as after the browser throttles a background
+   * tab, are clamped to this value.
+   * @return {number}
+   */
+  get MAX_FRAME_DELTA() {
+    return this.options_.MAX_FRAME_DELTA;
+  }
+
+  /**
+   * Returns the speed in pixels per second that rounds start at.
+   * @return {number}
+   */
+  get SPEED() {
+    return this.options_.SPEED;
+  }
+
+  /**
+   * Returns the minimum diameter for a dot.
+   * @return {number}
+   */
+  get MIN_DOT_DIAMETER() {
+    return this.options_.MIN_DOT_DIAMETER;
+  }
+
+  /**
+   * Returns the maximum diameter for a dot.
+   * @return {number}
+   */
+  get MAX_DOT_DIAMETER() {
+    return this.options_.MAX_DOT_DIAMETER;
+  }
+
+  /**
+   * Returns the number of milliseconds to wait before creating a new dot.
+   * @return {number}
+   */
+  get NEW_DOT_GENERATION_DELAY() {
+    return this.options_.NEW_DOT_GENERATION_DELAY;
+  }
+
+  /**
+   * Returns the shortest delay in milliseconds between new dots that
+   * progression can reach.
+   * @return {number}
+   */
+  get MIN_DOT_GENERATION_DELAY() {
+    return this.options_.MIN_DOT_GENERATION_DELAY;
+  }
+
+  /**
+   * Returns the number of milliseconds before a replacement dot should appear.
+   * @return {number}
+   */
+  get DOT_RESPAWN_DELAY() {
+    return this.options_.DOT_RESPAWN_DELAY;
+  }
+
+  /**
+   * Returns true if a new dot replaces each dot that is hit.
+   * @return {boolean}
+   */
+  get REPLACE_HIT_DOTS() {
+    return this.options_.REPLACE_HIT_DOTS;
+  }
+
+  /**
+   * Returns the width of the dot stroke.
+   * @return {number}
+   */
+  get STROKE_WIDTH() {
+    return this.options_.STROKE_WIDTH;
+  }
+
+  /**
+   * Returns the amount of left and right padding for the board.
+   * @return {number}
+   */
+  get BOARD_INNER_PADDING() {
+    return this.options_.BOARD_INNER_PADDING;
+  }
+
+  /**
+   * Returns true if the hit should propagate to all dots under the same spot.
+   * @return {boolean}
+   */
+  get PROPAGATE_HITS() {
+    return this.options_.PROPAGATE_HITS;
+  }
+
+  /**
+   * Returns the length of a round in milliseconds, or 0 for no time limit.
+   * @return {number}
+   */
+  get ROUND_DURATION() {
+    return this.options_.ROUND_DURATION;
+  }
+
+  /**
+   * Returns the number of dots a player may let escape off the bottom of the
+   * board before the round ends, or 0 for unlimited.
+   * @return {number}
+   */
+  get LIVES() {
+    return this.options_.LIVES;
+  }
+
+  /**
+   * Returns the name of the scoring strategy.
+   * @return {string}
+   */
+  get SCORING() {
+    return this.options_.SCORING;
+  }
+
+  /**
+   * Returns the points lost for a click that misses every dot.
+   * @return {number}
+   */
+  get MISS_PENALTY() {
+    return this.options_.MISS_PENALTY;
+  }
+
+  /**
+   * Returns the relative chance of a new dot being a normal dot. The other
+   * dot types have their own *_DOT_WEIGHT options.
+   * @return {number}
+   */
+  get NORMAL_DOT_WEIGHT() {
+    return this.options_.NORMAL_DOT_WEIGHT;
+  }
+
+  /**
+   * Returns the relative chance of a new dot being a bonus dot.
+   * @return {number}
+   */
+  get BONUS_DOT_WEIGHT() {
+    return this.options_.BONUS_DOT_WEIGHT;
+  }
+
+  /**
+   * Returns the relative chance of a new dot being a bomb dot.
+   * @return {number}
+   */
+  get BOMB_DOT_WEIGHT() {
+    return this.options_.BOMB_DOT_WEIGHT;
+  }
+
+  /**
+   * Returns the relative chance of a new dot being a freeze dot.
+   * @return {number}
+   */
+  get FREEZE_DOT_WEIGHT() {
+    return this.options_.FREEZE_DOT_WEIGHT;
+  }
+
+  /**
+   * Returns the relative chance of a new dot being a split dot.
+   * @return {number}
+   */
+  get SPLIT_DOT_WEIGHT() {
+    return this.options_.SPLIT_DOT_WEIGHT;
+  }
+
+  /**
+   * Returns the multiplier for the points of a bonus dot.
+   * @return {number}
+   */
+  get BONUS_DOT_MULTIPLIER() {
+    return this.options_.BONUS_DOT_MULTIPLIER;
+  }
+
+  /**
+   * Returns the points lost for hitting a bomb dot when lives are off.
+   * @return {number}
+   */
+  get BOMB_PENALTY() {
+    return this.options_.BOMB_PENALTY;
+  }
+
+  /**
+   * Returns the milliseconds that dots stay slowed after a freeze dot is
+   * hit.
+   * @return {number}
+   */
+  get FREEZE_DURATION() {
+    return this.options_.FREEZE_DURATION;
+  }
+
+  /**
+   * Returns the fraction of their speed that frozen dots move at.
+   * @return {number}
+   */
+  get FREEZE_SPEED_FACTOR() {
+    return this.options_.FREEZE_SPEED_FACTOR;
+  }
+
+  /**
+   * Returns the number of dots a split dot breaks into.
+   * @return {number}
+   */
+  get SPLIT_DOT_COUNT() {
+    return this.options_.SPLIT_DOT_COUNT;
+  }
+
+  /**
+   * Returns the relative chance of a new dot falling straight down. The
+   * other motions have their own *_MOTION_WEIGHT options.
+   * @return {number}
+   */
+  get FALL_MOTION_WEIGHT() {
+    return this.options_.FALL_MOTION_WEIGHT;
+  }
+
+  /**
+   * Returns the relative chance of a new dot drifting from side to side.
+   * @return {number}
+   */
+  get SINE_MOTION_WEIGHT() {
+    return this.options_.SINE_MOTION_WEIGHT;
+  }
+
+  /**
+   * Returns the relative chance of a new dot falling at an angle.
+   * @return {number}
+   */
+  get DIAGONAL_MOTION_WEIGHT() {
+    return this.options_.DIAGONAL_MOTION_WEIGHT;
+  }
+
+  /**
+   * Returns the relative chance of a new dot speeding up as it falls.
+   * @return {number}
+   */
+  get ACCELERATE_MOTION_WEIGHT() {
+    return this.options_.ACCELERATE_MOTION_WEIGHT;
+  }
+
+  /**
+   * Returns the relative chance of a new dot bouncing off the side walls.
+   * @return {number}
+   */
+  get BOUNCE_MOTION_WEIGHT() {
+    return this.options_.BOUNCE_MOTION_WEIGHT;
+  }
+
+  /**
+   * Returns the relative chance of a new dot floating up from the bottom.
+   * @return {number}
+   */
+  get FLOAT_MOTION_WEIGHT() {
+    return this.options_.FLOAT_MOTION_WEIGHT;
+  }
+
+  /**
+   * Returns the number of hits in a row needed to raise the combo
+   * multiplier by one.
+   * @return {number}
+   */
+  get COMBO_STEP() {
+    return this.options_.COMBO_STEP;
+  }
+
+  /**
+   * Returns the highest combo multiplier.
+   * @return {number}
+   */
+  get MAX_COMBO_MULTIPLIER() {
+    return this.options_.MAX_COMBO_MULTIPLIER;
+  }
+
+  /**
+   * Returns how the difficulty ramps up during a round.
+   * @return {!Progression}
+   */
+  get PROGRESSION() {
+    return this.options_.PROGRESSION;
+  }
+
+  /**
+   * Returns the milliseconds per level when progressing by time.
+   * @return {number}
+   */
+  get LEVEL_DURATION() {
+    return this.options_.LEVEL_DURATION;
+  }
+
+  /**
+   * Returns the points per level when progressing by score.
+   * @return {number}
+   */
+  get LEVEL_SCORE() {
+    return this.options_.LEVEL_SCORE;
+  }
+
+  /**
+   * Returns the fraction of the starting speed added at each level.
+   * @return {number}
+   */
+  get LEVEL_SPEED_INCREASE() {
+    return this.options_.LEVEL_SPEED_INCREASE;
+  }
+
+  /**
+   * Returns the fraction the new dot delay shrinks by at each level.
+   * @return {number}
+   */
+  get LEVEL_DELAY_DECREASE() {
+    return this.options_.LEVEL_DELAY_DECREASE;
+  }
+
+  /**
+   * Returns the highest level progression can reach.
+   * @return {number}
+   */
+  get MAX_LEVEL() {
+    return this.options_.MAX_LEVEL;
+  }
+
+  /**
+   * Returns the speed in pixels per second that dots are falling at,
+   * including progression.
+   * @return {number}
+   */
+  get speed() {
+    return this.speed_ * (1 + this.level_ * this.LEVEL_SPEED_INCREASE);
+  }
+
+  /**
+   * Returns true while a freeze dot is slowing the dots.
+   * @return {boolean}
+   */
+  get frozen() {
+    return this.freezeRemaining_ > 0;
+  }
+
+  /**
+   * Returns the current difficulty level, starting at 0.
+   * @return {number}
+   */
+  get level() {
+    return this.level_;
+  }
+
+  /**
+   * Returns the values of the options listed in OPTION_SPECS.
+   * @return {!Object}
+   */
+  getOptions() {
+    const options = {};
+    Object.keys(OPTION_SPECS).forEach((name) => {
+      options[name] = this.options_[name];
+    });
+    return options;
+  }
+
+  /**
+   * Returns the seed for the dot sequence.
+   * @return {string}
+   */
+  get seed() {
+    return this.seed_;
+  }
+
+  /**
+   * Returns the current stage of the round.
+   * @return {!GameState}
+   */
+  get state() {
+    return this.state_;
+  }
+
+  /**
+   * Returns the dots on the board, bottom layer first.
+   * @return {!Array<Object>}
+   */
+  get dots() {
+    return this.dots_;
+  }
+
+  /**
+   * Returns the number of dots on the board.
+   * @return {number}
+   */
+  get dotCount() {
+    return this.dots_.length;
+  }
+
+  /**
+   * Returns the number of dots added to the round so far, not counting split
+   * pieces. They take the ids from 0 up, in the order they were added.
+   * @return {number}
+   */
+  get dotsAdded() {
+    return this.nextDotId_;
+  }
+
+  /**
+   * Returns the current score.
+   * @return {number}
+   */
+  get score() {
+    return this.score_;
+  }
+
+  /**
+   * Returns the number of hits since the last miss or escape.
+   * @return {number}
+   */
+  get streak() {
+    return this.streak_;
+  }
+
+  /**
+   * Returns the longest streak of hits in the round.
+   * @return {number}
+   */
+  get bestStreak() {
+    return this.bestStreak_;
+  }
+
+  /**
+   * Returns the multiplier applied to the next hit's points.
+   * @return {number}
+   */
+  get multiplier() {
+    return Math.min(1 + Math.floor(this.streak_ / this.COMBO_STEP),
+        this.MAX_COMBO_MULTIPLIER);
+  }
+
+  /**
+   * Returns the lives remaining.
+   * @return {number}
+   */
+  get lives() {
+    return this.lives_;
+  }
+
+  /**
+   * Returns the milliseconds remaining in the round.
+   * @return {number}
+   */
+  get timeRemaining() {
+    return this.timeRemaining_;
+  }
+
+  /**
+   * Returns the simulated milliseconds since the round began.
+   * @return {number}
+   */
+  get time() {
+    return this.time_;
+  }
+
+  /**
+   * Returns the width of the board in pixels.
+   * @return {number}
+   */
+  get width() {
+    return this.boardWidth_;
+  }
+
+  /**
+   * Returns the height of the board in pixels.
+   * @return {number}
+   */
+  get height() {
+    return this.boardHeight_;
+  }
+
+  /**
+   * Registers a listener for a simulation event. Events are 'score' after a
+   * dot is hit, 'bomb' after a bomb dot is hit, 'miss' after a click hits
+   * nothing, 'escape' when dots fall off the board, 'remove' when removeDot()
+   * takes a dot away, 'statechange' when the round changes stage, 'finish'
+   * when the round ends, 'levelchange' when progression changes the level,
+   * and 'beforestep' before each simulation step.
+   * @param {string} type
+   * @param {function(!Object)} listener Called with event details.
+   */
+  on(type, listener) {
+    (this.listeners_[type] = this.listeners_[type] || []).push(listener);
+  }
+
+  /**
+   * Calls the listeners registered for an event.
+   * @param {string} type
+   * @param {!Object=} detail
+   * @private
+   */
+  emit_(type, detail = {}) {
+    (this.listeners_[type] || []).forEach((listener) => listener(detail));
+  }
+
+  /**
+   * Sets the size of the board in pixels.
+   * @param {number} width
+   * @param {number} height
+   */
+  resize(width, height) {
+    this.boardWidth_ = width;
+    this.boardHeight_ = height;
+    this.dots_.forEach((dot) => this.updateGrid_(dot));
+    this.record_('resize', width, height);
+  }
+
+  /**
+   * Changes the seed used by the next round. Call reset() to apply it.
+   * @param {string} seed
+   */
+  setSeed(seed) {
+    this.seed_ = String(seed);
+  }
+
+  /**
+   * Changes speed. Progression speeds dots up from here.
+   * @param {number} speed Pixels per second.
+   */
+  setSpeed(speed) {
+    this.speed_ = speed;
+    this.record_('speed', speed);
+  }
+
+  /**
+   * Adds an input to the round's replay log. Inputs are only recorded once
+   * the round has begun, and are timestamped with the simulated time in
+   * whole milliseconds.
+   * @param {string} type
+   * @param {...number} args
+   * @private
+   */
+  record_(type, ...args) {
+    if (this.state_ === GameState.PLAYING ||
+        this.state_ === GameState.PAUSED) {
+      this.inputs_.push([Math.round(this.time_), type, ...args]);
+    }
+  }
+
+  /**
+   * Returns the replay log for the round: its seed, options and every input
+   * that affected it, which is enough to simulate the round again.
+   * @return {{
+   *   version: number,
+   *   seed: string,
+   *   options: !Object,
+   *   score: number,
+   *   inputs: !Array<!Array>,
+   * }}
+   */
+  getReplay() {
+    return {
+      version: REPLAY_VERSION,
+      seed: this.seed_,
+      options: this.getOptions(),
+      score: this.score_,
+      inputs: this.inputs_.slice(),
+    };
+  }
+
+  /**
+   * Returns a random number between min and max diameter options.
+   * @return {number}
+   * @private
+   */
+  getRandomRadius_() {
+    const diameter = this.getRandomNumber_(this.MIN_DOT_DIAMETER,
+        this.MAX_DOT_DIAMETER);
+    const radius = diameter / 2;
+    return radius;
+  }
+
+  /**
+   * Returns a random percent for X position.
+   * @return {number} percentage.
+   * @private
+   */
+  getRandomPercent_() {
+    return this.getRandomNumber_(0, 100);
+  }
+
+  /**
+   * Returns a random number between min and max inclusive.
+   * @param {number} min
+   * @param {number} max
+   * @return {number}
+   * @private
+   */
+  getRandomNumber_(min, max) {
+    return Math.floor(this.random_() * (max - min + 1)) + min;
+  }
+
+  /**
+   * Returns one of several values chosen at random, each weighted by an
+   * option.
+   * @param {!Object<string, string>} weightOptions Option holding the weight
+   *     of each value.
+   * @return {string}
+   * @private
+   */
+  getRandomWeighted_(weightOptions) {
+    const values = Object.keys(weightOptions);
+    const weights = values.map((value) => this.options_[weightOptions[value]]);
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    let roll = this.random_() * total;
+    const i = weights.findIndex((weight) => (roll -= weight) < 0);
+    return values[Math.max(i, 0)];
+  }
+
+  /**
+   * Converts a dot's X from percent to pixel value.
+   * @param {Object} dot
+   * @return {number}
+   */
+  percentToPixel(dot) {
+    const padding = this.BOARD_INNER_PADDING;
+    const min = dot.r + this.STROKE_WIDTH + padding;
+    const max = this.boardWidth_ - dot.r - this.STROKE_WIDTH - padding;
+    const x = (max - min) * dot.x / 100 + min;
+    return x;
+  }
+
+  /**
+   * Converts a pixel X value to the percent that places a dot there.
+   * @param {number} x
+   * @param {number} radius
+   * @return {number}
+   */
+  pixelToPercent(x, radius) {
+    const padding = this.BOARD_INNER_PADDING;
+    const min = radius + this.STROKE_WIDTH + padding;
+    const max = this.boardWidth_ - radius - this.STROKE_WIDTH - padding;
+    const percent = max > min ? (x - min) / (max - min) * 100 : 50;
+    return Math.min(100, Math.max(0, percent));
+  }
+
+  /**
+   * Returns true if the point falls inside the dot.
+   * @param {Object} dot
+   * @param {number} x
+   * @param {number} y
+   * @return {boolean}
+   */
+  isPointInDot(dot, x, y) {
+    const dx = x - this.percentToPixel(dot);
+    const dy = y - dot.y;
+    return dx * dx + dy * dy <= dot.r * dot.r;
+  }
+
+  /**
+   * Removes a dot without scoring it, for example because another player hit
+   * it first. The board changes just as for a hit: a replacement is
+   * scheduled, freeze dots freeze the board and split dots split. A
+   * replacement draws from the seed when it appears, so boards sharing a
+   * seed only stay in step with REPLACE_HIT_DOTS off. Ignored unless the
+   * round is being played.
+   * @param {number} id
+   * @return {boolean} True if the dot was on the board.
+   */
+  removeDot(id) {
+    const i = this.dots_.findIndex((dot) => dot.id === id);
+    if (this.state_ !== GameState.PLAYING || i === -1) {
+      return false;
+    }
+
+    this.record_('remove', id);
+    const dot = this.dots_.splice(i, 1)[0];
+    this.releaseDot_(dot);
+    this.applyHitEffects_(dot);
+    this.emit_('remove', {dot});
+    return true;
+  }
+
+  /**
+   * Scores the dots under a point on the board, counting a miss if there are
+   * none. Ignored unless the round is being played.
+   * @param {number} x
+   * @param {number} y
+   * @return {boolean} True if a dot was hit.
+   */
+  hitAttempt(x, y) {
+    if (this.state_ !== GameState.PLAYING) {
+      return false;
+    }
+
+    this.record_('hit', x, y);
+    const hit = this.PROPAGATE_HITS ?
+        this.scoreAllDots_(x, y) : this.scoreTopDot_(x, y);
+
+    if (!hit) {
+      this.miss_(x, y);
+    }
+    return hit;
+  }
+
+  /**
+   * Moves a dot to its current position in the grid.
+   * @param {!Object} dot
+   * @private
+   */
+  updateGrid_(dot) {
+    this.grid_.set(dot, this.percentToPixel(dot), dot.y);
+  }
+
+  /**
+   * Returns the dots under a point on the board, bottom layer first. Dots
+   * are kept in the order they were added, which is also the order of their
+   * layers, so the grid's candidates are sorted by layer.
+   * @param {number} x
+   * @param {number} y
+   * @return {!Array<!Object>}
+   * @private
+   */
+  getDotsAt_(x, y) {
+    return this.grid_.query(x, y, this.MAX_DOT_DIAMETER / 2)
+        .filter((dot) => this.isPointInDot(dot, x, y))
+        .sort((a, b) => a.layer - b.layer);
+  }
+
+  /**
+   * Scores and removes the top layer dot hit by the user.
+   * @param {number} x
+   * @param {number} y
+   * @return {boolean} True if a dot was hit.
+   * @private
+   */
+  scoreTopDot_(x, y) {
+    const dot = this.getDotsAt_(x, y).pop();
+    if (dot) {
+      this.dots_.splice(this.dots_.indexOf(dot), 1);
+      this.releaseDot_(dot);
+      this.hitDot_(dot);
+    }
+    return !!dot;
+  }
+
+  /**
+   * Scores and removes all dots on all layers under one hit.
+   * @param {number} x
+   * @param {number} y
+   * @return {boolean} True if any dots were hit.
+   * @private
+   */
+  scoreAllDots_(x, y) {
+    const hit = this.getDotsAt_(x, y);
+    if (hit.length) {
+      this.dots_ = this.dots_.filter((dot) => hit.indexOf(dot) === -1);
+      hit.forEach((dot) => this.releaseDot_(dot));
+    }
+    hit.forEach((dot) => this.hitDot_(dot));
+    return hit.length > 0;
+  }
+
+  /**
+   * Applies the effect of hitting a dot.
+   * @param {Object} dot The dot that was hit.
+   * @private
+   */
+  hitDot_(dot) {
+    this.applyHitEffects_(dot);
+    if (dot.type === DotType.BOMB) {
+      this.detonate_(dot);
+    } else {
+      this.increaseScore_(dot);
+    }
+  }
+
+  /**
+   * Changes the board the way hitting a dot does, whoever hit it.
+   * @param {Object} dot The dot that was hit.
+   * @private
+   */
+  applyHitEffects_(dot) {
+    if (this.REPLACE_HIT_DOTS) {
+      this.scheduleRespawn_();
+    }
+
+    switch (dot.type) {
+      case DotType.FREEZE:
+        this.freezeRemaining_ = this.FREEZE_DURATION;
+        break;
+      case DotType.SPLIT:
+        this.splitDot_(dot);
+        break;
+    }
+  }
+
+  /**
+   * Takes a life, or BOMB_PENALTY points when lives are off, and breaks the
+   * streak after a bomb dot is hit.
+   * @param {Object} dot The bomb dot.
+   * @private
+   */
+  detonate_(dot) {
+    const penalty = this.LIVES ? 0 : Math.min(this.BOMB_PENALTY, this.score_);
+    this.bombs_++;
+    this.streak_ = 0;
+    this.score_ -= penalty;
+    if (this.LIVES) {
+      this.lives_ = Math.max(0, this.lives_ - 1);
+    }
+    this.emit_('bomb', {dot, penalty, score: this.score_});
+  }
+
+  /**
+   * Replaces a split dot with SPLIT_DOT_COUNT normal dots half its size,
+   * spread across where it was and moving the same way. Dots can split at
+   * any time, so the pieces don't take ids or random numbers from the
+   * round's sequence. Their ids are negative numbers worked out from the
+   * split dot's id, and their motion is seeded by the round's seed and that
+   * id, so a dot splits the same way whenever it is hit.
+   * @param {Object} dot The split dot.
+   * @private
+   */
+  splitDot_(dot) {
+    const radius = Math.max(dot.r / 2, this.MIN_DOT_DIAMETER / 2);
+    const center = this.percentToPixel(dot);
+    const random = createRandom(`${this.seed_}/${dot.id}`);
+    for (let i = 0; i < this.SPLIT_DOT_COUNT; i++) {
+      const offset = this.SPLIT_DOT_COUNT > 1 ?
+          (i / (this.SPLIT_DOT_COUNT - 1) - 0.5) * dot.r * 2 : 0;
+      this.spawnDot_({
+        id: -(dot.id * this.SPLIT_DOT_COUNT + i + 1),
+        r: radius,
+        x: this.pixelToPercent(center + offset, radius),
+        y: dot.y,
+        born: this.time_,
+        type: DotType.NORMAL,
+        motion: dot.motion,
+      }, random);
+    }
+  }
+
+  /**
+   * Increases the user's score after hitting a dot.
+   * @param {Object} dot The dot that was hit.
+   * @private
+   */
+  increaseScore_(dot) {
+    const multiplier = this.multiplier;
+    const bonus = dot.type === DotType.BONUS ? this.BONUS_DOT_MULTIPLIER : 1;
+    const points = this.calculateDotScore(dot) * bonus * multiplier;
+    this.hits_++;
+    this.streak_++;
+    this.bestStreak_ = Math.max(this.bestStreak_, this.streak_);
+    this.score_ += points;
+    this.emit_('score', {dot, points, multiplier, score: this.score_});
+  }
+
+  /**
+   * Counts a click that hit no dots, breaking the streak and taking off
+   * MISS_PENALTY points.
+   * @param {number} x
+   * @param {number} y
+   * @private
+   */
+  miss_(x, y) {
+    const penalty = Math.min(this.MISS_PENALTY, this.score_);
+    this.misses_++;
+    this.streak_ = 0;
+    this.score_ -= penalty;
+    this.emit_('miss', {x, y, penalty, score: this.score_});
+  }
+
+  /**
+   * Adds a replacement dot after DOT_RESPAWN_DELAY.
+   * @private
+   */
+  scheduleRespawn_() {
+    this.pendingRespawns_.push(this.DOT_RESPAWN_DELAY);
+  }
+
+  /**
+   * Calculates the points for hitting a dot, before the combo multiplier,
+   * using the SCORING strategy.
+   * @param {!Object} dot
+   * @return {number} Score value.
+   */
+  calculateDotScore(dot) {
+    return getScoringStrategy(this.SCORING)(dot, this);
+  }
+
+  /**
+   * Returns the speed in pixels per second a dot is moving up or down the
+   * board at.
+   * @param {!Object} dot
+   * @return {number}
+   */
+  getDotSpeed(dot) {
+    const speed = this.speed * getSpeedFactor(dot, this.time_);
+    return this.frozen ? speed * this.FREEZE_SPEED_FACTOR : speed;
+  }
+
+  /**
+   * Returns the percentage of clicks that hit a dot.
+   * @return {number}
+   */
+  getAccuracy() {
+    const attempts = this.hits_ + this.misses_;
+    return attempts ? Math.round(this.hits_ / attempts * 100) : 0;
+  }
+
+  /**
+   * Returns a summary of the round.
+   * @return {{
+   *   score: number,
+   *   hits: number,
+   *   misses: number,
+   *   escapes: number,
+   *   accuracy: string,
+   *   bestStreak: number,
+   *   bombs: number,
+   *   seed: string,
+   * }}
+   */
+  getStats() {
+    return {
+      score: this.score_,
+      hits: this.hits_,
+      misses: this.misses_,
+      escapes: this.escapes_,
+      accuracy: `${this.getAccuracy()}%`,
+      bestStreak: this.bestStreak_,
+      bombs: this.bombs_,
+      seed: this.seed_,
+    };
+  }
+
+  /**
+   * Simulates the time elapsed on the clock since the previous tick.
+   * @param {number=} maxDelta Most milliseconds simulated, so a stalled
+   *     clock, such as a hidden page's, doesn't fast forward the round.
+   *     Defaults to MAX_FRAME_DELTA.
+   * @return {number} Number of steps taken.
+   */
+  tick(maxDelta = this.MAX_FRAME_DELTA) {
+    const now = this.clock_();
+    const delta = this.lastTickTime_ === null ? 0 : now - this.lastTickTime_;
+    this.lastTickTime_ = now;
+    return this.update(Math.min(delta, maxDelta));
+  }
+
+  /**
+   * Advances the simulation by the elapsed time in fixed STEP_DURATION
+   * steps. Time left over is carried into the next update.
+   * @param {number} elapsed Milliseconds to simulate.
+   * @return {number} Number of steps taken.
+   */
+  update(elapsed) {
+    let steps = 0;
+    this.accumulator_ += elapsed;
+    while (this.accumulator_ >= this.STEP_DURATION &&
+        this.state_ === GameState.PLAYING) {
+      this.step_(this.STEP_DURATION);
+      this.accumulator_ -= this.STEP_DURATION;
+      steps++;
+    }
+    return steps;
+  }
+
+  /**
+   * Moves the dots and runs the round's timers forward by one step.
+   * @param {number} dt Milliseconds to simulate.
+   * @private
+   */
+  step_(dt) {
+    this.emit_('beforestep', {time: this.time_});
+    if (this.state_ !== GameState.PLAYING) {
+      return;
+    }
+
+    this.time_ += dt;
+    this.updateLevel_();
+
+    this.dotPool_.push(...this.removedDots_);
+    this.removedDots_ = [];
+    this.dots_.forEach((dot) => {
+      moveDot(dot, this, dt);
+      this.updateGrid_(dot);
+    });
+
+    this.newDotDelayRemaining_ -= dt;
+    while (this.newDotDelayRemaining_ <= 0) {
+      this.addDot_();
+      this.newDotDelayRemaining_ += this.getNewDotDelay_();
+    }
+
+    this.pendingRespawns_ = this.pendingRespawns_
+        .map((delay) => delay - dt)
+        .filter((delay) => {
+          if (delay <= 0) {
+            this.addDot_();
+            return false;
+          }
+          return true;
+        });
+
+    this.expireDots_();
+    this.freezeRemaining_ = Math.max(0, this.freezeRemaining_ - dt);
+    this.updateRound_(dt);
+  }
+
+  /**
+   * Recalculates the level from the elapsed time or score.
+   * @private
+   */
+  updateLevel_() {
+    let level = 0;
+    if (this.PROGRESSION === Progression.TIME) {
+      level = Math.floor(this.time_ / this.LEVEL_DURATION);
+    } else if (this.PROGRESSION === Progression.SCORE) {
+      level = Math.floor(this.score_ / this.LEVEL_SCORE);
+    }
+    level = Math.min(level, this.MAX_LEVEL);
+
+    if (level !== this.level_) {
+      this.level_ = level;
+      this.emit_('levelchange', {level});
+    }
+  }
+
+  /**
+   * Returns the delay before the next new dot at the current level.
+   * @return {number} Milliseconds.
+   * @private
+   */
+  getNewDotDelay_() {
+    const delay = this.NEW_DOT_GENERATION_DELAY *
+        Math.pow(1 - this.LEVEL_DELAY_DECREASE, this.level_);
+    return Math.max(delay, Math.min(this.MIN_DOT_GENERATION_DELAY,
+        this.NEW_DOT_GENERATION_DELAY));
+  }
+
+  /**
+   * Counts down the round timer and ends the round when time or lives run
+   * out.
+   * @param {number} dt Milliseconds simulated.
+   * @private
+   */
+  updateRound_(dt) {
+    if (this.ROUND_DURATION) {
+      this.timeRemaining_ = Math.max(0, this.timeRemaining_ - dt);
+    }
+
+    if ((this.ROUND_DURATION && !this.timeRemaining_) ||
+        (this.LIVES && !this.lives_)) {
+      this.finish_();
+    }
+  }
+
+  /**
+   * Adds a new dot.
+   * @private
+   */
+  addDot_() {
+    const radius = this.getRandomRadius_();
+    const x = this.getRandomPercent_();
+    const type = this.getRandomWeighted_(DOT_TYPE_WEIGHTS_);
+    const motion = this.getRandomWeighted_(MOTION_WEIGHTS_);
+    const offset = radius + this.STROKE_WIDTH;
+
+    // position dot offscreen, on the side it enters from
+    this.spawnDot_({
+      id: this.nextDotId_++,
+      r: radius,
+      x: x,
+      y: motion === Motion.FLOAT ? this.boardHeight_ + offset : -offset,
+      born: this.time_,
+      type,
+      motion,
+    });
+  }
+
+  /**
+   * Puts a dot on top of the board, reusing a removed dot's object if there
+   * is one.
+   * @param {{id: number, r: number, x: number, y: number, born: number,
+   *     type: !DotType, motion: !Motion}} settings
+   * @param {function(): number=} random Sets up the dot's motion. Defaults
+   *     to the round's generator.
+   * @private
+   */
+  spawnDot_(settings, random = this.random_) {
+    const dot = Object.assign(this.dotPool_.pop() || {}, settings);
+    dot.layer = this.nextLayer_++;
+    initMotion(dot, random);
+    this.dots_.push(dot);
+    this.updateGrid_(dot);
+  }
+
+  /**
+   * Queues a dot that has been taken off the board to be reused. Listeners
+   * can keep using dots from events until the next step.
+   * @param {!Object} dot
+   * @private
+   */
+  releaseDot_(dot) {
+    this.removedDots_.push(dot);
+    this.grid_.delete(dot);
+  }
+
+  /**
+   * Returns true once a dot has left the board on the side it travels
+   * towards.
+   * @param {!Object} dot
+   * @return {boolean}
+   * @private
+   */
+  isDotOffBoard_(dot) {
+    const offset = dot.r + this.STROKE_WIDTH;
+    return isRising(dot) ?
+        dot.y + offset < 0 : dot.y - offset > this.boardHeight_;
+  }
+
+  /**
+   * Removes dots that have gone off the board, counting them as escapes.
+   * Dots move in different directions, so any dot can be the next to go.
+   * @private
+   */
+  expireDots_() {
+    const expired = [];
+    this.dots_ = this.dots_.filter((dot) => {
+      if (this.isDotOffBoard_(dot)) {
+        expired.push(dot);
+        this.releaseDot_(dot);
+        return false;
+      }
+      return true;
+    });
+
+    // Bombs are meant to be left alone.
+    const dots = expired.filter((dot) => dot.type !== DotType.BOMB);
+    if (!dots.length) {
+      return;
+    }
+
+    this.escapes_ += dots.length;
+    this.streak_ = 0;
+    if (this.LIVES) {
+      this.lives_ = Math.max(0, this.lives_ - dots.length);
+    }
+    this.emit_('escape', {dots});
+  }
+
+  /**
+   * Changes the stage of the round.
+   * @param {!GameState} state
+   * @private
+   */
+  setState_(state) {
+    this.state_ = state;
+    this.lastTickTime_ = null;
+    this.emit_('statechange', {state});
+  }
+
+  /**
+   * Begins the round. Does nothing unless the round is ready to start.
+   */
+  begin() {
+    if (this.state_ !== GameState.READY) {
+      return;
+    }
+
+    this.addDot_();
+    this.newDotDelayRemaining_ = this.NEW_DOT_GENERATION_DELAY;
+    this.setState_(GameState.PLAYING);
+    this.inputs_ = [];
+    this.record_('resize', this.boardWidth_, this.boardHeight_);
+    this.record_('speed', this.speed_);
+  }
+
+  /**
+   * Pauses the round. The round's timers all run on simulated time, so they
+   * stay frozen until it resumes. Does nothing unless the round is being
+   * played.
+   */
+  pause() {
+    if (this.state_ === GameState.PLAYING) {
+      this.setState_(GameState.PAUSED);
+    }
+  }
+
+  /**
+   * Resumes a paused round where it left off.
+   */
+  resume() {
+    if (this.state_ === GameState.PAUSED) {
+      this.setState_(GameState.PLAYING);
+    }
+  }
+
+  /**
+   * Ends the round early.
+   */
+  stop() {
+    if (this.state_ === GameState.READY ||
+        this.state_ === GameState.FINISHED) {
+      return;
+    }
+
+    this.record_('stop');
+    this.finish_();
+  }
+
+  /**
+   * Ends the round.
+   * @private
+   */
+  finish_() {
+    this.setState_(GameState.FINISHED);
+    this.emit_('finish', this.getStats());
+  }
+
+  /**
+   * Clears the board and returns the round to the ready state, restarting
+   * the dot sequence from the seed.
+   */
+  reset() {
+    this.random_ = this.customRandom_ || createRandom(this.seed_);
+    this.accumulator_ = 0;
+    this.time_ = 0;
+    this.pendingRespawns_ = [];
+    this.inputs_ = [];
+    this.dots_.forEach((dot) => this.releaseDot_(dot));
+    this.dots_ = [];
+    this.nextDotId_ = 0;
+    this.nextLayer_ = 0;
+    this.level_ = 0;
+    this.score_ = 0;
+    this.hits_ = 0;
+    this.misses_ = 0;
+    this.escapes_ = 0;
+    this.streak_ = 0;
+    this.bestStreak_ = 0;
+    this.bombs_ = 0;
+    this.freezeRemaining_ = 0;
+    this.lives_ = this.LIVES;
+    this.timeRemaining_ = this.ROUND_DURATION;
+    this.setState_(GameState.READY);
+  }
+}
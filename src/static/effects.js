@@ -0,0 +1,360 @@
+import {GameState} from './dot-simulation.js';
+
+/** @private @enum {number|!Object<string, number>} */
+const options_ = {
+  BURST_DURATION: 500,
+  POPUP_DURATION: 800,
+  RIPPLE_DURATION: 400,
+  FADE_DURATION: 400,
+  PARTICLES: 12,
+  // Pixels per millisecond.
+  PARTICLE_SPEED: {
+    min: 0.05,
+    max: 0.25,
+  },
+  // Pixels per millisecond squared.
+  PARTICLE_GRAVITY: 0.0005,
+  PARTICLE_RADIUS: 3,
+  POPUP_RISE: 40,
+  RIPPLE_RADIUS: 30,
+  // Oldest effects are dropped past this many, so a flurry of clicks can't
+  // slow the game down.
+  MAX_EFFECTS: 100,
+};
+
+/**
+ * Kinds of effect.
+ * @enum {string}
+ */
+export const EffectType = {
+  // Particles flying out from a hit dot.
+  BURST: 'burst',
+  // Floating text, such as the points for a hit.
+  POPUP: 'popup',
+  // A ring spreading out from a miss.
+  RIPPLE: 'ripple',
+  // A dot fading away after leaving the board or being taken.
+  FADE: 'fade',
+};
+
+/**
+ * An effect on the board. Positions are in board pixels. Progress runs from
+ * 0 when the effect starts to 1 when it ends. Colors are left to the
+ * renderer, which picks them from the dot type or whether a popup is a gain
+ * or a loss.
+ * @typedef {{
+ *   type: !EffectType,
+ *   x: number,
+ *   y: number,
+ *   born: number,
+ *   duration: number,
+ *   progress: number,
+ *   dotType: (!DotType|undefined),
+ *   text: (string|undefined),
+ *   gain: (boolean|undefined),
+ *   r: (number|undefined),
+ *   particles: (!Array<{vx: number, vy: number}>|undefined),
+ * }}
+ */
+export let Effect;
+
+/**
+ * @fileOverview Dot Game visual effects.
+ * Short-lived decorations drawn over the board, such as particle bursts and
+ * floating scores. Effects run on the page's clock rather than the
+ * simulation's, and use Math.random rather than the seeded generator, so
+ * they never change how a round plays out or replays. They are held while a
+ * round they follow is paused, and carry on from where they were when it
+ * resumes.
+ */
+export class EffectsLayer {
+  /**
+   * @constructor
+   * @param {function(): number=} clock Returns the current time in
+   *     milliseconds. Defaults to the page's clock.
+   */
+  constructor(clock = () => performance.now()) {
+    /** @private {function(): number} */
+    this.clock_ = clock;
+
+    /** @private {boolean} */
+    this.enabled_ = true;
+
+    /** @private {?number} When the effects were held, if they are. */
+    this.heldAt_ = null;
+
+    /** @private {number} Milliseconds the effects have been held for. */
+    this.heldTime_ = 0;
+
+    /** @private {!Array<!Effect>} */
+    this.effects_ = [];
+  }
+
+  /**
+   * Returns the number of particles in a burst.
+   * @return {number}
+   */
+  get PARTICLES() {
+    return options_.PARTICLES;
+  }
+
+  /**
+   * Returns the downward acceleration of burst particles.
+   * @return {number}
+   */
+  get PARTICLE_GRAVITY() {
+    return options_.PARTICLE_GRAVITY;
+  }
+
+  /**
+   * Returns the radius of burst particles in pixels.
+   * @return {number}
+   */
+  get PARTICLE_RADIUS() {
+    return options_.PARTICLE_RADIUS;
+  }
+
+  /**
+   * Returns how far popups float up in pixels.
+   * @return {number}
+   */
+  get POPUP_RISE() {
+    return options_.POPUP_RISE;
+  }
+
+  /**
+   * Returns the radius ripples spread to in pixels.
+   * @return {number}
+   */
+  get RIPPLE_RADIUS() {
+    return options_.RIPPLE_RADIUS;
+  }
+
+  /**
+   * Returns the maximum number of effects shown at once.
+   * @return {number}
+   */
+  get MAX_EFFECTS() {
+    return options_.MAX_EFFECTS;
+  }
+
+  /**
+   * Returns whether new effects are shown.
+   * @return {boolean}
+   */
+  get enabled() {
+    return this.enabled_;
+  }
+
+  /**
+   * Turns effects on or off. Turning them off clears the ones showing.
+   * @param {boolean} enabled
+   */
+  set enabled(enabled) {
+    this.enabled_ = enabled;
+    if (!enabled) {
+      this.clear();
+    }
+  }
+
+  /**
+   * Returns true while any effect is still running. Held effects aren't.
+   * @return {boolean}
+   */
+  get active() {
+    return this.effects_.length > 0 && this.heldAt_ === null;
+  }
+
+  /**
+   * Returns the time effects run on: the clock's, less the time they have
+   * been held.
+   * @return {number}
+   * @private
+   */
+  now_() {
+    return (this.heldAt_ === null ? this.clock_() : this.heldAt_) -
+        this.heldTime_;
+  }
+
+  /**
+   * Holds every effect where it is until resume().
+   */
+  pause() {
+    if (this.heldAt_ === null) {
+      this.heldAt_ = this.clock_();
+    }
+  }
+
+  /**
+   * Lets held effects carry on from where they were.
+   */
+  resume() {
+    if (this.heldAt_ !== null) {
+      this.heldTime_ += this.clock_() - this.heldAt_;
+      this.heldAt_ = null;
+    }
+  }
+
+  /**
+   * Updates the progress of every effect and drops the finished ones.
+   * @return {!Array<!Effect>} The running effects, oldest first.
+   */
+  update() {
+    const now = this.now_();
+    this.effects_ = this.effects_.filter((effect) => {
+      effect.progress = (now - effect.born) / effect.duration;
+      return effect.progress < 1;
+    });
+    return this.effects_;
+  }
+
+  /**
+   * Removes every effect.
+   */
+  clear() {
+    this.effects_ = [];
+  }
+
+  /**
+   * Shows effects for a simulation's hits, misses, and dots that leave the
+   * board, and holds them while the simulation is paused.
+   * @param {!DotSimulation} simulation
+   * @param {function(): number=} getOffset Returns how far right of the
+   *     board's left edge the simulation's board is drawn, in pixels.
+   * @param {function(): boolean=} isShown Returns true if the simulation's
+   *     dots are the ones drawn. Dots that aren't drawn don't fade.
+   */
+  follow(simulation, getOffset = () => 0, isShown = () => true) {
+    const getX = (x) => x + getOffset();
+    const getDotX = (dot) => getX(simulation.percentToPixel(dot));
+    const fade = (dot) => {
+      if (isShown()) {
+        this.fade(getDotX(dot),
+            Math.min(Math.max(dot.y, 0), simulation.height), dot.r, dot.type);
+      }
+    };
+
+    simulation.on('score', ({dot, points}) => {
+      this.burst(getDotX(dot), dot.y, dot.type);
+      this.popup(getDotX(dot), dot.y, `+${points}`, true);
+    });
+    simulation.on('bomb', ({dot, penalty}) => {
+      this.burst(getDotX(dot), dot.y, dot.type);
+      this.popup(getDotX(dot), dot.y,
+          simulation.LIVES ? '−1 life' : `−${penalty}`, false);
+    });
+    simulation.on('miss', ({x, y, penalty}) => {
+      this.ripple(getX(x), y);
+      if (penalty) {
+        this.popup(getX(x), y, `−${penalty}`, false);
+      }
+    });
+    simulation.on('escape', ({dots}) => dots.forEach(fade));
+    simulation.on('remove', ({dot}) => fade(dot));
+    const hold = (state) => {
+      if (state === GameState.PAUSED) {
+        this.pause();
+      } else {
+        this.resume();
+      }
+    };
+    hold(simulation.state);
+    simulation.on('statechange', ({state}) => hold(state));
+  }
+
+  /**
+   * Sends particles flying out from a hit dot.
+   * @param {number} x
+   * @param {number} y
+   * @param {!DotType} dotType
+   */
+  burst(x, y, dotType) {
+    const {min, max} = options_.PARTICLE_SPEED;
+    const particles = [];
+    for (let i = 0; i < this.PARTICLES; i++) {
+      const angle = Math.PI * 2 * (i + Math.random()) / this.PARTICLES;
+      const speed = min + Math.random() * (max - min);
+      particles.push({
+        vx: Math.cos(angle) * speed,
+        vy: Math.sin(angle) * speed,
+      });
+    }
+    this.add_({
+      type: EffectType.BURST,
+      x,
+      y,
+      duration: options_.BURST_DURATION,
+      dotType,
+      particles,
+    });
+  }
+
+  /**
+   * Floats text up from a point.
+   * @param {number} x
+   * @param {number} y
+   * @param {string} text
+   * @param {boolean} gain True for points won, false for points or lives
+   *     lost.
+   */
+  popup(x, y, text, gain) {
+    this.add_({
+      type: EffectType.POPUP,
+      x,
+      y,
+      duration: options_.POPUP_DURATION,
+      text,
+      gain,
+    });
+  }
+
+  /**
+   * Spreads a ring out from a point.
+   * @param {number} x
+   * @param {number} y
+   */
+  ripple(x, y) {
+    this.add_({
+      type: EffectType.RIPPLE,
+      x,
+      y,
+      duration: options_.RIPPLE_DURATION,
+    });
+  }
+
+  /**
+   * Fades out a dot that has left the board.
+   * @param {number} x
+   * @param {number} y
+   * @param {number} r
+   * @param {!DotType} dotType
+   */
+  fade(x, y, r, dotType) {
+    this.add_({
+      type: EffectType.FADE,
+      x,
+      y,
+      duration: options_.FADE_DURATION,
+      r,
+      dotType,
+    });
+  }
+
+  /**
+   * Starts an effect, if effects are enabled.
+   * @param {!Object} effect
+   * @private
+   */
+  add_(effect) {
+    if (!this.enabled_) {
+      return;
+    }
+
+    effect.born = this.now_();
+    effect.progress = 0;
+    this.effects_.push(/** @type {!Effect} */ (effect));
+    if (this.effects_.length > this.MAX_EFFECTS) {
+      this.effects_.shift();
+    }
+  }
+}
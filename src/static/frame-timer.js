@@ -0,0 +1,142 @@
+/** @private @enum {number} */
+const options_ = {
+  // Frames further apart than this many milliseconds missed at least one
+  // refresh of a 60Hz screen.
+  SLOW_FRAME_INTERVAL: 1000 / 60 * 1.5,
+  PERCENTILE: 0.95,
+};
+
+/**
+ * Frame timings summed up over a run.
+ * @typedef {{
+ *   frames: number,
+ *   meanFrameTime: number,
+ *   p95FrameTime: number,
+ *   maxFrameTime: number,
+ *   fps: number,
+ *   slowFrames: number,
+ * }}
+ */
+export let FrameReport;
+
+/**
+ * @fileOverview Dot Game frame timer.
+ * Measures how long each animation frame spends simulating and drawing, and
+ * how far apart frames are, for the benchmark mode.
+ */
+export class FrameTimer {
+  /**
+   * @constructor
+   * @param {function(): number=} clock Returns the current time in
+   *     milliseconds. Defaults to the page's clock.
+   */
+  constructor(clock = () => performance.now()) {
+    /** @private {function(): number} */
+    this.clock_ = clock;
+
+    /** @private {?number} When the current frame began. */
+    this.frameStart_ = null;
+
+    /** @private {?number} When the previous frame began. */
+    this.previousStart_ = null;
+
+    /** @private {!Array<number>} Milliseconds each frame took. */
+    this.frameTimes_ = [];
+
+    /** @private {!Array<number>} Milliseconds between frames. */
+    this.intervals_ = [];
+  }
+
+  /**
+   * Returns the interval between frames past which a frame counts as slow.
+   * @return {number}
+   */
+  get SLOW_FRAME_INTERVAL() {
+    return options_.SLOW_FRAME_INTERVAL;
+  }
+
+  /**
+   * Returns the percentile of frame times reported as p95FrameTime.
+   * @return {number}
+   */
+  get PERCENTILE() {
+    return options_.PERCENTILE;
+  }
+
+  /**
+   * Returns the number of frames timed.
+   * @return {number}
+   */
+  get frames() {
+    return this.frameTimes_.length;
+  }
+
+  /**
+   * Returns how long the latest frame took in milliseconds.
+   * @return {number}
+   */
+  get lastFrameTime() {
+    return this.frameTimes_.length ?
+        this.frameTimes_[this.frameTimes_.length - 1] : 0;
+  }
+
+  /**
+   * Marks the start of a frame's work.
+   */
+  begin() {
+    this.frameStart_ = this.clock_();
+  }
+
+  /**
+   * Marks the end of a frame's work. Ignored without a matching begin().
+   */
+  end() {
+    if (this.frameStart_ === null) {
+      return;
+    }
+
+    this.frameTimes_.push(this.clock_() - this.frameStart_);
+    if (this.previousStart_ !== null) {
+      this.intervals_.push(this.frameStart_ - this.previousStart_);
+    }
+    this.previousStart_ = this.frameStart_;
+    this.frameStart_ = null;
+  }
+
+  /**
+   * Forgets every frame timed, for example while the round is paused.
+   * @param {boolean=} keepTimes True to only forget when the last frame
+   *     was, so the gap until the next one isn't counted.
+   */
+  reset(keepTimes = false) {
+    this.frameStart_ = null;
+    this.previousStart_ = null;
+    if (!keepTimes) {
+      this.frameTimes_ = [];
+      this.intervals_ = [];
+    }
+  }
+
+  /**
+   * Sums up the frames timed so far.
+   * @return {!FrameReport}
+   */
+  getReport() {
+    const times = this.frameTimes_.slice().sort((a, b) => a - b);
+    const sum = (values) => values.reduce((total, value) => total + value, 0);
+    const meanInterval = this.intervals_.length ?
+        sum(this.intervals_) / this.intervals_.length : 0;
+
+    return {
+      frames: times.length,
+      meanFrameTime: times.length ? sum(times) / times.length : 0,
+      p95FrameTime: times.length ?
+          times[Math.min(Math.floor(times.length * this.PERCENTILE),
+              times.length - 1)] : 0,
+      maxFrameTime: times.length ? times[times.length - 1] : 0,
+      fps: meanInterval ? 1000 / meanInterval : 0,
+      slowFrames: this.intervals_.filter(
+          (interval) => interval > this.SLOW_FRAME_INTERVAL).length,
+    };
+  }
+}
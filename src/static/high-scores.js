@@ -0,0 +1,526 @@
+import {
+  CUSTOM_DIFFICULTY,
+  DIFFICULTY_PRESETS,
+  applyDifficulty,
+  getDifficulty,
+} from './difficulty.js';
+import {OPTION_SPECS, resolveOptions} from './dot-simulation.js';
+import {hashSeed} from './random.js';
+
+/** @private @enum {string|number} */
+const options_ = {
+  STORAGE_KEY: 'dot-game-high-scores',
+  MAX_ENTRIES: 10,
+  TITLE_QUERY_SELECTOR: '.high-scores__table',
+  LIST_QUERY_SELECTOR: '.high-scores__list',
+  EMPTY_QUERY_SELECTOR: '.high-scores__empty',
+  FORM_QUERY_SELECTOR: '.high-scores__form',
+  INITIALS_QUERY_SELECTOR: '.high-scores__initials',
+  EXPORT_QUERY_SELECTOR: '.high-scores__export',
+  IMPORT_QUERY_SELECTOR: '.high-scores__import',
+  ERROR_QUERY_SELECTOR: '.high-scores__error',
+  ONLINE_QUERY_SELECTOR: '.high-scores__online-scores',
+  ONLINE_LIST_QUERY_SELECTOR: '.high-scores__online-list',
+};
+
+/**
+ * Player initials: one to three letters.
+ * @private @const {!RegExp}
+ */
+const INITIALS_PATTERN_ = /^[A-Z]{1,3}$/;
+
+/**
+ * Names of tables for options that don't match a preset.
+ * @private @const {!RegExp}
+ */
+const CUSTOM_TABLE_PATTERN_ = new RegExp(`^${CUSTOM_DIFFICULTY}-[0-9a-z]+$`);
+
+/**
+ * @fileOverview Dot Game high scores.
+ * Keeps a top list for each set of options in local storage, so scores are
+ * only ranked against rounds played the same way. Preset difficulties share
+ * a table named after the preset, and other options get a table named after
+ * a hash of their values.
+ */
+
+/**
+ * One ranked round.
+ * @typedef {{
+ *   initials: string,
+ *   score: number,
+ *   accuracy: number,
+ *   date: string,
+ *   seed: string,
+ * }}
+ */
+export let HighScore;
+
+/**
+ * Returns the name of the high score table for a set of options.
+ * @param {!Object} options Complete simulation options.
+ * @return {string}
+ */
+export function getHighScoreTable(options) {
+  const names = Object.keys(OPTION_SPECS);
+  const difficulty = getDifficulty(options);
+  if (difficulty !== CUSTOM_DIFFICULTY) {
+    const preset = resolveOptions(applyDifficulty(difficulty));
+    if (names.every((name) => preset[name] === options[name])) {
+      return difficulty;
+    }
+  }
+
+  const values = names.map((name) => options[name]);
+  return `${CUSTOM_DIFFICULTY}-${hashSeed(JSON.stringify(values))
+      .toString(36)}`;
+}
+
+/**
+ * Checks that an object is a well formed set of high score tables.
+ * @param {*} tables
+ * @return {!Object<string, !Array<!HighScore>>} The tables, without any
+ *     whose name getHighScoreTable() could not have given, such as
+ *     '__proto__'.
+ * @throws {Error} If the tables are malformed.
+ */
+export function validateHighScores(tables) {
+  if (!tables || typeof tables !== 'object' || Array.isArray(tables)) {
+    throw new Error('High scores must be an object.');
+  }
+
+  const valid = {};
+  Object.keys(tables).filter((table) =>
+    DIFFICULTY_PRESETS.hasOwnProperty(table) ||
+        CUSTOM_TABLE_PATTERN_.test(table)).forEach((table) => {
+    if (!Array.isArray(tables[table])) {
+      throw new Error(`High score table ${table} must be a list.`);
+    }
+    tables[table].forEach((entry, i) => {
+      if (!entry || typeof entry !== 'object' ||
+          !INITIALS_PATTERN_.test(entry.initials) ||
+          !Number.isFinite(entry.score) ||
+          !Number.isFinite(entry.accuracy) ||
+          typeof entry.date !== 'string' || isNaN(Date.parse(entry.date)) ||
+          typeof entry.seed !== 'string') {
+        throw new Error(`High score ${i} in table ${table} is malformed.`);
+      }
+    });
+    valid[table] = tables[table];
+  });
+
+  return valid;
+}
+
+/**
+ * Returns the high score tables saved in local storage.
+ * @return {!Object<string, !Array<!HighScore>>}
+ */
+export function loadHighScores() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(options_.STORAGE_KEY));
+    return saved ? validateHighScores(saved) : {};
+  } catch (e) {
+    return {};
+  }
+}
+
+/**
+ * Saves the high score tables to local storage.
+ * @param {!Object<string, !Array<!HighScore>>} tables
+ */
+export function saveHighScores(tables) {
+  try {
+    localStorage.setItem(options_.STORAGE_KEY, JSON.stringify(tables));
+  } catch (e) {
+    // Storage is unavailable, so high scores only last for this page.
+  }
+}
+
+/**
+ * Sorts entries from best to worst and keeps the top MAX_ENTRIES. Ties go
+ * to the earlier score.
+ * @param {!Array<!HighScore>} entries
+ * @return {!Array<!HighScore>}
+ * @private
+ */
+function rank_(entries) {
+  return entries
+      .slice()
+      .sort((a, b) => b.score - a.score ||
+          Date.parse(a.date) - Date.parse(b.date))
+      .slice(0, options_.MAX_ENTRIES);
+}
+
+/**
+ * Returns true if a score would make it onto a table.
+ * @param {!Object<string, !Array<!HighScore>>} tables
+ * @param {string} table
+ * @param {number} score
+ * @return {boolean}
+ */
+export function isHighScore(tables, table, score) {
+  const entries = tables[table] || [];
+  return score > 0 && (entries.length < options_.MAX_ENTRIES ||
+      score > entries[entries.length - 1].score);
+}
+
+/**
+ * Adds a score to a table.
+ * @param {!Object<string, !Array<!HighScore>>} tables Updated in place.
+ * @param {string} table
+ * @param {!HighScore} entry
+ * @return {number} The entry's position in the table, or -1 if it didn't
+ *     make it.
+ */
+export function addHighScore(tables, table, entry) {
+  tables[table] = rank_((tables[table] || []).concat(entry));
+  return tables[table].indexOf(entry);
+}
+
+/**
+ * Adds imported tables to existing ones, skipping duplicate entries.
+ * @param {!Object<string, !Array<!HighScore>>} tables Updated in place.
+ * @param {!Object<string, !Array<!HighScore>>} imported
+ */
+export function mergeHighScores(tables, imported) {
+  Object.keys(imported).forEach((table) => {
+    const entries = tables[table] || [];
+    const keys = entries.map((entry) => JSON.stringify(entry));
+    const added = imported[table].filter(
+        (entry) => keys.indexOf(JSON.stringify(entry)) === -1);
+    tables[table] = rank_(entries.concat(added));
+  });
+}
+
+/**
+ * Lists entries, best first.
+ * @param {!Element} list
+ * @param {!Array<!HighScore>} entries
+ * @param {number} highlight Position of the entry to highlight, or -1.
+ * @private
+ */
+function renderEntries_(list, entries, highlight) {
+  list.textContent = '';
+  entries.forEach((entry, i) => {
+    const item = document.createElement('li');
+    item.className = 'high-scores__entry';
+    if (i === highlight) {
+      item.classList.add('high-scores__entry--new');
+    }
+    [
+      entry.initials,
+      entry.score,
+      `${entry.accuracy}%`,
+      new Date(entry.date).toLocaleDateString(),
+    ].forEach((value) => {
+      const cell = document.createElement('span');
+      cell.textContent = value;
+      item.appendChild(cell);
+    });
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Shows the high score table for the last round, and the online leaderboard's
+ * top scores for it when the server is available, asks for the player's
+ * initials when the round makes the table, and imports and exports the
+ * tables as JSON.
+ */
+export class HighScoreBoard {
+  /**
+   * @constructor
+   * @param {!Element} element
+   * @param {?function(string, !HighScore)=} onSubmit Called with the table
+   *     and entry whenever the player enters their initials.
+   */
+  constructor(element, onSubmit = null) {
+    /** @private {!Element} */
+    this.element_ = element;
+
+    /** @private {?function(string, !HighScore)} */
+    this.onSubmit_ = onSubmit;
+
+    /** @private {!Object<string, !Array<!HighScore>>} */
+    this.tables_ = loadHighScores();
+
+    /** @private {?string} Table being shown. */
+    this.table_ = null;
+
+    /** @private {?{score: number, accuracy: number, seed: string}} */
+    this.pending_ = null;
+
+    /** @private {number} Position of the player's new entry. */
+    this.highlight_ = -1;
+
+    /** @private {!Element} */
+    this.titleElement_ = element.querySelector(this.TITLE_QUERY_SELECTOR);
+
+    /** @private {!Element} */
+    this.listElement_ = element.querySelector(this.LIST_QUERY_SELECTOR);
+
+    /** @private {!Element} */
+    this.emptyElement_ = element.querySelector(this.EMPTY_QUERY_SELECTOR);
+
+    /** @private {!HTMLFormElement} */
+    this.form_ = element.querySelector(this.FORM_QUERY_SELECTOR);
+
+    /** @private {!HTMLInputElement} */
+    this.initialsInput_ = element.querySelector(this.INITIALS_QUERY_SELECTOR);
+
+    /** @private {!Element} */
+    this.errorElement_ = element.querySelector(this.ERROR_QUERY_SELECTOR);
+
+    /** @private {!Element} */
+    this.onlineElement_ = element.querySelector(this.ONLINE_QUERY_SELECTOR);
+
+    /** @private {!Element} */
+    this.onlineListElement_ = element.querySelector(
+        this.ONLINE_LIST_QUERY_SELECTOR);
+
+    this.form_.addEventListener('submit', (e) => this.submit_(e));
+    element.querySelector(this.EXPORT_QUERY_SELECTOR)
+        .addEventListener('click', () => this.export_());
+    element.querySelector(this.IMPORT_QUERY_SELECTOR)
+        .addEventListener('change', (e) => this.import_(e));
+  }
+
+  /**
+   * Returns the most entries kept in each table.
+   * @return {number}
+   */
+  get MAX_ENTRIES() {
+    return options_.MAX_ENTRIES;
+  }
+
+  /**
+   * Returns the query selector for the name of the table being shown.
+   * @return {string}
+   */
+  get TITLE_QUERY_SELECTOR() {
+    return options_.TITLE_QUERY_SELECTOR;
+  }
+
+  /**
+   * Returns the query selector for the list of entries.
+   * @return {string}
+   */
+  get LIST_QUERY_SELECTOR() {
+    return options_.LIST_QUERY_SELECTOR;
+  }
+
+  /**
+   * Returns the query selector for the message shown when a table is empty.
+   * @return {string}
+   */
+  get EMPTY_QUERY_SELECTOR() {
+    return options_.EMPTY_QUERY_SELECTOR;
+  }
+
+  /**
+   * Returns the query selector for the initials form.
+   * @return {string}
+   */
+  get FORM_QUERY_SELECTOR() {
+    return options_.FORM_QUERY_SELECTOR;
+  }
+
+  /**
+   * Returns the query selector for the initials input.
+   * @return {string}
+   */
+  get INITIALS_QUERY_SELECTOR() {
+    return options_.INITIALS_QUERY_SELECTOR;
+  }
+
+  /**
+   * Returns the query selector for the export button.
+   * @return {string}
+   */
+  get EXPORT_QUERY_SELECTOR() {
+    return options_.EXPORT_QUERY_SELECTOR;
+  }
+
+  /**
+   * Returns the query selector for the import file input.
+   * @return {string}
+   */
+  get IMPORT_QUERY_SELECTOR() {
+    return options_.IMPORT_QUERY_SELECTOR;
+  }
+
+  /**
+   * Returns the query selector for the error message.
+   * @return {string}
+   */
+  get ERROR_QUERY_SELECTOR() {
+    return options_.ERROR_QUERY_SELECTOR;
+  }
+
+  /**
+   * Returns the query selector for the online top scores.
+   * @return {string}
+   */
+  get ONLINE_QUERY_SELECTOR() {
+    return options_.ONLINE_QUERY_SELECTOR;
+  }
+
+  /**
+   * Returns the query selector for the list of online top scores.
+   * @return {string}
+   */
+  get ONLINE_LIST_QUERY_SELECTOR() {
+    return options_.ONLINE_LIST_QUERY_SELECTOR;
+  }
+
+  /**
+   * Returns true while the board is waiting for the player's initials.
+   * @return {boolean}
+   */
+  get pending() {
+    return !!this.pending_;
+  }
+
+  /**
+   * Shows a table, asking for initials if a finished round makes it.
+   * @param {string} table
+   * @param {?{score: number, accuracy: number, seed: string}=} round The
+   *     round just played, if it can be ranked.
+   * @param {boolean=} submittable True to ask for initials even when the
+   *     round misses the local table, because it can be submitted elsewhere.
+   */
+  show(table, round = null, submittable = false) {
+    this.table_ = table;
+    this.highlight_ = -1;
+    this.pending_ = round && (submittable ||
+        isHighScore(this.tables_, table, round.score)) ? round : null;
+    this.form_.hidden = !this.pending_;
+    this.onlineElement_.hidden = true;
+    this.displayError_(null);
+    this.render_();
+  }
+
+  /**
+   * Shows the online leaderboard's top scores for a table, if the table is
+   * still the one shown.
+   * @param {string} table
+   * @param {!Array<!Object>} scores The top scores, best first.
+   * @param {number=} highlight Position of the player's entry, or -1.
+   */
+  showOnline(table, scores, highlight = -1) {
+    if (table !== this.table_) {
+      return;
+    }
+
+    renderEntries_(this.onlineListElement_, scores, highlight);
+    this.onlineElement_.hidden = !scores.length;
+  }
+
+  /**
+   * Focuses the initials input if the board is waiting for initials.
+   * @return {boolean} True if the input was focused.
+   */
+  focus() {
+    if (this.pending_) {
+      this.initialsInput_.focus();
+    }
+    return this.pending;
+  }
+
+  /**
+   * Lists the entries of the table being shown.
+   * @private
+   */
+  render_() {
+    const entries = this.tables_[this.table_] || [];
+    this.titleElement_.textContent = this.table_;
+    this.emptyElement_.hidden = entries.length > 0;
+    renderEntries_(this.listElement_, entries, this.highlight_);
+  }
+
+  /**
+   * Adds the pending round to the table under the entered initials.
+   * @param {!Event} e
+   * @private
+   */
+  submit_(e) {
+    e.preventDefault();
+    const initials = this.initialsInput_.value.trim().toUpperCase();
+    if (!INITIALS_PATTERN_.test(initials)) {
+      this.displayError_('Enter one to three letters.');
+      return;
+    }
+
+    const entry = Object.assign({initials, date: new Date().toISOString()},
+        this.pending_);
+    if (isHighScore(this.tables_, this.table_, entry.score)) {
+      this.highlight_ = addHighScore(this.tables_, this.table_, entry);
+      saveHighScores(this.tables_);
+    }
+    if (this.onSubmit_) {
+      this.onSubmit_(this.table_, entry);
+    }
+    this.pending_ = null;
+    this.form_.hidden = true;
+    this.displayError_(null);
+    this.render_();
+  }
+
+  /**
+   * Saves every table as a JSON file.
+   * @private
+   */
+  export_() {
+    const blob = new Blob([JSON.stringify(this.tables_)],
+        {type: 'application/json'});
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = 'dot-game-high-scores.json';
+    link.click();
+    // The download may start after click() returns, so the URL is kept
+    // until then.
+    setTimeout(() => URL.revokeObjectURL(link.href));
+  }
+
+  /**
+   * Adds the tables from a JSON file chosen with the file input.
+   * @param {!Event} e
+   * @private
+   */
+  import_(e) {
+    const file = e.target.files[0];
+    if (!file) {
+      return;
+    }
+
+    const reader = new FileReader();
+    reader.addEventListener('load', () => {
+      try {
+        let imported;
+        try {
+          imported = JSON.parse(reader.result);
+        } catch (error) {
+          throw new Error('High scores are not valid JSON.');
+        }
+        mergeHighScores(this.tables_, validateHighScores(imported));
+        saveHighScores(this.tables_);
+        this.displayError_(null);
+        this.render_();
+      } catch (error) {
+        this.displayError_(error.message);
+      }
+    });
+    reader.readAsText(file);
+    e.target.value = '';
+  }
+
+  /**
+   * Shows an error message, or hides it if there is none.
+   * @param {?string} message
+   * @private
+   */
+  displayError_(message) {
+    this.errorElement_.textContent = message || '';
+    this.errorElement_.hidden = !message;
+  }
+}
@@ -1,20 +1,121 @@
-/** @private @enum {number|string|boolean} */
+import {Announcer} from './announcer.js';
+import {CanvasRenderer} from './canvas-renderer.js';
+import {Crosshair} from './crosshair.js';
+import {
+  DotSimulation,
+  GameState,
+  OPTION_SPECS,
+  Progression,
+  resolveOptions,
+} from './dot-simulation.js';
+import {applyDifficulty} from './difficulty.js';
+import {EffectsLayer} from './effects.js';
+import {FrameTimer} from './frame-timer.js';
+import {HighScoreBoard, getHighScoreTable} from './high-scores.js';
+import {LeaderboardClient} from './leaderboard.js';
+import {LocalMatch, LocalMode} from './local-match.js';
+import {
+  MultiplayerClient,
+  MultiplayerPanel,
+  RaceMode,
+} from './multiplayer.js';
+import {parseOptions} from './options.js';
+import {registerScoringStrategy} from './scoring.js';
+import {generateSeed} from './random.js';
+import {ReplayPlayer, parseReplay} from './replay.js';
+import {SettingsPanel, loadSettings, saveSettings} from './settings.js';
+import {SoundEngine} from './sound.js';
+import {
+  CUSTOM_THEME,
+  DEFAULT_THEME,
+  THEMES,
+  applyThemeStyles,
+  loadTheme,
+  parseTheme,
+  saveTheme,
+} from './themes.js';
+import {WorkerRenderer} from './worker-renderer.js';
+
+/** @private @enum {string|number|!Array<string>} */
 const options_ = {
-  FRAMES_PER_SECOND: 60,
-  MIN_DOT_DIAMETER: 10,
-  MAX_DOT_DIAMETER: 100,
-  NEW_DOT_GENERATION_DELAY: 1000,
-  DOT_RESPAWN_DELAY: 1000,
-  STROKE_COLOR: 'rgba(0, 0, 0, 1)',
-  STROKE_WIDTH: 1,
-  DOT_FILL_COLOR: 'rgba(255, 255, 255, 1)',
-  BOARD_INNER_PADDING: 5,
   BOARD_QUERY_SELECTOR: 'canvas',
   SPEED_QUERY_SELECTOR: '#speed',
   SCORE_QUERY_SELECTOR: '#score',
-  DOT_START_ANGLE: 0,
-  DOT_END_ANGLE: Math.PI / 180 * 360,
-  PROPAGATE_HITS: false,
+  TIME_QUERY_SELECTOR: '#time',
+  LIVES_QUERY_SELECTOR: '#lives',
+  RESULTS_QUERY_SELECTOR: '#results',
+  RESTART_QUERY_SELECTOR: '#restart',
+  PAUSE_QUERY_SELECTOR: '#pause',
+  PAUSE_KEYS: ['p', 'Escape'],
+  REPLAY_QUERY_SELECTOR: '#replay-seed',
+  SEED_PARAM: 'seed',
+  WATCH_REPLAY_QUERY_SELECTOR: '#watch-replay',
+  DOWNLOAD_REPLAY_QUERY_SELECTOR: '#download-replay',
+  LOAD_REPLAY_QUERY_SELECTOR: '#load-replay',
+  REPLAY_ERROR_QUERY_SELECTOR: '#replay-error',
+  REPLAY_BADGE_QUERY_SELECTOR: '#replay-badge',
+  SETTINGS_QUERY_SELECTOR: '#settings',
+  SETTINGS_FORM_QUERY_SELECTOR: '#settings-form',
+  LEVEL_QUERY_SELECTOR: '#level',
+  COMBO_QUERY_SELECTOR: '#combo',
+  ACCURACY_QUERY_SELECTOR: '#accuracy',
+  BEST_STREAK_QUERY_SELECTOR: '#best-streak',
+  DIFFICULTY_PARAM: 'difficulty',
+  HIGH_SCORES_QUERY_SELECTOR: '#high-scores',
+  LEADERBOARD_QUERY_SELECTOR: '#leaderboard',
+  MULTIPLAYER_QUERY_SELECTOR: '#multiplayer',
+  MULTIPLAYER_FORM_QUERY_SELECTOR: '#multiplayer-form',
+  MULTIPLAYER_RESULT_QUERY_SELECTOR: '#multiplayer-result',
+  LOCAL_MODE_QUERY_SELECTOR: '#local-mode',
+  PLAYER_SCORES_QUERY_SELECTOR: '#player-scores',
+  PLAYER_SCORE_QUERY_SELECTOR: '.panel__player-score',
+  HIT_KEYS: [' ', 'Enter'],
+  ANNOUNCER_QUERY_SELECTOR: '#announcer',
+  THEME_QUERY_SELECTOR: '#theme',
+  LOAD_THEME_QUERY_SELECTOR: '#load-theme',
+  THEME_ERROR_QUERY_SELECTOR: '#theme-error',
+  HIGH_CONTRAST_MEDIA_QUERY:
+      '(prefers-contrast: more), (forced-colors: active)',
+  DARK_MEDIA_QUERY: '(prefers-color-scheme: dark)',
+  REDUCED_MOTION_MEDIA_QUERY: '(prefers-reduced-motion: reduce)',
+  EFFECTS_QUERY_SELECTOR: '#effects',
+  VOLUME_QUERY_SELECTOR: '#volume',
+  MUTE_QUERY_SELECTOR: '#mute',
+  BENCHMARK_PARAM: 'benchmark',
+  BENCHMARK_SEED: 'benchmark',
+  BENCHMARK_HITS_PER_FRAME: 1,
+  BENCHMARK_QUERY_SELECTOR: '#benchmark',
+  FRAME_TIME_QUERY_SELECTOR: '#frame-time',
+  DOT_COUNT_QUERY_SELECTOR: '#dot-count',
+  BENCHMARK_RESULT_QUERY_SELECTOR: '#benchmark-result',
+  WORKER_PARAM: 'worker',
+};
+
+/**
+ * Simulation defaults for players who prefer reduced motion: every dot falls
+ * straight down at a steady speed.
+ * @private @const {!Object}
+ */
+const REDUCED_MOTION_OPTIONS_ = {
+  SINE_MOTION_WEIGHT: 0,
+  DIAGONAL_MOTION_WEIGHT: 0,
+  ACCELERATE_MOTION_WEIGHT: 0,
+  BOUNCE_MOTION_WEIGHT: 0,
+  FLOAT_MOTION_WEIGHT: 0,
+};
+
+/**
+ * Simulation options for benchmark rounds: the fastest spawning and slowest
+ * dots, so the board keeps filling up for the whole round.
+ * @private @const {!Object}
+ */
+const BENCHMARK_OPTIONS_ = {
+  SPEED: 10,
+  NEW_DOT_GENERATION_DELAY: 10,
+  ROUND_DURATION: 30000,
+  LIVES: 0,
+  MISS_PENALTY: 0,
+  PROGRESSION: Progression.OFF,
 };
 
 /**
@@ -24,26 +125,103 @@ const options_ = {
  */
 class DotGame {
   /**
+   * Options are applied in order of precedence: the simulation defaults,
+   * then REDUCED_MOTION_OPTIONS_ if the player prefers reduced motion, then
+   * the options passed here, then settings saved from the settings
+   * panel, then options in the page's query string, then BENCHMARK_OPTIONS_
+   * in benchmark mode. Once the player saves the settings panel, its values
+   * replace the saved, query string and benchmark ones. A difficulty preset
+   * is applied before the other options from the same source.
+   *
+   * Adding the BENCHMARK_PARAM to the query string turns on benchmark mode:
+   * rounds fill the board with dots and hit at random every frame, and the
+   * results report how long frames took.
+   *
+   * Adding the WORKER_PARAM to the query string plays each round and draws
+   * the board in a worker, where the browser supports it, so work on the
+   * page can't stall the dots. Elsewhere the board is drawn on the page as
+   * usual. Local multiplayer, online play and watching
+   * replays need the board on the page, so they are unavailable in this mode.
+   *
    * @constructor
+   * @param {!Object=} options Overrides for any of the simulation's
+   *     OPTION_SPECS, plus an optional difficulty preset name and an
+   *     optional seed for every round. The seed defaults to the one in the
+   *     page's query string, or a new seed for each round if there is none.
+   * @throws {Error} If an option is unknown or invalid.
    */
-  constructor() {
+  constructor(options = {}) {
+    const {seed = this.getSeedParam_(), difficulty} = options;
+    const reducedMotion = matchMedia(this.REDUCED_MOTION_MEDIA_QUERY).matches;
+    const params = new URLSearchParams(window.location.search);
+    const benchmark = params.has(this.BENCHMARK_PARAM);
+    const worker = params.has(this.WORKER_PARAM) &&
+        WorkerRenderer.isSupported();
+
+    /** @private {?FrameTimer} Times every frame in benchmark mode. */
+    this.benchmark_ = benchmark ? new FrameTimer() : null;
+
+    /** @private {number} Most dots on the board at once in benchmark mode. */
+    this.peakDots_ = 0;
+
+    /**
+     * @private {?string} Benchmarks all use the same seed, so runs can be
+     *     compared.
+     */
+    this.fixedSeed_ = seed || (benchmark ? this.BENCHMARK_SEED : null);
+
+    const overrides = Object.assign({}, options);
+    delete overrides.seed;
+    delete overrides.difficulty;
+
+    /** @private {!Object} Simulation options passed to the constructor. */
+    this.baseOptions_ = Object.assign({},
+        reducedMotion ? REDUCED_MOTION_OPTIONS_ : {},
+        applyDifficulty(difficulty, overrides));
+    resolveOptions(this.baseOptions_);
+
+    /** @private {?string} Why the player's settings were ignored, if so. */
+    this.settingsError_ = null;
+
+    /** @private {!Object} Simulation options for each round. */
+    this.simulationOptions_ = this.getPlayerOptions_();
+
     /** @private {!Element} */
     this.board_ = document.querySelector(this.BOARD_QUERY_SELECTOR);
 
-    /** @private {!Context} */
-    this.ctx_ = this.board_.getContext('2d');
+    /** @private {?WorkerRenderer} Hands the board to a worker. */
+    this.worker_ = worker ? new WorkerRenderer(this.board_) : null;
 
-    /** @private {number} */
-    this.boardWidth_ = 0;
+    /** @private {!CanvasRenderer|!WorkerRenderer} */
+    this.renderer_ = this.worker_ || new CanvasRenderer(this.board_);
 
-    /** @private {number} */
-    this.boardHeight_ = 0;
+    /** @private {!Crosshair} Aims hits made with the keyboard. */
+    this.crosshair_ = new Crosshair();
 
-    /** @private {Object} */
-    this.boardOffsets_ = {
-      x: 0,
-      y: 0,
-    };
+    /** @private {boolean} Whether the board has keyboard focus. */
+    this.aiming_ = false;
+
+    /** @private {!EffectsLayer} Decorations drawn over the dots. */
+    this.effects_ = new EffectsLayer();
+    this.effects_.enabled = !reducedMotion;
+    if (this.worker_) {
+      this.worker_.setEffectsEnabled(this.effects_.enabled);
+    }
+
+    /** @private {!LocalMode} How many players share the screen, and how. */
+    this.localMode_ = LocalMode.OFF;
+
+    /** @private {?LocalMatch} Both players' rounds in local multiplayer. */
+    this.match_ = null;
+
+    /**
+     * @private {!DotSimulation|!WorkerSimulation} The round, or player one's
+     *     round.
+     */
+    this.simulation_ = this.createRound_(this.fixedSeed_ || generateSeed());
+
+    /** @private {?ReplayPlayer} Plays back a replay instead of live input. */
+    this.player_ = null;
 
     /** @private {boolean} */
     this.resize_ = false;
@@ -51,158 +229,1065 @@ class DotGame {
     /** @private {!Element} */
     this.speedInput_ = document.querySelector(this.SPEED_QUERY_SELECTOR);
 
-    /** @private {number} */
-    this.score_ = 0;
-
     /** @private {!Element} */
     this.scoreElement_ = document.querySelector(this.SCORE_QUERY_SELECTOR);
 
-    /** @private {number} */
-    this.speed_ = 0;
+    /** @private {?number} */
+    this.animationFrame_ = null;
+
+    /** @private {!Element} */
+    this.timeElement_ = document.querySelector(this.TIME_QUERY_SELECTOR);
+
+    /** @private {!Element} */
+    this.livesElement_ = document.querySelector(this.LIVES_QUERY_SELECTOR);
+
+    /** @private {!Element} */
+    this.resultsElement_ = document.querySelector(this.RESULTS_QUERY_SELECTOR);
+
+    /** @private {!Element} */
+    this.restartButton_ = document.querySelector(this.RESTART_QUERY_SELECTOR);
+
+    /** @private {!Element} */
+    this.pauseButton_ = document.querySelector(this.PAUSE_QUERY_SELECTOR);
+
+    /** @private {!HTMLAnchorElement} */
+    this.replayLink_ = document.querySelector(this.REPLAY_QUERY_SELECTOR);
+
+    /** @private {!Element} */
+    this.watchReplayButton_ = document.querySelector(
+        this.WATCH_REPLAY_QUERY_SELECTOR);
+
+    /** @private {!Element} */
+    this.downloadReplayButton_ = document.querySelector(
+        this.DOWNLOAD_REPLAY_QUERY_SELECTOR);
+
+    /** @private {!HTMLInputElement} */
+    this.loadReplayInput_ = document.querySelector(
+        this.LOAD_REPLAY_QUERY_SELECTOR);
+
+    /** @private {!Element} */
+    this.replayErrorElement_ = document.querySelector(
+        this.REPLAY_ERROR_QUERY_SELECTOR);
+
+    /** @private {!Element} */
+    this.replayBadge_ = document.querySelector(
+        this.REPLAY_BADGE_QUERY_SELECTOR);
+
+    /** @private {!HTMLDetailsElement} */
+    this.settingsElement_ = document.querySelector(
+        this.SETTINGS_QUERY_SELECTOR);
+
+    /** @private {!SettingsPanel} */
+    this.settingsPanel_ = new SettingsPanel(
+        document.querySelector(this.SETTINGS_FORM_QUERY_SELECTOR),
+        OPTION_SPECS, (settings) => this.applySettings_(settings));
+    this.settingsPanel_.setValues(this.simulation_.getOptions());
+    this.settingsPanel_.displayError(this.settingsError_);
+
+    /** @private {!Element} */
+    this.levelElement_ = document.querySelector(this.LEVEL_QUERY_SELECTOR);
+
+    /** @private {!Element} */
+    this.comboElement_ = document.querySelector(this.COMBO_QUERY_SELECTOR);
+
+    /** @private {!Element} */
+    this.accuracyElement_ = document.querySelector(
+        this.ACCURACY_QUERY_SELECTOR);
+
+    /** @private {!Element} */
+    this.bestStreakElement_ = document.querySelector(
+        this.BEST_STREAK_QUERY_SELECTOR);
+
+    /** @private {!HighScoreBoard} */
+    this.highScores_ = new HighScoreBoard(
+        document.querySelector(this.HIGH_SCORES_QUERY_SELECTOR),
+        (table, entry) => this.submitScore_(entry));
+
+    /** @private {!LeaderboardClient} */
+    this.leaderboard_ = new LeaderboardClient();
+
+    /** @private {!Element} */
+    this.leaderboardElement_ = document.querySelector(
+        this.LEADERBOARD_QUERY_SELECTOR);
+
+    /** @private {!MultiplayerClient} */
+    this.multiplayer_ = new MultiplayerClient();
+
+    /** @private {?RaceMode} Mode of the multiplayer round being played. */
+    this.multiplayerMode_ = null;
+
+    /** @private {!HTMLDetailsElement} */
+    this.multiplayerElement_ = document.querySelector(
+        this.MULTIPLAYER_QUERY_SELECTOR);
+
+    /** @private {!MultiplayerPanel} */
+    this.multiplayerPanel_ = new MultiplayerPanel(
+        document.querySelector(this.MULTIPLAYER_FORM_QUERY_SELECTOR),
+        this.multiplayer_, () => this.simulationOptions_);
+
+    /** @private {!Element} */
+    this.multiplayerResultElement_ = document.querySelector(
+        this.MULTIPLAYER_RESULT_QUERY_SELECTOR);
+
+    /** @private {!Element} */
+    this.benchmarkElement_ = document.querySelector(
+        this.BENCHMARK_QUERY_SELECTOR);
+    this.benchmarkElement_.hidden = !benchmark;
+
+    /** @private {!Element} */
+    this.frameTimeElement_ = document.querySelector(
+        this.FRAME_TIME_QUERY_SELECTOR);
+
+    /** @private {!Element} */
+    this.dotCountElement_ = document.querySelector(
+        this.DOT_COUNT_QUERY_SELECTOR);
+
+    /** @private {!Element} */
+    this.benchmarkResultElement_ = document.querySelector(
+        this.BENCHMARK_RESULT_QUERY_SELECTOR);
+
+    /** @private {!HTMLSelectElement} */
+    this.localModeInput_ = document.querySelector(
+        this.LOCAL_MODE_QUERY_SELECTOR);
+
+    /** @private {!Element} */
+    this.playerScoresElement_ = document.querySelector(
+        this.PLAYER_SCORES_QUERY_SELECTOR);
+
+    /** @private {!Array<!Element>} */
+    this.playerScoreElements_ = Array.from(document.querySelectorAll(
+        this.PLAYER_SCORE_QUERY_SELECTOR));
+
+    /** @private {!Announcer} */
+    this.announcer_ = new Announcer(
+        document.querySelector(this.ANNOUNCER_QUERY_SELECTOR));
+
+    /** @private {!HTMLSelectElement} */
+    this.themeInput_ = document.querySelector(this.THEME_QUERY_SELECTOR);
+
+    /** @private {!HTMLOptionElement} */
+    this.customThemeOption_ = this.themeInput_.querySelector(
+        `option[value="${CUSTOM_THEME}"]`);
+
+    /** @private {!HTMLInputElement} */
+    this.loadThemeInput_ = document.querySelector(
+        this.LOAD_THEME_QUERY_SELECTOR);
+
+    /** @private {!Element} */
+    this.themeErrorElement_ = document.querySelector(
+        this.THEME_ERROR_QUERY_SELECTOR);
+
+    /** @private {!MediaQueryList} */
+    this.highContrastQuery_ = matchMedia(this.HIGH_CONTRAST_MEDIA_QUERY);
+
+    /** @private {!MediaQueryList} */
+    this.darkQuery_ = matchMedia(this.DARK_MEDIA_QUERY);
+
+    const savedTheme = loadTheme();
+
+    /**
+     * @private {boolean} True once the player has picked a theme, after
+     *     which the system's contrast and color scheme no longer choose it.
+     */
+    this.themeChosen_ = savedTheme !== null;
+
+    /** @private {?Theme} The last custom theme loaded. */
+    this.customTheme_ = savedTheme && savedTheme.name === CUSTOM_THEME ?
+        savedTheme : null;
+
+    /** @private {!HTMLInputElement} */
+    this.effectsInput_ = document.querySelector(this.EFFECTS_QUERY_SELECTOR);
+    this.effectsInput_.checked = this.effects_.enabled;
+
+    /** @private {!SoundEngine} */
+    this.sound_ = new SoundEngine();
+
+    /** @private {!HTMLInputElement} */
+    this.volumeInput_ = document.querySelector(this.VOLUME_QUERY_SELECTOR);
+    this.volumeInput_.value = Math.round(this.sound_.volume * 100);
+
+    /** @private {!Element} */
+    this.muteButton_ = document.querySelector(this.MUTE_QUERY_SELECTOR);
+    this.displayMuted_();
+
+    // Online play needs the game's own server, so it is hidden until the
+    // server answers.
+    this.leaderboard_.connect().then((online) => {
+      this.multiplayerElement_.hidden = !online || !!this.worker_;
+    });
+    this.localModeInput_.parentNode.hidden = !!this.worker_;
+    this.loadReplayInput_.parentNode.hidden = !!this.worker_;
+
+    this.setTheme_(savedTheme || this.getPreferredTheme_());
+    this.calculateBoardSize_();
+    this.speedInput_.value = this.simulation_.SPEED;
+    this.setSpeed_();
+    this.addListeners_();
+    this.displayStatus_();
+  }
+
+  /**
+   * Returns the query selector for the board.
+   * @return {string}
+   */
+  get BOARD_QUERY_SELECTOR() {
+    return options_.BOARD_QUERY_SELECTOR;
+  }
+
+  /**
+   * Returns the query selector for the speed element.
+   * @return {string}
+   */
+  get SPEED_QUERY_SELECTOR() {
+    return options_.SPEED_QUERY_SELECTOR;
+  }
+
+  /**
+   * Returns the query selector for the score element.
+   * @return {string}
+   */
+  get SCORE_QUERY_SELECTOR() {
+    return options_.SCORE_QUERY_SELECTOR;
+  }
+
+  /**
+   * Returns the query selector for the time remaining element.
+   * @return {string}
+   */
+  get TIME_QUERY_SELECTOR() {
+    return options_.TIME_QUERY_SELECTOR;
+  }
+
+  /**
+   * Returns the query selector for the lives remaining element.
+   * @return {string}
+   */
+  get LIVES_QUERY_SELECTOR() {
+    return options_.LIVES_QUERY_SELECTOR;
+  }
+
+  /**
+   * Returns the query selector for the results overlay.
+   * @return {string}
+   */
+  get RESULTS_QUERY_SELECTOR() {
+    return options_.RESULTS_QUERY_SELECTOR;
+  }
+
+  /**
+   * Returns the query selector for the restart button.
+   * @return {string}
+   */
+  get RESTART_QUERY_SELECTOR() {
+    return options_.RESTART_QUERY_SELECTOR;
+  }
+
+  /**
+   * Returns the query selector for the pause button.
+   * @return {string}
+   */
+  get PAUSE_QUERY_SELECTOR() {
+    return options_.PAUSE_QUERY_SELECTOR;
+  }
+
+  /**
+   * Returns the keys that toggle pause.
+   * @return {!Array<string>}
+   */
+  get PAUSE_KEYS() {
+    return options_.PAUSE_KEYS;
+  }
+
+  /**
+   * Returns the query selector for the link that replays the round's seed.
+   * @return {string}
+   */
+  get REPLAY_QUERY_SELECTOR() {
+    return options_.REPLAY_QUERY_SELECTOR;
+  }
+
+  /**
+   * Returns the name of the query string parameter holding the seed.
+   * @return {string}
+   */
+  get SEED_PARAM() {
+    return options_.SEED_PARAM;
+  }
+
+  /**
+   * Returns the query selector for the button that watches the last round.
+   * @return {string}
+   */
+  get WATCH_REPLAY_QUERY_SELECTOR() {
+    return options_.WATCH_REPLAY_QUERY_SELECTOR;
+  }
+
+  /**
+   * Returns the query selector for the button that downloads the last round.
+   * @return {string}
+   */
+  get DOWNLOAD_REPLAY_QUERY_SELECTOR() {
+    return options_.DOWNLOAD_REPLAY_QUERY_SELECTOR;
+  }
+
+  /**
+   * Returns the query selector for the file input that loads a replay.
+   * @return {string}
+   */
+  get LOAD_REPLAY_QUERY_SELECTOR() {
+    return options_.LOAD_REPLAY_QUERY_SELECTOR;
+  }
+
+  /**
+   * Returns the query selector for the replay error message.
+   * @return {string}
+   */
+  get REPLAY_ERROR_QUERY_SELECTOR() {
+    return options_.REPLAY_ERROR_QUERY_SELECTOR;
+  }
+
+  /**
+   * Returns the query selector for the badge shown during playback.
+   * @return {string}
+   */
+  get REPLAY_BADGE_QUERY_SELECTOR() {
+    return options_.REPLAY_BADGE_QUERY_SELECTOR;
+  }
+
+  /**
+   * Returns the query selector for the settings disclosure.
+   * @return {string}
+   */
+  get SETTINGS_QUERY_SELECTOR() {
+    return options_.SETTINGS_QUERY_SELECTOR;
+  }
+
+  /**
+   * Returns the query selector for the settings form.
+   * @return {string}
+   */
+  get SETTINGS_FORM_QUERY_SELECTOR() {
+    return options_.SETTINGS_FORM_QUERY_SELECTOR;
+  }
+
+  /**
+   * Returns the query selector for the level element.
+   * @return {string}
+   */
+  get LEVEL_QUERY_SELECTOR() {
+    return options_.LEVEL_QUERY_SELECTOR;
+  }
+
+  /**
+   * Returns the query selector for the combo multiplier element.
+   * @return {string}
+   */
+  get COMBO_QUERY_SELECTOR() {
+    return options_.COMBO_QUERY_SELECTOR;
+  }
+
+  /**
+   * Returns the query selector for the accuracy element.
+   * @return {string}
+   */
+  get ACCURACY_QUERY_SELECTOR() {
+    return options_.ACCURACY_QUERY_SELECTOR;
+  }
+
+  /**
+   * Returns the query selector for the best streak element.
+   * @return {string}
+   */
+  get BEST_STREAK_QUERY_SELECTOR() {
+    return options_.BEST_STREAK_QUERY_SELECTOR;
+  }
+
+  /**
+   * Returns the name of the query string parameter holding the difficulty.
+   * @return {string}
+   */
+  get DIFFICULTY_PARAM() {
+    return options_.DIFFICULTY_PARAM;
+  }
+
+  /**
+   * Returns the query selector for the high score table.
+   * @return {string}
+   */
+  get HIGH_SCORES_QUERY_SELECTOR() {
+    return options_.HIGH_SCORES_QUERY_SELECTOR;
+  }
+
+  /**
+   * Returns the query selector for the online leaderboard message.
+   * @return {string}
+   */
+  get LEADERBOARD_QUERY_SELECTOR() {
+    return options_.LEADERBOARD_QUERY_SELECTOR;
+  }
+
+  /**
+   * Returns the query selector for the multiplayer panel.
+   * @return {string}
+   */
+  get MULTIPLAYER_QUERY_SELECTOR() {
+    return options_.MULTIPLAYER_QUERY_SELECTOR;
+  }
+
+  /**
+   * Returns the query selector for the multiplayer form.
+   * @return {string}
+   */
+  get MULTIPLAYER_FORM_QUERY_SELECTOR() {
+    return options_.MULTIPLAYER_FORM_QUERY_SELECTOR;
+  }
+
+  /**
+   * Returns the query selector for the multiplayer round's result.
+   * @return {string}
+   */
+  get MULTIPLAYER_RESULT_QUERY_SELECTOR() {
+    return options_.MULTIPLAYER_RESULT_QUERY_SELECTOR;
+  }
+
+  /**
+   * Returns the query selector for the local multiplayer mode select.
+   * @return {string}
+   */
+  get LOCAL_MODE_QUERY_SELECTOR() {
+    return options_.LOCAL_MODE_QUERY_SELECTOR;
+  }
+
+  /**
+   * Returns the query selector for the local players' scores.
+   * @return {string}
+   */
+  get PLAYER_SCORES_QUERY_SELECTOR() {
+    return options_.PLAYER_SCORES_QUERY_SELECTOR;
+  }
+
+  /**
+   * Returns the query selector for each local player's score element.
+   * @return {string}
+   */
+  get PLAYER_SCORE_QUERY_SELECTOR() {
+    return options_.PLAYER_SCORE_QUERY_SELECTOR;
+  }
+
+  /**
+   * Returns the keys that hit at the crosshair.
+   * @return {!Array<string>}
+   */
+  get HIT_KEYS() {
+    return options_.HIT_KEYS;
+  }
+
+  /**
+   * Returns the query selector for the screen reader live region.
+   * @return {string}
+   */
+  get ANNOUNCER_QUERY_SELECTOR() {
+    return options_.ANNOUNCER_QUERY_SELECTOR;
+  }
+
+  /**
+   * Returns the query selector for the theme select.
+   * @return {string}
+   */
+  get THEME_QUERY_SELECTOR() {
+    return options_.THEME_QUERY_SELECTOR;
+  }
+
+  /**
+   * Returns the query selector for the custom theme file input.
+   * @return {string}
+   */
+  get LOAD_THEME_QUERY_SELECTOR() {
+    return options_.LOAD_THEME_QUERY_SELECTOR;
+  }
+
+  /**
+   * Returns the query selector for the theme error message.
+   * @return {string}
+   */
+  get THEME_ERROR_QUERY_SELECTOR() {
+    return options_.THEME_ERROR_QUERY_SELECTOR;
+  }
+
+  /**
+   * Returns the media query for players who prefer more contrast.
+   * @return {string}
+   */
+  get HIGH_CONTRAST_MEDIA_QUERY() {
+    return options_.HIGH_CONTRAST_MEDIA_QUERY;
+  }
+
+  /**
+   * Returns the media query for players who prefer a dark color scheme.
+   * @return {string}
+   */
+  get DARK_MEDIA_QUERY() {
+    return options_.DARK_MEDIA_QUERY;
+  }
+
+  /**
+   * Returns the media query for players who prefer reduced motion.
+   * @return {string}
+   */
+  get REDUCED_MOTION_MEDIA_QUERY() {
+    return options_.REDUCED_MOTION_MEDIA_QUERY;
+  }
+
+  /**
+   * Returns the query selector for the effects checkbox.
+   * @return {string}
+   */
+  get EFFECTS_QUERY_SELECTOR() {
+    return options_.EFFECTS_QUERY_SELECTOR;
+  }
+
+  /**
+   * Returns the query selector for the volume slider.
+   * @return {string}
+   */
+  get VOLUME_QUERY_SELECTOR() {
+    return options_.VOLUME_QUERY_SELECTOR;
+  }
+
+  /**
+   * Returns the query selector for the mute button.
+   * @return {string}
+   */
+  get MUTE_QUERY_SELECTOR() {
+    return options_.MUTE_QUERY_SELECTOR;
+  }
+
+  /**
+   * Returns the name of the query string parameter that turns on benchmark
+   * mode.
+   * @return {string}
+   */
+  get BENCHMARK_PARAM() {
+    return options_.BENCHMARK_PARAM;
+  }
+
+  /**
+   * Returns the seed for benchmark rounds without a seed of their own.
+   * @return {string}
+   */
+  get BENCHMARK_SEED() {
+    return options_.BENCHMARK_SEED;
+  }
+
+  /**
+   * Returns how many random hits a benchmark makes each frame.
+   * @return {number}
+   */
+  get BENCHMARK_HITS_PER_FRAME() {
+    return options_.BENCHMARK_HITS_PER_FRAME;
+  }
+
+  /**
+   * Returns the query selector for the benchmark's live frame stats.
+   * @return {string}
+   */
+  get BENCHMARK_QUERY_SELECTOR() {
+    return options_.BENCHMARK_QUERY_SELECTOR;
+  }
+
+  /**
+   * Returns the query selector for the latest frame time.
+   * @return {string}
+   */
+  get FRAME_TIME_QUERY_SELECTOR() {
+    return options_.FRAME_TIME_QUERY_SELECTOR;
+  }
+
+  /**
+   * Returns the query selector for the number of dots on the board.
+   * @return {string}
+   */
+  get DOT_COUNT_QUERY_SELECTOR() {
+    return options_.DOT_COUNT_QUERY_SELECTOR;
+  }
+
+  /**
+   * Returns the query selector for the benchmark report.
+   * @return {string}
+   */
+  get BENCHMARK_RESULT_QUERY_SELECTOR() {
+    return options_.BENCHMARK_RESULT_QUERY_SELECTOR;
+  }
+
+  /**
+   * Returns the name of the query string parameter that turns on worker
+   * rendering.
+   * @return {string}
+   */
+  get WORKER_PARAM() {
+    return options_.WORKER_PARAM;
+  }
+
+  /**
+   * Returns the current stage of the round.
+   * @return {!GameState}
+   */
+  get state() {
+    return this.getRound_().state;
+  }
+
+  /**
+   * Returns true while a replay is being played back.
+   * @return {boolean}
+   */
+  get isReplay() {
+    return !!this.player_;
+  }
+
+  /**
+   * Returns the constructor options combined with the player's saved
+   * settings and query string. Falls back to the constructor options if the
+   * combination is invalid, keeping the reason to show in the settings
+   * panel.
+   * @return {!Object}
+   * @private
+   */
+  getPlayerOptions_() {
+    const params = new URLSearchParams(window.location.search);
+    try {
+      const options = Object.assign({}, this.baseOptions_,
+          loadSettings(OPTION_SPECS),
+          applyDifficulty(params.get(this.DIFFICULTY_PARAM),
+              parseOptions(params, OPTION_SPECS)),
+          this.benchmark_ ? BENCHMARK_OPTIONS_ : {});
+      resolveOptions(options);
+      return options;
+    } catch (e) {
+      this.settingsError_ = `Ignoring settings: ${e.message}`;
+      return this.baseOptions_;
+    }
+  }
+
+  /**
+   * Saves settings from the settings panel and starts a new round with them.
+   * @param {!Object} settings
+   * @return {?string} An error message if the settings are invalid.
+   * @private
+   */
+  applySettings_(settings) {
+    const options = Object.assign({}, this.baseOptions_, settings);
+    try {
+      resolveOptions(options);
+    } catch (e) {
+      return e.message;
+    }
 
-    /** @private {number} */
-    this.fpsInterval_ = null;
+    saveSettings(settings);
+    this.simulationOptions_ = options;
+    this.settingsElement_.open = false;
+    this.speedInput_.value = resolveOptions(options).SPEED;
+    this.restart();
+    this.settingsPanel_.setValues(this.simulation_.getOptions());
+    return null;
+  }
 
-    /** @private {number} */
-    this.newDotInterval_ = null;
+  /**
+   * Creates the round, with a match for both players in local multiplayer.
+   * @param {string} seed
+   * @return {!DotSimulation} The round, or player one's round.
+   * @private
+   */
+  createRound_(seed) {
+    this.match_ = this.localMode_ === LocalMode.OFF ? null :
+        new LocalMatch(this.localMode_, (clock) =>
+          this.createSimulation_(seed, this.simulationOptions_, clock));
+    return this.match_ ?
+        this.match_.simulations[0] : this.createSimulation_(seed);
+  }
 
-    /** @private {Array<Object>} */
-    this.dots_ = [];
+  /**
+   * Returns what is being played: the local match, or the round.
+   * @return {!DotSimulation|!LocalMatch}
+   * @private
+   */
+  getRound_() {
+    return this.match_ || this.simulation_;
+  }
 
-    this.calculateBoardSize_();
-    this.setSpeed_();
-    this.addListeners_();
+  /**
+   * Returns the round being played by each player on the screen.
+   * @return {!Array<!DotSimulation>}
+   * @private
+   */
+  getSimulations_() {
+    return this.match_ ? this.match_.simulations : [this.simulation_];
   }
 
   /**
-   * Returns the number of frames per second.
-   * @return {number}
+   * Creates the simulation for a round.
+   * @param {string} seed
+   * @param {!Object=} options Defaults to the options for each round.
+   * @param {function(): number=} clock Defaults to the page's clock. Rounds
+   *     played in the render worker run on the worker's clock.
+   * @return {!DotSimulation|!WorkerSimulation}
+   * @private
    */
-  get FRAMES_PER_SECOND() {
-    return options_.FRAMES_PER_SECOND;
+  createSimulation_(seed, options = this.simulationOptions_,
+      clock = () => performance.now()) {
+    const simulation = this.worker_ ?
+        this.worker_.createSimulation(seed, options) :
+        new DotSimulation({seed, clock, options});
+    simulation.on('score', () => {
+      this.displayScore_();
+      this.announcer_.update(this.describeScore_());
+    });
+    simulation.on('miss', () => this.displayScore_());
+    simulation.on('escape', () => {
+      this.displayScore_();
+      if (simulation.LIVES) {
+        this.announcer_.update(this.describeScore_());
+      }
+    });
+    simulation.on('bomb', () => {
+      this.displayScore_();
+      this.displayStatus_();
+      this.announcer_.announce(`Bomb! ${this.describeScore_()}`);
+    });
+    simulation.on('levelchange', (e) => {
+      this.displayStatus_();
+      this.announcer_.announce(`Level ${e.level + 1}`);
+    });
+    simulation.on('statechange', (e) => this.handleStateChange_(e));
+    // The render worker shows the effects for its rounds itself.
+    if (!this.worker_) {
+      this.addEffects_(simulation);
+    }
+    this.addSounds_(simulation);
+    return simulation;
   }
 
   /**
-   * Returns the minimum diameter for a dot.
-   * @return {number}
+   * Plays sounds for a simulation's hits, misses and bombs.
+   * @param {!DotSimulation} simulation
+   * @private
    */
-  get MIN_DOT_DIAMETER() {
-    return options_.MIN_DOT_DIAMETER;
+  addSounds_(simulation) {
+    simulation.on('score', ({dot, multiplier}) => {
+      this.sound_.playHit(dot.r);
+      if (simulation.multiplier > multiplier) {
+        this.sound_.playCombo(simulation.multiplier);
+      }
+    });
+    simulation.on('miss', () => this.sound_.playMiss());
+    simulation.on('bomb', () => this.sound_.playBomb());
   }
 
   /**
-   * Returns the maximum diameter for a dot.
-   * @return {number}
+   * Shows effects for a simulation's hits, misses, and dots that leave the
+   * board.
+   * @param {!DotSimulation} simulation
+   * @private
    */
-  get MAX_DOT_DIAMETER() {
-    return options_.MAX_DOT_DIAMETER;
+  addEffects_(simulation) {
+    // Split boards sit side by side, so effects move with the player's half.
+    // A shared board draws one player's copy of the dots, so only that copy's
+    // dots fade.
+    this.effects_.follow(simulation,
+        () => this.match_ ? this.match_.getOffset(simulation) : 0,
+        () => !this.match_ || this.match_.isShown(simulation));
   }
 
   /**
-   * Returns the number of milliseconds to wait before creating a new dot.
-   * @return {number}
+   * Returns the seed from the page's query string, if any.
+   * @return {?string}
+   * @private
    */
-  get NEW_DOT_GENERATION_DELAY() {
-    return options_.NEW_DOT_GENERATION_DELAY;
+  getSeedParam_() {
+    return new URLSearchParams(window.location.search).get(this.SEED_PARAM);
   }
 
   /**
-   * Returns the number of milliseconds before a replacement dot should appear.
-   * @return {number}
+   * Adds event listeners.
+   * @private
    */
-  get DOT_RESPAWN_DELAY() {
-    return options_.DOT_RESPAWN_DELAY;
+  addListeners_() {
+    this.speedInput_.addEventListener('input', (e) => this.setSpeed_(e));
+    this.localModeInput_.addEventListener('change',
+        () => this.setLocalMode_());
+    this.board_.addEventListener('keydown', (e) => this.handleBoardKeydown_(e));
+    this.board_.addEventListener('focus', () => this.setAiming_(true));
+    this.board_.addEventListener('blur', () => this.setAiming_(false));
+    // Browsers only start audio from a user interaction.
+    ['pointerdown', 'touchstart', 'keydown'].forEach((type) => {
+      document.addEventListener(type, () => this.sound_.unlock(), true);
+    });
+    this.volumeInput_.addEventListener('input', () => {
+      this.sound_.setVolume(parseInt(this.volumeInput_.value, 10) / 100);
+      if (this.sound_.muted) {
+        this.sound_.setMuted(false);
+        this.displayMuted_();
+      }
+    });
+    this.muteButton_.addEventListener('click', () => {
+      this.sound_.setMuted(!this.sound_.muted);
+      this.displayMuted_();
+    });
+    this.effectsInput_.addEventListener('change', () => {
+      this.effects_.enabled = this.effectsInput_.checked;
+      if (this.worker_) {
+        this.worker_.setEffectsEnabled(this.effects_.enabled);
+      }
+    });
+    this.themeInput_.addEventListener('change', () => {
+      const name = this.themeInput_.value;
+      this.chooseTheme_(
+          name === CUSTOM_THEME ? this.customTheme_ : THEMES[name]);
+    });
+    this.loadThemeInput_.addEventListener('change',
+        (e) => this.loadTheme_(e));
+    [this.highContrastQuery_, this.darkQuery_].forEach((query) => {
+      query.addEventListener('change', () => {
+        if (!this.themeChosen_) {
+          this.setTheme_(this.getPreferredTheme_());
+        }
+      });
+    });
+    // Each pointer that goes down is its own event, so every finger of a
+    // multitouch tap counts. Browsers without Pointer Events get mouse and
+    // touch events, and cancelling touchstart stops the mouse events that
+    // would follow it.
+    if (window.PointerEvent) {
+      this.board_.addEventListener('pointerdown', (e) => this.hitAttempt_(e));
+    } else {
+      this.board_.addEventListener('mousedown', (e) => this.hitAttempt_(e));
+      this.board_.addEventListener('touchstart', (e) => this.hitAttempt_(e),
+          {passive: false});
+    }
+    window.addEventListener('resize', (e) => this.resizeBoard_(e));
+    // Also catches layout changes that don't resize the window.
+    if (window.ResizeObserver) {
+      new ResizeObserver(() => this.resizeBoard_()).observe(this.board_);
+    }
+    this.restartButton_.addEventListener('click', () => this.restart());
+    this.pauseButton_.addEventListener('click', () => this.togglePause());
+    document.addEventListener('keydown', (e) => this.handleKeydown_(e));
+    document.addEventListener('visibilitychange', () => {
+      if (document.hidden) {
+        this.pause();
+      }
+    });
+    window.addEventListener('blur', () => this.pause());
+    this.watchReplayButton_.addEventListener('click',
+        () => this.playReplay(this.simulation_.getReplay()));
+    this.downloadReplayButton_.addEventListener('click',
+        () => this.downloadReplay_());
+    this.loadReplayInput_.addEventListener('change',
+        (e) => this.loadReplay_(e));
+    [this.settingsElement_, this.multiplayerElement_].forEach((panel) => {
+      panel.addEventListener('toggle', () => {
+        if (panel.open) {
+          this.pause();
+        }
+      });
+    });
+    this.multiplayer_.on('start', (e) => this.startMultiplayer_(e));
+    this.multiplayer_.on('remove', (e) => {
+      if (this.multiplayerMode_ === RaceMode.COMPETITIVE) {
+        this.simulation_.removeDot(e.id);
+      }
+    });
+    this.multiplayer_.on('result', (e) => this.displayMultiplayerResult_(e));
   }
 
   /**
-   * Returns the color of the dot stroke.
-   * @return {string}
+   * Toggles pause when one of the PAUSE_KEYS is pressed.
+   * @param {!KeyboardEvent} e
+   * @private
    */
-  get STROKE_COLOR() {
-    return options_.STROKE_COLOR;
+  handleKeydown_(e) {
+    if (e.target.closest('input, select, textarea')) {
+      return;
+    }
+    if (this.PAUSE_KEYS.indexOf(e.key) > -1) {
+      e.preventDefault();
+      this.togglePause();
+    }
   }
 
   /**
-   * Returns the width of the dot stroke.
-   * @return {number}
+   * Moves the crosshair or hits at it while the board has keyboard focus.
+   * @param {!KeyboardEvent} e
+   * @private
    */
-  get STROKE_WIDTH() {
-    return options_.STROKE_WIDTH;
+  handleBoardKeydown_(e) {
+    if (this.player_ || e.altKey || e.ctrlKey || e.metaKey) {
+      return;
+    }
+
+    if (this.crosshair_.handleKey(e)) {
+      e.preventDefault();
+      // The animation loop draws the crosshair while the round is played.
+      if (this.state !== GameState.PLAYING) {
+        this.render_();
+      }
+    } else if (this.HIT_KEYS.indexOf(e.key) > -1) {
+      e.preventDefault();
+      if (!e.repeat) {
+        const {x, y} = this.crosshair_.position;
+        this.getRound_().hitAttempt(x, y, 'keyboard');
+      }
+    }
   }
 
   /**
-   * Returns the dot fill color.
-   * @return {string}
+   * Shows the crosshair while the board has keyboard focus.
+   * @param {boolean} aiming
+   * @private
    */
-  get DOT_FILL_COLOR() {
-    return options_.DOT_FILL_COLOR;
+  setAiming_(aiming) {
+    this.aiming_ = aiming;
+    if (this.state !== GameState.PLAYING) {
+      this.render_();
+    }
   }
 
   /**
-   * Returns the amount of left and right padding for the board.
-   * @return {number}
+   * Returns the theme that suits the system's settings: high contrast if
+   * the player prefers more contrast, dark for a dark color scheme, and the
+   * default theme otherwise.
+   * @return {!Theme}
+   * @private
    */
-  get BOARD_INNER_PADDING() {
-    return options_.BOARD_INNER_PADDING;
+  getPreferredTheme_() {
+    if (this.highContrastQuery_.matches) {
+      return THEMES['high-contrast'];
+    }
+    return this.darkQuery_.matches ? THEMES.dark : THEMES[DEFAULT_THEME];
   }
 
   /**
-   * Returns the query selector for the board.
-   * @return {string}
+   * Draws the page and board in a theme.
+   * @param {!Theme} theme
+   * @private
    */
-  get BOARD_QUERY_SELECTOR() {
-    return options_.BOARD_QUERY_SELECTOR;
+  setTheme_(theme) {
+    this.customThemeOption_.hidden = this.customTheme_ === null;
+    this.themeInput_.value = theme.name;
+    applyThemeStyles(theme);
+    this.renderer_.setTheme(theme);
+    if (this.state !== GameState.PLAYING) {
+      this.render_();
+    }
   }
 
   /**
-   * Returns the query selector for the speed element.
-   * @return {string}
+   * Switches to a theme the player picked and remembers it.
+   * @param {!Theme} theme
+   * @private
    */
-  get SPEED_QUERY_SELECTOR() {
-    return options_.SPEED_QUERY_SELECTOR;
+  chooseTheme_(theme) {
+    this.themeChosen_ = true;
+    this.themeErrorElement_.hidden = true;
+    saveTheme(theme);
+    this.setTheme_(theme);
   }
 
   /**
-   * Returns the query selector for the score element.
-   * @return {string}
+   * Switches to a custom theme from a JSON file the player chose.
+   * @param {!Event} e
+   * @private
    */
-  get SCORE_QUERY_SELECTOR() {
-    return options_.SCORE_QUERY_SELECTOR;
+  loadTheme_(e) {
+    const file = e.target.files[0];
+    if (!file) {
+      return;
+    }
+
+    this.themeErrorElement_.hidden = true;
+    const reader = new FileReader();
+    reader.addEventListener('load', () => {
+      try {
+        this.customTheme_ = parseTheme(reader.result);
+      } catch (error) {
+        this.themeErrorElement_.textContent = error.message;
+        this.themeErrorElement_.hidden = false;
+        return;
+      }
+      this.chooseTheme_(this.customTheme_);
+    });
+    reader.readAsText(file);
+    e.target.value = '';
   }
 
   /**
-   * Returns the starting angle in radians for drawing a dot.
-   * @return {number}
+   * Runs the animation loop while the round is being played, and shows the
+   * results once it has finished. In local multiplayer, the loop runs while
+   * either player is playing.
+   * @private
    */
-  get DOT_START_ANGLE() {
-    return options_.DOT_START_ANGLE;
+  handleStateChange_() {
+    const state = this.state;
+    // Time away from the round isn't a slow frame.
+    if (this.benchmark_ && state !== GameState.PLAYING) {
+      this.benchmark_.reset(true);
+    }
+    cancelAnimationFrame(this.animationFrame_);
+    this.animationFrame_ = state === GameState.PLAYING || this.effects_.active ?
+        requestAnimationFrame(() => this.frame_()) : null;
+
+    this.displayScore_();
+    this.displayStatus_();
+    this.displayResults_(state === GameState.FINISHED);
+    this.announceState_(state);
+    if (state === GameState.FINISHED) {
+      this.sound_.playGameOver();
+    }
   }
 
   /**
-   * Returns the ending angle in radians for drawing a dot.
-   * @return {number}
+   * Shows whether sound is muted on the mute button.
+   * @private
    */
-  get DOT_END_ANGLE() {
-    return options_.DOT_END_ANGLE;
+  displayMuted_() {
+    const muted = this.sound_.muted;
+    this.muteButton_.textContent = muted ? 'Unmute' : 'Mute';
+    this.muteButton_.setAttribute('aria-pressed', muted);
   }
 
   /**
-   * Returns true if the hit should propagate to all dots under the same spot.
-   * @return {boolean}
+   * Tells screen reader users when the round is paused, resumed or over.
+   * @param {!GameState} state
+   * @private
    */
-  get PROPAGATE_HITS() {
-    return options_.PROPAGATE_HITS;
+  announceState_(state) {
+    switch (state) {
+      case GameState.PLAYING:
+        this.announcer_.announce('Playing');
+        break;
+      case GameState.PAUSED:
+        this.announcer_.announce('Paused');
+        break;
+      case GameState.FINISHED:
+        this.announcer_.announce(`Game over. ${this.describeScore_()}`);
+        break;
+    }
   }
 
   /**
-   * Adds event listeners.
+   * Describes the score, and the lives left if the round has lives, for
+   * screen reader announcements.
+   * @return {string}
    * @private
    */
-  addListeners_() {
-    this.speedInput_.addEventListener('input', (e) => this.setSpeed_(e));
-    this.board_.addEventListener('mousedown', (e) => this.hitAttempt_(e));
-    this.board_.addEventListener('touchstart', (e) => this.hitAttempt_(e));
-    window.addEventListener('resize', (e) => this.resizeBoard_(e));
+  describeScore_() {
+    const simulations = this.getSimulations_();
+    const scores = simulations.length > 1 ?
+        simulations.map((player, i) => `Player ${i + 1} ${player.score}`)
+            .join(', ') :
+        `Score ${this.simulation_.score}`;
+    return this.simulation_.LIVES ?
+        `${scores}. Lives ${this.formatStat_((player) => player.lives)}` :
+        scores;
   }
 
   /**
@@ -219,144 +1304,277 @@ class DotGame {
    * @private
    */
   setSpeed_(e) {
-    this.speed_ = parseInt(this.speedInput_.value, 10);
+    if (!this.player_) {
+      this.getRound_().setSpeed(parseInt(this.speedInput_.value, 10));
+    }
   }
 
   /**
-   * Returns a random number between min and max diameter options.
-   * @return {number}
+   * Starts a new round with the local multiplayer mode that was chosen.
+   * @private
+   */
+  setLocalMode_() {
+    this.localMode_ = this.localModeInput_.value;
+    this.restart();
+  }
+
+  /**
+   * Checks if user pressed on a dot. Each touch that starts is a separate
+   * hit, so two players can tap at once. Hits carry the kind of device that
+   * made them, which picks the player on a shared local board.
+   * @param {!PointerEvent|!MouseEvent|!TouchEvent} e
+   * @private
+   */
+  hitAttempt_(e) {
+    // Cancelling the event stops the browser from also firing mouse events
+    // for a touch, which would count it twice.
+    e.preventDefault();
+    if (this.player_) {
+      return;
+    }
+
+    const points = e.changedTouches ? Array.from(e.changedTouches) : [e];
+    const device = e.pointerType || (e.changedTouches ? 'touch' : 'mouse');
+    points.forEach((point) => {
+      const {x, y} = this.renderer_.getBoardPoint(point.clientX,
+          point.clientY);
+      this.getRound_().hitAttempt(x, y, device);
+    });
+  }
+
+  /**
+   * Calculates the points for hitting a dot, before the combo multiplier,
+   * using the current round's scoring strategy.
+   * @param {!Object} dot
+   * @return {number} Score value.
+   */
+  calculateDotScore(dot) {
+    return this.simulation_.calculateDotScore(dot);
+  }
+
+  /**
+   * Adds a scoring strategy that can then be selected with the SCORING
+   * option. Register strategies before creating the game.
+   * @param {string} name
+   * @param {function(!Object, !DotSimulation): number} strategy Returns the
+   *     points for hitting a dot, before the combo multiplier.
+   */
+  static registerScoringStrategy(name, strategy) {
+    registerScoringStrategy(name, strategy);
+  }
+
+  /**
+   * Formats a statistic for each player on the screen, player one first.
+   * @param {function(!DotSimulation): (number|string)} getStat
+   * @return {string}
    * @private
    */
-  getRandomRadius_() {
-    const diameter = this.getRandomNumber_(this.MIN_DOT_DIAMETER,
-        this.MAX_DOT_DIAMETER);
-    const radius = diameter / 2;
-    return radius;
+  formatStat_(getStat) {
+    return this.getSimulations_().map(getStat).join(' / ');
   }
 
   /**
-   * Returns a random percent for X position.
-   * @return {number} percentage.
+   * Display's the current score, combo multiplier, accuracy and best streak.
+   * In local multiplayer, each player's score is shown separately.
    * @private
    */
-  getRandomPercent_() {
-    return this.getRandomNumber_(0, 100);
+  displayScore_() {
+    const simulations = this.getSimulations_();
+    this.scoreElement_.textContent = this.simulation_.score;
+    this.scoreElement_.hidden = !!this.match_;
+    this.playerScoresElement_.hidden = !this.match_;
+    this.playerScoreElements_.forEach((element, i) => {
+      element.textContent = simulations[i] ? simulations[i].score : 0;
+    });
+    this.comboElement_.textContent =
+        this.formatStat_((simulation) => `×${simulation.multiplier}`);
+    this.accuracyElement_.textContent =
+        this.formatStat_((simulation) => `${simulation.getAccuracy()}%`);
+    this.bestStreakElement_.textContent =
+        this.formatStat_((simulation) => simulation.bestStreak);
   }
 
   /**
-   * Returns a random number between min and max inclusive.
-   * @param {number} min
-   * @param {number} max
-   * @return {number}
+   * Displays the time and lives remaining in the round.
    * @private
    */
-  getRandomNumber_(min, max) {
-    return Math.floor(Math.random() * (max - min + 1)) + min;
+  displayStatus_() {
+    const simulation = this.simulation_;
+    this.timeElement_.textContent = simulation.ROUND_DURATION ?
+        Math.ceil(simulation.timeRemaining / 1000) : '∞';
+    this.livesElement_.textContent = simulation.LIVES ?
+        this.formatStat_((player) => player.lives) : '∞';
+    this.levelElement_.parentNode.hidden =
+        simulation.PROGRESSION === Progression.OFF;
+    this.levelElement_.textContent =
+        this.formatStat_((player) => player.level + 1);
+
+    const state = this.state;
+    const paused = state === GameState.PAUSED;
+    this.pauseButton_.textContent = paused ? 'Resume' : 'Pause';
+    this.pauseButton_.setAttribute('aria-pressed', paused);
+    this.pauseButton_.disabled = !!this.multiplayerMode_ ||
+        (!paused && state !== GameState.PLAYING);
+
+    if (this.benchmark_) {
+      this.frameTimeElement_.textContent =
+          `${this.benchmark_.lastFrameTime.toFixed(1)} ms`;
+      this.dotCountElement_.textContent = this.getDotCount_();
+    }
   }
 
   /**
-   * Converts X from percent to pixel value.
-   * @param {Object} dot
+   * Returns the number of dots on every board on the screen.
    * @return {number}
+   * @private
    */
-  percentToPixel_(dot) {
-    const padding = this.BOARD_INNER_PADDING;
-    const min = dot.r + this.STROKE_WIDTH + padding;
-    const max = this.boardWidth_ - dot.r - this.STROKE_WIDTH - padding;
-    const x = (max - min) * dot.x / 100 + min;
-    return x;
+  getDotCount_() {
+    return this.getSimulations_()
+        .reduce((count, simulation) => count + simulation.dotCount, 0);
   }
 
   /**
-   * Checks if user pressed on a dot.
-   * @param {!MouseEvent} e
+   * Shows how long the benchmark round's frames took.
    * @private
    */
-  hitAttempt_(e) {
-    e.preventDefault();
-    const x = e.pageX - this.boardOffsets_.x;
-    const y = e.pageY - this.boardOffsets_.y;
+  displayBenchmarkResult_() {
+    const report = this.benchmark_.getReport();
+    this.benchmarkResultElement_.textContent =
+        `${report.frames} frames at ${report.fps.toFixed(0)} fps, with up ` +
+        `to ${this.peakDots_} dots. Frame time ` +
+        `${report.meanFrameTime.toFixed(2)} ms mean, ` +
+        `${report.p95FrameTime.toFixed(2)} ms 95th percentile, ` +
+        `${report.maxFrameTime.toFixed(2)} ms worst. ` +
+        `${report.slowFrames} slow frames.`;
+    this.benchmarkResultElement_.hidden = false;
+  }
 
-    if (this.PROPAGATE_HITS) {
-      this.scoreAllDots_(x, y);
-    } else {
-      this.scoreTopDot_(x, y);
+  /**
+   * Hits random points on the board, as a benchmark's stand-in for a
+   * player.
+   * @private
+   */
+  hitRandomly_() {
+    const {width, height} = this.simulation_;
+    for (let i = 0; i < this.BENCHMARK_HITS_PER_FRAME; i++) {
+      this.getRound_().hitAttempt(Math.random() * width,
+          Math.random() * height);
     }
   }
 
   /**
-   * Scores and removes the top layer dot hit by the user.
-   * @param {number} x
-   * @param {number} y
+   * Shows or hides the results overlay. Rounds the player finishes are
+   * offered a place in the high scores for their options.
+   * @param {boolean} visible
    * @private
    */
-  scoreTopDot_(x, y) {
-    let i = this.dots_.length;
-    while (i--) {
-      let dot = this.dots_[i];
-      this.drawDot_(dot);
-      if (this.ctx_.isPointInPath(x, y)) {
-        this.increaseScore_(dot.r);
-        break;
+  displayResults_(visible) {
+    const stats = this.getStats();
+    Object.keys(stats).forEach((key) => {
+      const element = this.resultsElement_.querySelector(
+          `[data-result="${key}"]`);
+      if (element) {
+        element.textContent = stats[key];
       }
+    });
+    const url = new URL(window.location.href);
+    url.searchParams.set(this.SEED_PARAM, stats.seed);
+    this.replayLink_.href = url.href;
+
+    this.watchReplayButton_.hidden = !!this.match_ || !!this.worker_;
+    this.downloadReplayButton_.hidden = !!this.match_;
+
+    this.resultsElement_.hidden = !visible;
+    if (!visible) {
+      return;
     }
 
-    if (i > -1) {
-      this.dots_.splice(i, 1);
+    if (this.match_) {
+      this.displayLocalResult_();
+    }
+    if (this.benchmark_) {
+      this.displayBenchmarkResult_();
+    }
+
+    const simulation = this.simulation_;
+    this.highScores_.show(getHighScoreTable(simulation.getOptions()),
+        this.player_ || this.multiplayerMode_ || this.match_ ||
+        this.benchmark_ ? null : {
+          score: simulation.score,
+          accuracy: simulation.getAccuracy(),
+          seed: simulation.seed,
+        }, this.leaderboard_.online);
+    this.leaderboardElement_.hidden = true;
+    this.displayOnlineScores_(getHighScoreTable(simulation.getOptions()));
+    if (!this.highScores_.focus()) {
+      this.restartButton_.focus();
     }
   }
 
   /**
-   * Scores and removes all dots on all layers under one hit.
-   * @param {number} x
-   * @param {number} y
+   * Shows who won the local multiplayer match.
    * @private
    */
-  scoreAllDots_(x, y) {
-    this.dots_ = this.dots_.filter((dot) => {
-      this.drawDot_(dot);
-      if (this.ctx_.isPointInPath(x, y)) {
-        this.increaseScore_(dot.r);
-        return false;
-      }
-      return true;
-    });
+  displayLocalResult_() {
+    const winners = this.match_.getWinners();
+    const message = winners.length > 1 ?
+        'Tie!' : `Player ${winners[0] + 1} wins!`;
+    this.multiplayerResultElement_.textContent = `${message} ` +
+        this.match_.simulations
+            .map((simulation, i) => `Player ${i + 1} ${simulation.score}`)
+            .join(', ');
+    this.multiplayerResultElement_.hidden = false;
   }
 
   /**
-   * Increases the user's score after hitting a dot.
-   * @param {number} radius Radius of the dot.
+   * Posts the round's replay to the online leaderboard, if it is available,
+   * and shows where it ranked.
+   * @param {!HighScore} entry
    * @private
    */
-  increaseScore_(radius) {
-    this.score_ += this.calculateDotScore(radius);
-    this.displayScore_();
-    setTimeout(this.addDot_.bind(this), this.DOT_RESPAWN_DELAY);
+  submitScore_(entry) {
+    if (!this.leaderboard_.online) {
+      return;
+    }
+
+    this.leaderboard_.submit(entry.initials, this.simulation_.getReplay())
+        .then(({mode, rank}) => {
+          this.displayOnlineScores_(mode, rank ? rank - 1 : -1);
+          return rank ?
+              `Online rank #${rank}` : 'Not in the online top scores.';
+        })
+        .catch((error) => error.message)
+        .then((message) => {
+          this.leaderboardElement_.textContent = message;
+          this.leaderboardElement_.hidden = false;
+        });
   }
 
   /**
-   * Calculates the user's score based on the size of the dot.
-   * The score value is inversely proportional to the size of the dot,
-   * with MIN_DOT_DIAMETER dots worth 10 points, and MAX_DOT_DIAMETER
-   * dots worth 1 point.
-   *
-   * @param {number} radius Radius of the dot.
-   * @return {number} Score value.
+   * Shows the online leaderboard's top scores for a high score table, if the
+   * leaderboard is available.
+   * @param {string} table
+   * @param {number=} highlight Position of the player's entry, or -1.
    * @private
    */
-  calculateDotScore(radius) {
-    const diameter = radius * 2;
-    const score = Math.round(this.MAX_DOT_DIAMETER / diameter);
-    return score;
+  displayOnlineScores_(table, highlight = -1) {
+    if (!this.leaderboard_.online) {
+      return;
+    }
+
+    // If the ranking can't be fetched, the local table is still shown.
+    this.leaderboard_.list(table, {limit: this.highScores_.MAX_ENTRIES})
+        .then(({scores}) =>
+          this.highScores_.showOnline(table, scores, highlight))
+        .catch(() => {});
   }
 
   /**
-   * Display's the current score.
-   * @param {number} score
-   * @private
+   * Returns a summary of the round.
+   * @return {{score: number, hits: number, misses: number, accuracy: string}}
    */
-  displayScore_(score) {
-    this.scoreElement_.textContent = this.score_;
+  getStats() {
+    return this.simulation_.getStats();
   }
 
   /**
@@ -364,126 +1582,279 @@ class DotGame {
    * @private
    */
   calculateBoardSize_() {
-    const boundingRect = this.board_.getBoundingClientRect();
+    const {width, height} = this.renderer_.calculateBoardSize();
+    this.crosshair_.resize(width, height);
 
-    this.boardWidth_ = boundingRect.width;
-    this.boardHeight_ = boundingRect.height;
+    // During playback the board size comes from the replay.
+    if (!this.player_) {
+      this.getRound_().resize(width, height);
+    }
+  }
 
-    this.boardOffsets_ = {
-      x: boundingRect.left,
-      y: boundingRect.top,
-    };
+  /**
+   * Plays back a recorded round on the board. Input is ignored until the
+   * game is reset.
+   * @param {{seed: string, inputs: !Array<!Array>}} replay
+   * @throws {Error} If the board is drawn in a worker.
+   */
+  playReplay(replay) {
+    if (this.worker_) {
+      throw new Error('Replays can\'t be watched with worker rendering.');
+    }
 
-    this.board_.width = this.boardWidth_;
-    this.board_.height= this.boardHeight_;
+    this.effects_.clear();
+    this.getRound_().reset();
+    this.match_ = null;
+    this.simulation_ = this.createSimulation_(replay.seed,
+        replay.options || {});
+    this.player_ = new ReplayPlayer(replay, this.simulation_);
+    this.renderer_.clear();
+    this.replayBadge_.hidden = false;
+    this.simulation_.begin();
   }
 
   /**
-   * Renders the dots.
+   * Starts a multiplayer round with the room's seed and options. The speed
+   * slider is locked so everyone plays at the same speed, and the player's
+   * score is shared with the room as it changes. The round's replay goes to
+   * the server at the end, which plays it back for the final score.
+   * @param {{seed: string, options: !Object, mode: !RaceMode}} round
    * @private
    */
-  render_() {
-    // reset board
-    this.ctx_.clearRect(0, 0, this.boardWidth_, this.boardHeight_);
+  startMultiplayer_({seed, options, mode}) {
+    this.reset();
+    this.match_ = null;
+    const simulation = this.createSimulation_(seed, options);
+    const shareScore = () => this.multiplayer_.sendScore(simulation.score);
+    // Bomb dots are taken like any other, so they go from every board.
+    const take = (e) => {
+      shareScore();
+      if (mode === RaceMode.COMPETITIVE) {
+        this.multiplayer_.claim(e.dot.id);
+      }
+    };
+    simulation.on('score', take);
+    simulation.on('bomb', take);
+    simulation.on('miss', shareScore);
+    simulation.on('finish',
+        () => this.multiplayer_.finish(simulation.getReplay()));
+
+    this.simulation_ = simulation;
+    this.multiplayerMode_ = mode;
+    this.calculateBoardSize_();
+    this.speedInput_.value = simulation.SPEED;
+    this.setSpeed_();
+    this.speedInput_.disabled = true;
+    this.multiplayerElement_.open = false;
+    this.displayScore_();
+    this.displayStatus_();
+    this.begin();
+  }
 
-    if (this.resize_) {
-      this.calculateBoardSize_();
-      this.resize_ = false;
+  /**
+   * Shows who won the multiplayer round.
+   * @param {{standings: !Array<{id: number, name: string, score: number}>,
+   *     winners: !Array<number>}} result
+   * @private
+   */
+  displayMultiplayerResult_({standings, winners}) {
+    if (!this.multiplayerMode_) {
+      return;
     }
 
-    const dy = this.speed_ / this.FRAMES_PER_SECOND;
-
-    this.dots_.forEach((dot) => {
-      dot.y += dy;
-      this.drawDot_(dot);
-      this.ctx_.fill();
-      this.ctx_.stroke();
-    });
+    const membership = this.multiplayer_.membership;
+    const names = standings
+        .filter((player) => winners.indexOf(player.id) > -1)
+        .map((player) => player.name);
+    let message = names.length > 1 ?
+        `Tie between ${names.join(' and ')}!` : `${names[0]} wins!`;
+    if (membership && winners.indexOf(membership.id) > -1) {
+      message = names.length > 1 ? 'You tied for the win!' : 'You win!';
+    }
+    this.multiplayerResultElement_.textContent = `${message} ` +
+        standings.map((player) => `${player.name} ${player.score}`)
+            .join(', ');
+    this.multiplayerResultElement_.hidden = false;
+  }
 
-    this.expireDots_();
+  /**
+   * Saves the replay of the current round as a JSON file.
+   * @private
+   */
+  downloadReplay_() {
+    const replay = this.simulation_.getReplay();
+    const blob = new Blob([JSON.stringify(replay)],
+        {type: 'application/json'});
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `dot-game-${replay.seed}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href));
   }
 
   /**
-   * Draws a dot.
-   * @param {object} dot Dot settings.
+   * Plays back a replay chosen with the file input.
+   * @param {!Event} e
    * @private
    */
-  drawDot_(dot) {
-    const x = this.percentToPixel_(dot);
+  loadReplay_(e) {
+    const file = e.target.files[0];
+    if (!file) {
+      return;
+    }
 
-    this.ctx_.beginPath();
-    this.ctx_.strokeStyle = this.STROKE_COLOR;
-    this.ctx_.lineWidth = this.STROKE_WIDTH;
-    this.ctx_.arc(x, dot.y, dot.r, this.DOT_START_ANGLE,
-        this.DOT_END_ANGLE, false);
-    this.ctx_.fillStyle = this.DOT_FILL_COLOR;
-    this.ctx_.closePath();
+    this.replayErrorElement_.hidden = true;
+    const reader = new FileReader();
+    reader.addEventListener('load', () => {
+      try {
+        this.playReplay(parseReplay(reader.result));
+      } catch (error) {
+        this.replayErrorElement_.textContent = error.message;
+        this.replayErrorElement_.hidden = false;
+      }
+    });
+    reader.readAsText(file);
+    e.target.value = '';
   }
 
   /**
-   * Adds a new dot.
+   * Handles an animation frame: simulates the time since the previous frame
+   * and draws the result. Frames carry on after the round stops until the
+   * last effects have finished.
    * @private
    */
-  addDot_() {
-    const radius = this.getRandomRadius_();
-    const x = this.getRandomPercent_();
-    // position dot offscreen
-    const y = -radius - this.STROKE_WIDTH;
-
-    let dot = {
-      r: radius,
-      x: x,
-      y: y,
-    };
+  frame_() {
+    const playing = this.state === GameState.PLAYING;
+    if (this.benchmark_ && playing) {
+      this.benchmark_.begin();
+    }
+    if (playing) {
+      // Multiplayer rounds catch up on time the page spent hidden, to stay
+      // in step with the rest of the room.
+      this.getRound_().tick(this.multiplayerMode_ ? Infinity : undefined);
+      if (this.benchmark_ && !this.player_) {
+        this.hitRandomly_();
+      }
+    }
+    this.render_();
+    if (this.benchmark_ && playing) {
+      this.benchmark_.end();
+      this.peakDots_ = Math.max(this.peakDots_, this.getDotCount_());
+    }
 
-    this.dots_.push(dot);
+    this.animationFrame_ =
+        this.state === GameState.PLAYING || this.effects_.active ?
+            requestAnimationFrame(() => this.frame_()) : null;
   }
 
   /**
-   * Removes dots that have gone off the board.
+   * Renders the dots.
    * @private
    */
-  expireDots_() {
-    let isExpired = true;
-    let i = 0;
+  render_() {
+    if (this.resize_) {
+      this.calculateBoardSize_();
+      this.resize_ = false;
+    }
 
-    if (!this.dots_.length) {
+    if (this.worker_) {
+      // The worker draws the board on its own, so it only needs to know
+      // where the crosshair is.
+      this.worker_.setCrosshair(
+          this.aiming_ ? this.crosshair_.position : null);
+      this.displayStatus_();
       return;
     }
 
-    do {
-      if (i < this.dots_.length &&
-          this.dots_[i].y - this.dots_[i].r - this.STROKE_WIDTH >
-          this.boardHeight_) {
-        i++;
-      } else {
-        isExpired = false;
-      }
-    } while (isExpired);
+    if (this.match_) {
+      this.match_.render(this.renderer_);
+    } else {
+      this.renderer_.render(this.simulation_);
+    }
+    this.renderer_.drawEffects(this.effects_);
+    if (this.aiming_) {
+      this.renderer_.drawCrosshair(this.crosshair_.position);
+    }
+    this.displayStatus_();
+  }
+
+  /**
+   * Begins the game. Does nothing unless the round is ready to start.
+   */
+  begin() {
+    this.getRound_().begin();
+  }
 
-    if (i) {
-      this.dots_.splice(0, i);
+  /**
+   * Pauses the round. Does nothing unless the round is being played, or in
+   * multiplayer rounds, which carry on so every board stays in step.
+   */
+  pause() {
+    if (!this.multiplayerMode_) {
+      this.getRound_().pause();
     }
   }
 
   /**
-   * Returns the number of milliseconds for the requested framerate.
-   * @param {number} fps Frames per second.
-   * @return {number} Number of milliseconds to display each frame.
+   * Resumes a paused round where it left off.
    */
-  getFramerate(fps) {
-    return 1000 / fps;
+  resume() {
+    this.getRound_().resume();
   }
 
   /**
-   * Begins the game.
+   * Pauses a round being played, or resumes a paused one.
    */
-  begin() {
-    const frameRate = this.getFramerate(this.FRAMES_PER_SECOND);
-    this.addDot_();
-    this.fpsInterval_ = setInterval(this.render_.bind(this), frameRate);
-    this.newDotInterval_ = setInterval(this.addDot_.bind(this),
-        this.NEW_DOT_GENERATION_DELAY);
+  togglePause() {
+    if (this.state === GameState.PAUSED) {
+      this.resume();
+    } else {
+      this.pause();
+    }
+  }
+
+  /**
+   * Ends the round and shows the results.
+   */
+  stop() {
+    this.getRound_().stop();
+  }
+
+  /**
+   * Clears the board and returns the game to the ready state. Without a fixed
+   * seed, the next round gets a new one.
+   */
+  reset() {
+    if (this.multiplayerMode_ && this.state !== GameState.FINISHED) {
+      this.multiplayer_.finish(this.simulation_.getReplay());
+    }
+    this.multiplayerMode_ = null;
+    this.multiplayerResultElement_.hidden = true;
+    this.speedInput_.disabled = false;
+    if (this.benchmark_) {
+      this.benchmark_.reset();
+      this.peakDots_ = 0;
+      this.benchmarkResultElement_.hidden = true;
+    }
+
+    this.effects_.clear();
+    this.getRound_().reset();
+    this.player_ = null;
+    this.replayBadge_.hidden = true;
+    this.simulation_ = this.createRound_(this.fixedSeed_ || generateSeed());
+    this.calculateBoardSize_();
+    this.setSpeed_();
+    this.displayScore_();
+    this.displayStatus_();
+    this.renderer_.clear();
+  }
+
+  /**
+   * Starts a new round from scratch.
+   */
+  restart() {
+    this.reset();
+    this.begin();
   }
 }
 
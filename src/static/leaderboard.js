@@ -0,0 +1,114 @@
+/** @private @enum {string} */
+const options_ = {
+  ENDPOINT: 'api/scores',
+};
+
+/**
+ * Checks that a response is a page of a ranking from the leaderboard API,
+ * rather than, say, a static host's or a proxy's page.
+ * @param {*} page
+ * @return {{mode: string, total: number, limit: number, offset: number,
+ *     scores: !Array<!Object>}}
+ * @throws {Error} If the response isn't a page of scores.
+ * @private
+ */
+function validatePage_(page) {
+  if (!page || typeof page !== 'object' || typeof page.mode !== 'string' ||
+      !Number.isInteger(page.total) || !Array.isArray(page.scores) ||
+      !page.scores.every((score) => score && typeof score === 'object' &&
+          Number.isInteger(score.rank) && typeof score.initials === 'string' &&
+          Number.isFinite(score.score))) {
+    throw new Error('The leaderboard sent an unexpected response.');
+  }
+  return page;
+}
+
+/**
+ * @fileOverview Dot Game online leaderboard.
+ * Talks to the leaderboard API served by server.js. The game also runs from
+ * static hosting with no API, so the client checks for the server first and
+ * stays offline if it can't reach it, or if what answers isn't the API.
+ */
+export class LeaderboardClient {
+  /**
+   * @constructor
+   * @param {string=} endpoint URL of the scores API.
+   */
+  constructor(endpoint = options_.ENDPOINT) {
+    /** @private {string} */
+    this.endpoint_ = endpoint;
+
+    /** @private {boolean} */
+    this.online_ = false;
+  }
+
+  /**
+   * Returns true once the server has been reached.
+   * @return {boolean}
+   */
+  get online() {
+    return this.online_;
+  }
+
+  /**
+   * Checks whether the server is available, by fetching a ranking.
+   * @return {!Promise<boolean>} Resolves with whether it is online.
+   */
+  connect() {
+    return this.list('normal', {limit: 1})
+        .then(() => true, () => false)
+        .then((online) => {
+          this.online_ = online;
+          return online;
+        });
+  }
+
+  /**
+   * Fetches a page of a mode's ranking.
+   * @param {string} mode A high score table name.
+   * @param {{limit: (number|undefined), offset: (number|undefined)}=} page
+   * @return {!Promise<{mode: string, total: number, limit: number,
+   *     offset: number, scores: !Array<!Object>}>}
+   * @throws {Error} If the request fails, or the response isn't a page of
+   *     scores.
+   */
+  list(mode, {limit = 10, offset = 0} = {}) {
+    const params = new URLSearchParams({mode, limit, offset});
+    return this.request_(`${this.endpoint_}?${params}`).then(validatePage_);
+  }
+
+  /**
+   * Submits a finished round. The server plays the replay back to work out
+   * the score and mode, so a score can't be claimed without earning it.
+   * @param {string} initials
+   * @param {!Object} replay The round's replay log.
+   * @return {!Promise<{mode: string, score: !Object, rank: ?number}>}
+   */
+  submit(initials, replay) {
+    return this.request_(this.endpoint_, {
+      method: 'POST',
+      headers: {'Content-Type': 'application/json'},
+      body: JSON.stringify({initials, replay}),
+    });
+  }
+
+  /**
+   * Sends a request to the API and parses the JSON response.
+   * @param {string} url
+   * @param {!Object=} init Fetch options.
+   * @return {!Promise<!Object>}
+   * @throws {Error} If the request fails or is rejected.
+   * @private
+   */
+  request_(url, init = {}) {
+    return fetch(url, init).then((response) => response.json()
+        .catch(() => ({}))
+        .then((body) => {
+          if (!response.ok) {
+            throw new Error(body.error ||
+                `Leaderboard request failed: ${response.status}.`);
+          }
+          return body;
+        }));
+  }
+}
@@ -0,0 +1,269 @@
+import {GameState} from './dot-simulation.js';
+
+/** @private @enum {number} */
+const options_ = {
+  PLAYERS: 2,
+};
+
+/**
+ * How two players share one screen.
+ * @enum {string}
+ */
+export const LocalMode = {
+  // One player.
+  OFF: 'off',
+  // Each player has their own copy of the dots on their half of the board.
+  SPLIT: 'split',
+  // Both players play the same dots, and the first to hit a dot takes it.
+  SHARED: 'shared',
+};
+
+/**
+ * @fileOverview Dot Game local multiplayer.
+ * Two players share one screen, each playing their own DotSimulation with the
+ * same seed so they get the same dots. On a split board every click or touch
+ * belongs to the player whose half of the board it lands in, so on a
+ * multitouch screen both players can tap at once. On a shared board the
+ * players reach over the same dots, so each hit belongs to the player whose
+ * input device made it instead. A player's round ends when their simulation
+ * finishes, and the match ends once both have.
+ */
+export class LocalMatch {
+  /**
+   * @constructor
+   * @param {!LocalMode} mode SPLIT or SHARED.
+   * @param {function(function(): number): !DotSimulation} createSimulation
+   *     Creates a player's simulation with the clock to run it on. Both
+   *     players must get the same seed and options.
+   */
+  constructor(mode, createSimulation) {
+    /** @private {!LocalMode} */
+    this.mode_ = mode;
+
+    /** @private {number} Board width in pixels. */
+    this.width_ = 0;
+
+    /**
+     * @private {number} Time of the current frame. Both simulations tick
+     *     against it so their dots move in step.
+     */
+    this.frameTime_ = performance.now();
+
+    const clock = () => this.frameTime_;
+
+    /**
+     * @private {!Array<string>} The input device each player hits with on a
+     *     shared board, player one's first, in the order they were first
+     *     used.
+     */
+    this.devices_ = [];
+
+    /** @private {!Array<!DotSimulation>} */
+    this.simulations_ = [];
+    for (let i = 0; i < this.PLAYERS; i++) {
+      this.simulations_.push(createSimulation(clock));
+    }
+
+    if (mode === LocalMode.SHARED) {
+      this.simulations_.forEach((simulation) => {
+        const take = (e) => this.takeDot_(simulation, e.dot);
+        simulation.on('score', take);
+        simulation.on('bomb', take);
+      });
+    }
+  }
+
+  /**
+   * Returns the number of players.
+   * @return {number}
+   */
+  get PLAYERS() {
+    return options_.PLAYERS;
+  }
+
+  /**
+   * Returns the players' simulations, player one first.
+   * @return {!Array<!DotSimulation>}
+   */
+  get simulations() {
+    return this.simulations_;
+  }
+
+  /**
+   * Returns the stage of the match: playing while either player is, and
+   * finished once both are.
+   * @return {!GameState}
+   */
+  get state() {
+    const states = this.simulations_.map((simulation) => simulation.state);
+    return [GameState.PLAYING, GameState.PAUSED, GameState.READY]
+        .find((state) => states.indexOf(state) > -1) || GameState.FINISHED;
+  }
+
+  /**
+   * Returns how far right of the board's left edge a player's board starts.
+   * @param {!DotSimulation} simulation
+   * @return {number} Pixels.
+   */
+  getOffset(simulation) {
+    return this.mode_ === LocalMode.SPLIT ?
+        this.simulations_.indexOf(simulation) * this.width_ / this.PLAYERS : 0;
+  }
+
+  /**
+   * Returns true if a player's board is the one being drawn. On a shared
+   * board only one copy of the dots is drawn.
+   * @param {!DotSimulation} simulation
+   * @return {boolean}
+   */
+  isShown(simulation) {
+    return this.mode_ === LocalMode.SPLIT ||
+        simulation === this.getSharedSimulation_();
+  }
+
+  /**
+   * Returns the simulation drawn for a shared board: one whose player is
+   * still playing, if any.
+   * @return {!DotSimulation}
+   * @private
+   */
+  getSharedSimulation_() {
+    return this.simulations_.find(
+        (simulation) => simulation.state !== GameState.FINISHED) ||
+        this.simulations_[0];
+  }
+
+  /**
+   * Returns the players with the highest score, as indexes into simulations.
+   * @return {!Array<number>}
+   */
+  getWinners() {
+    const scores = this.simulations_.map((simulation) => simulation.score);
+    const best = Math.max(...scores);
+    return scores
+        .map((score, i) => score === best ? i : -1)
+        .filter((i) => i > -1);
+  }
+
+  /**
+   * Sizes each player's board to their share of the board.
+   * @param {number} width
+   * @param {number} height
+   */
+  resize(width, height) {
+    this.width_ = width;
+    const playerWidth = this.mode_ === LocalMode.SPLIT ?
+        width / this.PLAYERS : width;
+    this.simulations_.forEach(
+        (simulation) => simulation.resize(playerWidth, height));
+  }
+
+  /**
+   * Passes a hit to its player. On a split board that is the player whose
+   * half of the board it is in. On a shared board it is the player whose
+   * device made it: the first device to hit the board is player one's, and
+   * the next different one player two's. Hits from any other device are
+   * ignored.
+   * @param {number} x
+   * @param {number} y
+   * @param {string=} device The kind of device that made the hit, such as
+   *     'mouse', 'pen', 'touch' or 'keyboard'.
+   * @return {number} The player's index, or -1 if the hit was ignored.
+   */
+  hitAttempt(x, y, device = 'mouse') {
+    if (this.mode_ === LocalMode.SHARED) {
+      let player = this.devices_.indexOf(device);
+      if (player === -1 && this.devices_.length < this.PLAYERS) {
+        player = this.devices_.push(device) - 1;
+      }
+      if (player > -1) {
+        this.simulations_[player].hitAttempt(x, y);
+      }
+      return player;
+    }
+
+    const playerWidth = this.width_ / this.PLAYERS;
+    const player = Math.min(Math.floor(x / playerWidth), this.PLAYERS - 1);
+    this.simulations_[player].hitAttempt(x - player * playerWidth, y);
+    return player;
+  }
+
+  /**
+   * Removes a dot one player took from the other players' boards.
+   * @param {!DotSimulation} taker
+   * @param {!Object} dot
+   * @private
+   */
+  takeDot_(taker, dot) {
+    this.simulations_
+        .filter((simulation) => simulation !== taker)
+        .forEach((simulation) => simulation.removeDot(dot.id));
+  }
+
+  /**
+   * Simulates the time elapsed since the previous frame on both boards.
+   */
+  tick() {
+    this.frameTime_ = performance.now();
+    this.simulations_.forEach((simulation) => simulation.tick());
+  }
+
+  /**
+   * Draws the match: both boards side by side when split, or the shared
+   * board of a player who is still playing.
+   * @param {!CanvasRenderer} renderer
+   */
+  render(renderer) {
+    if (this.mode_ === LocalMode.SPLIT) {
+      renderer.renderSideBySide(this.simulations_);
+      return;
+    }
+
+    renderer.render(this.getSharedSimulation_());
+  }
+
+  /**
+   * Sets both players' speed.
+   * @param {number} speed
+   */
+  setSpeed(speed) {
+    this.simulations_.forEach((simulation) => simulation.setSpeed(speed));
+  }
+
+  /**
+   * Begins both players' rounds.
+   */
+  begin() {
+    this.frameTime_ = performance.now();
+    this.simulations_.forEach((simulation) => simulation.begin());
+  }
+
+  /**
+   * Pauses both players' rounds.
+   */
+  pause() {
+    this.simulations_.forEach((simulation) => simulation.pause());
+  }
+
+  /**
+   * Resumes both players' rounds.
+   */
+  resume() {
+    this.simulations_.forEach((simulation) => simulation.resume());
+  }
+
+  /**
+   * Ends both players' rounds.
+   */
+  stop() {
+    this.simulations_.forEach((simulation) => simulation.stop());
+  }
+
+  /**
+   * Clears both boards, and lets the players pick their devices again.
+   */
+  reset() {
+    this.devices_ = [];
+    this.simulations_.forEach((simulation) => simulation.reset());
+  }
+}
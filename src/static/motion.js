@@ -0,0 +1,153 @@
+/**
+ * @fileOverview Dot Game movement patterns.
+ * Each dot is given a motion when it spawns. Vertical movement follows the
+ * simulation's speed for the dot, and horizontal movement is tied to the
+ * distance travelled, so freezing or speeding up the dots slows or speeds up
+ * every pattern alike.
+ */
+
+/**
+ * Ways a dot can move across the board.
+ * @enum {string}
+ */
+export const Motion = {
+  // Falls straight down.
+  FALL: 'fall',
+  // Falls while drifting from side to side.
+  SINE: 'sine',
+  // Falls at an angle, sliding down the wall when it reaches one.
+  DIAGONAL: 'diagonal',
+  // Falls faster the longer it has been on the board.
+  ACCELERATE: 'accelerate',
+  // Falls at an angle, bouncing off the side walls.
+  BOUNCE: 'bounce',
+  // Floats up from the bottom of the board.
+  FLOAT: 'float',
+};
+
+/**
+ * How far a drifting dot strays either side of where it spawned, as a
+ * percentage of the board width.
+ * @private @const {number}
+ */
+const SINE_AMPLITUDE_ = 15;
+
+/**
+ * Vertical pixels a drifting dot travels per side to side cycle.
+ * @private @const {number}
+ */
+const SINE_WAVELENGTH_ = 200;
+
+/**
+ * Range of horizontal pixels an angled dot travels per vertical pixel.
+ * @private @const {{min: number, max: number}}
+ */
+const SLOPE_ = {min: 0.3, max: 1};
+
+/**
+ * Speed an accelerating dot gains per second on the board, as a fraction of
+ * its starting speed.
+ * @private @const {number}
+ */
+const ACCELERATION_ = 0.5;
+
+/**
+ * Sets up the motion of a newly spawned dot. Every dot gets the same fields,
+ * whatever its motion, so dot objects can be reused for any motion.
+ * @param {!Object} dot A dot with its position and motion set.
+ * @param {function(): number} random Random number generator returning
+ *     values in [0, 1).
+ */
+export function initMotion(dot, random) {
+  dot.originX = dot.x;
+  dot.phase = 0;
+  dot.slope = 0;
+
+  switch (dot.motion) {
+    case Motion.SINE:
+      dot.phase = random() * Math.PI * 2;
+      break;
+    case Motion.DIAGONAL:
+    case Motion.BOUNCE:
+      dot.slope = (random() < 0.5 ? -1 : 1) *
+          (SLOPE_.min + random() * (SLOPE_.max - SLOPE_.min));
+      break;
+  }
+}
+
+/**
+ * Returns true if the dot travels up the board rather than down.
+ * @param {!Object} dot
+ * @return {boolean}
+ */
+export function isRising(dot) {
+  return dot.motion === Motion.FLOAT;
+}
+
+/**
+ * Returns the factor a dot's speed is multiplied by at a point in time.
+ * @param {!Object} dot
+ * @param {number} time Simulated milliseconds since the round began.
+ * @return {number}
+ */
+export function getSpeedFactor(dot, time) {
+  if (dot.motion === Motion.ACCELERATE) {
+    return 1 + ACCELERATION_ * (time - dot.born) / 1000;
+  }
+  return 1;
+}
+
+/**
+ * Moves a dot by one step.
+ * @param {!Object} dot
+ * @param {!DotSimulation} simulation
+ * @param {number} dt Milliseconds simulated.
+ */
+export function moveDot(dot, simulation, dt) {
+  const distance = simulation.getDotSpeed(dot) * dt / 1000;
+  dot.y += isRising(dot) ? -distance : distance;
+
+  switch (dot.motion) {
+    case Motion.SINE:
+      dot.x = clampPercent_(dot.originX + SINE_AMPLITUDE_ *
+          Math.sin(dot.phase + Math.PI * 2 * dot.y / SINE_WAVELENGTH_));
+      break;
+    case Motion.DIAGONAL:
+      dot.x = clampPercent_(
+          dot.x + toPercent_(dot, simulation, dot.slope * distance));
+      break;
+    case Motion.BOUNCE:
+      dot.x += toPercent_(dot, simulation, dot.slope * distance);
+      if (dot.x < 0 || dot.x > 100) {
+        dot.x = dot.x < 0 ? -dot.x : 200 - dot.x;
+        dot.slope = -dot.slope;
+      }
+      dot.x = clampPercent_(dot.x);
+      break;
+  }
+}
+
+/**
+ * Converts a horizontal distance in pixels to a percentage of the width the
+ * dot can move across.
+ * @param {!Object} dot
+ * @param {!DotSimulation} simulation
+ * @param {number} pixels
+ * @return {number}
+ * @private
+ */
+function toPercent_(dot, simulation, pixels) {
+  const range = simulation.percentToPixel({r: dot.r, x: 100}) -
+      simulation.percentToPixel({r: dot.r, x: 0});
+  return range > 0 ? pixels / range * 100 : 0;
+}
+
+/**
+ * Clamps a position to the width of the board.
+ * @param {number} percent
+ * @return {number}
+ * @private
+ */
+function clampPercent_(percent) {
+  return Math.min(100, Math.max(0, percent));
+}
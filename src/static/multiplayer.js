@@ -0,0 +1,377 @@
+/** @private @enum {string} */
+const options_ = {
+  SOCKET_PATH: '/ws',
+  ROOM_PARAM: 'room',
+  STATUS_QUERY_SELECTOR: '.multiplayer__status',
+  PLAYERS_QUERY_SELECTOR: '.multiplayer__players',
+  START_QUERY_SELECTOR: '.multiplayer__start',
+  LEAVE_QUERY_SELECTOR: '.multiplayer__leave',
+  ERROR_QUERY_SELECTOR: '.multiplayer__error',
+};
+
+/**
+ * How dots are shared between the players in a room.
+ * @enum {string}
+ */
+export const RaceMode = {
+  // Everyone plays their own copy of the dots.
+  RACE: 'race',
+  // The first player to hit a dot takes it from everyone else's board.
+  COMPETITIVE: 'competitive',
+};
+
+/**
+ * @fileOverview Dot Game multiplayer.
+ * Connects to the rooms hosted by server.js over a WebSocket. Every player in
+ * a room plays the same seeded dots at the same time, and sees everyone's
+ * score as it changes.
+ */
+
+/**
+ * Connection to a multiplayer room. Server messages are emitted as events
+ * named after their type: 'joined', 'players', 'start', 'remove', 'result'
+ * and 'error', plus 'close' when the connection ends.
+ */
+export class MultiplayerClient {
+  /**
+   * @constructor
+   * @param {string=} url WebSocket URL of the room server. Defaults to the
+   *     server hosting the page.
+   */
+  constructor(url = MultiplayerClient.getDefaultUrl()) {
+    /** @private {string} */
+    this.url_ = url;
+
+    /** @private {?WebSocket} */
+    this.socket_ = null;
+
+    /** @private {!Object<string, !Array<function(!Object)>>} */
+    this.listeners_ = {};
+
+    /** @private {?{id: number, room: string, mode: !RaceMode}} */
+    this.membership_ = null;
+
+    this.on('joined', ({id, room, mode}) => {
+      this.membership_ = {id, room, mode};
+    });
+  }
+
+  /**
+   * Returns the WebSocket URL of the server hosting the page.
+   * @return {string}
+   */
+  static getDefaultUrl() {
+    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+    return `${protocol}//${window.location.host}${options_.SOCKET_PATH}`;
+  }
+
+  /**
+   * Returns the player's id, room and the room's mode, or null before
+   * joining a room.
+   * @return {?{id: number, room: string, mode: !RaceMode}}
+   */
+  get membership() {
+    return this.membership_;
+  }
+
+  /**
+   * Registers a listener for a server message or connection event.
+   * @param {string} type
+   * @param {function(!Object)} listener Called with the message.
+   */
+  on(type, listener) {
+    (this.listeners_[type] = this.listeners_[type] || []).push(listener);
+  }
+
+  /**
+   * Calls the listeners registered for an event.
+   * @param {string} type
+   * @param {!Object=} detail
+   * @private
+   */
+  emit_(type, detail = {}) {
+    (this.listeners_[type] || []).forEach((listener) => listener(detail));
+  }
+
+  /**
+   * Joins a room, connecting first if needed. A room that doesn't exist yet
+   * is created with the mode and options.
+   * @param {string} room
+   * @param {string} name The player's name.
+   * @param {!RaceMode} mode
+   * @param {!Object} options Simulation option overrides.
+   */
+  join(room, name, mode, options) {
+    this.send_({type: 'join', room, name, mode, options});
+  }
+
+  /**
+   * Leaves the room and closes the connection.
+   */
+  leave() {
+    if (this.socket_) {
+      this.socket_.close();
+    }
+  }
+
+  /**
+   * Asks the server to start a round. Only the host can start rounds.
+   */
+  start() {
+    this.sendToRoom_({type: 'start'});
+  }
+
+  /**
+   * Shares the player's score during a round.
+   * @param {number} score
+   */
+  sendScore(score) {
+    this.sendToRoom_({type: 'score', score});
+  }
+
+  /**
+   * Claims a dot the player hit, so it is removed from the other boards in
+   * competitive mode.
+   * @param {number} id The dot's id.
+   */
+  claim(id) {
+    this.sendToRoom_({type: 'claim', id});
+  }
+
+  /**
+   * Reports that the player has finished, with the replay of their round.
+   * The server plays it back for their final score.
+   * @param {!Object} replay The round's DotSimulation.getReplay() log.
+   */
+  finish(replay) {
+    this.sendToRoom_({type: 'finish', replay});
+  }
+
+  /**
+   * Sends a message to the room, if the player is still in one.
+   * @param {!Object} message
+   * @private
+   */
+  sendToRoom_(message) {
+    if (this.membership_) {
+      this.send_(message);
+    }
+  }
+
+  /**
+   * Sends a message, connecting first if needed.
+   * @param {!Object} message
+   * @private
+   */
+  send_(message) {
+    const socket = this.connect_();
+    if (socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify(message));
+    } else {
+      socket.addEventListener('open',
+          () => socket.send(JSON.stringify(message)));
+    }
+  }
+
+  /**
+   * Returns the open or opening connection, creating one if needed.
+   * @return {!WebSocket}
+   * @private
+   */
+  connect_() {
+    if (this.socket_) {
+      return this.socket_;
+    }
+
+    const socket = new WebSocket(this.url_);
+    socket.addEventListener('message', (e) => {
+      let message;
+      try {
+        message = JSON.parse(e.data);
+      } catch (error) {
+        return;
+      }
+      this.emit_(message.type, message);
+    });
+    socket.addEventListener('close', () => {
+      this.socket_ = null;
+      this.membership_ = null;
+      this.emit_('close');
+    });
+    this.socket_ = socket;
+    return socket;
+  }
+}
+
+/**
+ * Form for joining a room, with the room's players, their live scores, and
+ * the host's start button.
+ */
+export class MultiplayerPanel {
+  /**
+   * @constructor
+   * @param {!HTMLFormElement} form
+   * @param {!MultiplayerClient} client
+   * @param {function(): !Object} getOptions Returns the options for a new
+   *     room.
+   */
+  constructor(form, client, getOptions) {
+    /** @private {!HTMLFormElement} */
+    this.form_ = form;
+
+    /** @private {!MultiplayerClient} */
+    this.client_ = client;
+
+    /** @private {function(): !Object} */
+    this.getOptions_ = getOptions;
+
+    /** @private {!Element} */
+    this.statusElement_ = form.querySelector(this.STATUS_QUERY_SELECTOR);
+
+    /** @private {!Element} */
+    this.playersElement_ = form.querySelector(this.PLAYERS_QUERY_SELECTOR);
+
+    /** @private {!HTMLButtonElement} */
+    this.startButton_ = form.querySelector(this.START_QUERY_SELECTOR);
+
+    /** @private {!HTMLButtonElement} */
+    this.leaveButton_ = form.querySelector(this.LEAVE_QUERY_SELECTOR);
+
+    /** @private {!Element} */
+    this.errorElement_ = form.querySelector(this.ERROR_QUERY_SELECTOR);
+
+    const room = new URLSearchParams(window.location.search)
+        .get(this.ROOM_PARAM);
+    if (room) {
+      this.form_.elements.room.value = room;
+    }
+
+    this.form_.addEventListener('submit', (e) => this.submit_(e));
+    this.startButton_.addEventListener('click', () => this.client_.start());
+    this.leaveButton_.addEventListener('click', () => this.client_.leave());
+    this.client_.on('joined', (e) => this.displayJoined_(e));
+    this.client_.on('players', (e) => this.displayPlayers_(e));
+    this.client_.on('error', (e) => this.displayError_(e.message));
+    this.client_.on('close', () => this.displayClosed_());
+  }
+
+  /**
+   * Returns the query string parameter that fills in the room name.
+   * @return {string}
+   */
+  get ROOM_PARAM() {
+    return options_.ROOM_PARAM;
+  }
+
+  /**
+   * Returns the query selector for the room status.
+   * @return {string}
+   */
+  get STATUS_QUERY_SELECTOR() {
+    return options_.STATUS_QUERY_SELECTOR;
+  }
+
+  /**
+   * Returns the query selector for the list of players.
+   * @return {string}
+   */
+  get PLAYERS_QUERY_SELECTOR() {
+    return options_.PLAYERS_QUERY_SELECTOR;
+  }
+
+  /**
+   * Returns the query selector for the host's start button.
+   * @return {string}
+   */
+  get START_QUERY_SELECTOR() {
+    return options_.START_QUERY_SELECTOR;
+  }
+
+  /**
+   * Returns the query selector for the leave button.
+   * @return {string}
+   */
+  get LEAVE_QUERY_SELECTOR() {
+    return options_.LEAVE_QUERY_SELECTOR;
+  }
+
+  /**
+   * Returns the query selector for the error message.
+   * @return {string}
+   */
+  get ERROR_QUERY_SELECTOR() {
+    return options_.ERROR_QUERY_SELECTOR;
+  }
+
+  /**
+   * Joins the room entered in the form.
+   * @param {!Event} e
+   * @private
+   */
+  submit_(e) {
+    e.preventDefault();
+    const {room, name, mode} = this.form_.elements;
+    this.displayError_(null);
+    this.client_.join(room.value.trim(), name.value.trim(), mode.value,
+        this.getOptions_());
+  }
+
+  /**
+   * Shows the room that was joined.
+   * @param {{room: string, mode: !RaceMode}} e
+   * @private
+   */
+  displayJoined_({room, mode}) {
+    this.statusElement_.textContent = `In room ${room} (${mode})`;
+    this.leaveButton_.hidden = false;
+  }
+
+  /**
+   * Lists the players in the room and their scores, and lets the host start
+   * a round when the server says it can.
+   * @param {{host: number, canStart: boolean, players: !Array<!Object>}} e
+   * @private
+   */
+  displayPlayers_({host, canStart, players}) {
+    const membership = this.client_.membership;
+    this.playersElement_.textContent = '';
+    players.forEach((player) => {
+      const item = document.createElement('li');
+      item.className = 'multiplayer__player';
+      item.textContent = [
+        player.name,
+        player.id === host ? '(host)' : '',
+        player.score,
+        player.finished ? '✓' : '',
+      ].filter((part) => part !== '').join(' ');
+      if (membership && player.id === membership.id) {
+        item.classList.add('multiplayer__player--self');
+      }
+      this.playersElement_.appendChild(item);
+    });
+
+    this.startButton_.hidden = !membership || membership.id !== host;
+    this.startButton_.disabled = !canStart;
+  }
+
+  /**
+   * Clears the room after the connection closes.
+   * @private
+   */
+  displayClosed_() {
+    this.statusElement_.textContent = 'Not in a room';
+    this.playersElement_.textContent = '';
+    this.startButton_.hidden = true;
+    this.leaveButton_.hidden = true;
+  }
+
+  /**
+   * Shows an error message, or hides it if there is none.
+   * @param {?string} message
+   * @private
+   */
+  displayError_(message) {
+    this.errorElement_.textContent = message || '';
+    this.errorElement_.hidden = !message;
+  }
+}
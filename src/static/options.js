@@ -0,0 +1,103 @@
+/**
+ * @fileOverview Option validation.
+ * Classes with tunable options describe them with a map of option specs, and
+ * use these helpers to merge caller overrides over their defaults.
+ */
+
+/**
+ * Describes a configurable option.
+ * @typedef {{
+ *   type: string,
+ *   label: string,
+ *   min: (number|undefined),
+ *   max: (number|undefined),
+ *   integer: (boolean|undefined),
+ *   values: (!Array<string>|undefined),
+ * }}
+ */
+export let OptionSpec;
+
+/**
+ * Checks one option value against its spec.
+ * @param {string} name
+ * @param {*} value
+ * @param {!OptionSpec} spec
+ * @throws {TypeError} If the value has the wrong type.
+ * @throws {RangeError} If the value is out of range.
+ */
+export function validateOption(name, value, spec) {
+  if (typeof value !== spec.type ||
+      (spec.type === 'number' && !Number.isFinite(value))) {
+    throw new TypeError(`${name} must be a ${spec.type}.`);
+  }
+  if (spec.integer && !Number.isInteger(value)) {
+    throw new TypeError(`${name} must be a whole number.`);
+  }
+  if (spec.values && spec.values.indexOf(value) === -1) {
+    throw new RangeError(`${name} must be one of ${spec.values.join(', ')}.`);
+  }
+  if ((spec.min !== undefined && value < spec.min) ||
+      (spec.max !== undefined && value > spec.max)) {
+    throw new RangeError(
+        `${name} must be between ${spec.min} and ${spec.max}.`);
+  }
+}
+
+/**
+ * Returns a copy of the defaults with the overrides applied, after checking
+ * each override against its spec.
+ * @param {!Object} defaults
+ * @param {!Object<string, !OptionSpec>} specs Options that may be overridden.
+ * @param {!Object=} overrides
+ * @return {!Object}
+ * @throws {Error} If an override is unknown or invalid.
+ */
+export function mergeOptions(defaults, specs, overrides = {}) {
+  Object.keys(overrides).forEach((name) => {
+    if (!specs.hasOwnProperty(name)) {
+      throw new Error(`Unknown option: ${name}.`);
+    }
+    validateOption(name, overrides[name], specs[name]);
+  });
+  return Object.assign({}, defaults, overrides);
+}
+
+/**
+ * Returns the valid options found in a set of strings, such as a query
+ * string or saved settings. Names are matched case-insensitively, and
+ * unknown or invalid values are skipped.
+ * @param {!Object<string, string>|!URLSearchParams} params
+ * @param {!Object<string, !OptionSpec>} specs
+ * @return {!Object}
+ */
+export function parseOptions(params, specs) {
+  const entries = params instanceof URLSearchParams ?
+      Array.from(params.entries()) :
+      Object.keys(params).map((key) => [key, params[key]]);
+  const options = {};
+
+  entries.forEach(([key, raw]) => {
+    const name = Object.keys(specs).find(
+        (spec) => spec.toLowerCase() === key.toLowerCase());
+    if (!name) {
+      return;
+    }
+
+    const spec = specs[name];
+    let value = raw;
+    if (spec.type === 'number') {
+      value = raw === '' ? NaN : Number(raw);
+    } else if (spec.type === 'boolean') {
+      value = raw === true || raw === 'true' || raw === '1';
+    }
+
+    try {
+      validateOption(name, value, spec);
+      options[name] = value;
+    } catch (e) {
+      // Ignore values the player can't have meant.
+    }
+  });
+
+  return options;
+}
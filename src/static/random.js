@@ -0,0 +1,42 @@
+/**
+ * @fileOverview Seedable random numbers.
+ * The same seed always produces the same sequence, so a game can be shared
+ * and replayed by its seed.
+ */
+
+/**
+ * Returns a 32-bit hash of a seed string (FNV-1a).
+ * @param {string} seed
+ * @return {number}
+ */
+export function hashSeed(seed) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < seed.length; i++) {
+    hash ^= seed.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Returns a random number generator (mulberry32) seeded from a string.
+ * @param {string} seed
+ * @return {function(): number} Returns values in [0, 1).
+ */
+export function createRandom(seed) {
+  let state = hashSeed(String(seed));
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Returns a new short seed suitable for sharing.
+ * @return {string}
+ */
+export function generateSeed() {
+  return Math.floor(Math.random() * 0x7fffffff).toString(36);
+}
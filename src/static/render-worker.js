@@ -0,0 +1,197 @@
+import {CanvasRenderer} from './canvas-renderer.js';
+import {DotSimulation, GameState} from './dot-simulation.js';
+import {EffectsLayer} from './effects.js';
+import {createSnapshot} from './worker-renderer.js';
+
+/** @private @enum {number} */
+const options_ = {
+  // Workers without requestAnimationFrame draw on a timer this many
+  // milliseconds apart instead.
+  FRAME_INTERVAL: 1000 / 60,
+};
+
+/**
+ * Simulation events passed on to the page. 'beforestep' fires every step
+ * and nothing on the page needs it, so it is left out.
+ * @private @const {!Array<string>}
+ */
+const FORWARDED_EVENTS_ = [
+  'score',
+  'bomb',
+  'miss',
+  'escape',
+  'remove',
+  'statechange',
+  'finish',
+  'levelchange',
+];
+
+/**
+ * The round's methods the page can call.
+ * @private @const {!Array<string>}
+ */
+const SIMULATION_METHODS_ = [
+  'resize',
+  'setSpeed',
+  'hitAttempt',
+  'begin',
+  'pause',
+  'resume',
+  'stop',
+  'reset',
+];
+
+/**
+ * @fileOverview Dot Game render worker.
+ * Plays a round and draws it, with its effects and the keyboard crosshair,
+ * onto the OffscreenCanvas the page hands over. The page's
+ * WorkerRenderer sends the board's size, theme and crosshair, creates each
+ * round and passes on its calls, and the worker sends back every event and a
+ * snapshot of the round after each frame.
+ */
+class RenderWorker {
+  /**
+   * @constructor
+   * @param {!DedicatedWorkerGlobalScope} scope
+   */
+  constructor(scope) {
+    /** @private {!DedicatedWorkerGlobalScope} */
+    this.scope_ = scope;
+
+    /** @private {?CanvasRenderer} Created once the page sends the board. */
+    this.renderer_ = null;
+
+    /** @private {!EffectsLayer} */
+    this.effects_ = new EffectsLayer();
+
+    /** @private {?DotSimulation} */
+    this.simulation_ = null;
+
+    /** @private {?number} Id the page knows the round by. */
+    this.id_ = null;
+
+    /** @private {?{x: number, y: number}} */
+    this.crosshair_ = null;
+
+    /** @private {boolean} Whether a frame has been asked for. */
+    this.framePending_ = false;
+
+    scope.addEventListener('message', (e) => this.handleMessage_(e.data));
+  }
+
+  /**
+   * Handles a message from the page, then draws the board to show it.
+   * @param {!Object} message
+   * @private
+   */
+  handleMessage_(message) {
+    switch (message.type) {
+      case 'init':
+        this.renderer_ = new CanvasRenderer(message.canvas);
+        break;
+      case 'size':
+        this.renderer_.setBoardSize(message.width, message.height,
+            message.ratio);
+        break;
+      case 'theme':
+        this.renderer_.setTheme(message.theme);
+        break;
+      case 'effects':
+        this.effects_.enabled = message.enabled;
+        break;
+      case 'crosshair':
+        this.crosshair_ = message.position;
+        break;
+      case 'create':
+        this.createSimulation_(message);
+        break;
+      case 'call':
+        if (message.id === this.id_ &&
+            SIMULATION_METHODS_.indexOf(message.method) > -1) {
+          this.simulation_[message.method](...message.args);
+        }
+        break;
+    }
+    this.requestFrame_();
+  }
+
+  /**
+   * Starts a new round in place of the previous one.
+   * @param {{id: number, seed: string, options: !Object}} round
+   * @private
+   */
+  createSimulation_({id, seed, options}) {
+    const simulation = new DotSimulation({
+      seed,
+      options,
+      clock: () => performance.now(),
+    });
+    FORWARDED_EVENTS_.forEach((event) => {
+      simulation.on(event, (detail) => this.scope_.postMessage({
+        type: 'event',
+        id,
+        event,
+        detail,
+        snapshot: createSnapshot(simulation, event === 'statechange'),
+      }));
+    });
+    this.effects_.clear();
+    this.effects_.follow(simulation);
+
+    this.simulation_ = simulation;
+    this.id_ = id;
+  }
+
+  /**
+   * Asks for a frame, unless one is already coming.
+   * @private
+   */
+  requestFrame_() {
+    if (this.framePending_ || !this.renderer_) {
+      return;
+    }
+
+    this.framePending_ = true;
+    if (this.scope_.requestAnimationFrame) {
+      this.scope_.requestAnimationFrame(() => this.frame_());
+    } else {
+      this.scope_.setTimeout(() => this.frame_(), options_.FRAME_INTERVAL);
+    }
+  }
+
+  /**
+   * Handles a frame: simulates the time since the previous frame, draws the
+   * result and sends the page a snapshot of the round. Frames carry on while
+   * the round is played and until the last effects have finished.
+   * @private
+   */
+  frame_() {
+    this.framePending_ = false;
+    const simulation = this.simulation_;
+    const playing = !!simulation && simulation.state === GameState.PLAYING;
+
+    if (playing) {
+      simulation.tick();
+      this.scope_.postMessage({
+        type: 'frame',
+        id: this.id_,
+        snapshot: createSnapshot(simulation),
+      });
+    }
+    if (simulation) {
+      this.renderer_.render(simulation);
+    } else {
+      this.renderer_.clear();
+    }
+    this.renderer_.drawEffects(this.effects_);
+    if (this.crosshair_) {
+      this.renderer_.drawCrosshair(this.crosshair_);
+    }
+
+    if (playing || this.effects_.active) {
+      this.requestFrame_();
+    }
+  }
+}
+
+new RenderWorker(self);
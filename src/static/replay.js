@@ -0,0 +1,190 @@
+import {
+  OPTION_SPECS,
+  REPLAY_VERSION,
+  resolveOptions,
+} from './dot-simulation.js';
+
+/**
+ * Number of arguments each type of input takes.
+ * @private @const {!Object<string, number>}
+ */
+const INPUT_ARGUMENTS_ = {
+  hit: 2,
+  speed: 1,
+  resize: 2,
+  stop: 0,
+  remove: 1,
+};
+
+/**
+ * Inputs that set up the board rather than play on it.
+ * @private @const {!Array<string>}
+ */
+const SETUP_INPUTS_ = ['resize', 'speed'];
+
+/**
+ * @fileOverview Dot Game replays.
+ * A replay is the log returned by DotSimulation.getReplay(): the round's seed
+ * and options plus every input as [time, type, ...args]. Feeding the inputs
+ * back into a simulation with the same seed and options at the same simulated
+ * times reproduces the round exactly.
+ */
+
+/**
+ * Checks that an object is a well formed replay log.
+ * @param {*} replay
+ * @return {{version: number, seed: string, options: (!Object|undefined),
+ *     score: number, inputs: !Array<!Array>}}
+ * @throws {Error} If the replay is malformed.
+ */
+export function validateReplay(replay) {
+  if (!replay || typeof replay !== 'object') {
+    throw new Error('Replay must be an object.');
+  }
+  if (replay.version !== REPLAY_VERSION) {
+    throw new Error(`Unsupported replay version: ${replay.version}.`);
+  }
+  if (typeof replay.seed !== 'string' || !replay.seed) {
+    throw new Error('Replay is missing its seed.');
+  }
+  if (replay.options !== undefined) {
+    try {
+      resolveOptions(replay.options);
+    } catch (e) {
+      throw new Error(`Replay options are invalid: ${e.message}`);
+    }
+  }
+  if (!Array.isArray(replay.inputs)) {
+    throw new Error('Replay is missing its inputs.');
+  }
+
+  let time = 0;
+  replay.inputs.forEach((input, i) => {
+    const args = Array.isArray(input) ?
+        INPUT_ARGUMENTS_[input[1]] : undefined;
+    if (args === undefined || input.length !== args + 2 ||
+        !input.every((value, j) => j === 1 || Number.isFinite(value))) {
+      throw new Error(`Replay input ${i} is malformed.`);
+    }
+    if (input[0] < time) {
+      throw new Error(`Replay input ${i} is out of order.`);
+    }
+    time = input[0];
+  });
+
+  return replay;
+}
+
+/**
+ * Parses and validates a replay exported as JSON.
+ * @param {string} json
+ * @return {{version: number, seed: string, options: (!Object|undefined),
+ *     score: number, inputs: !Array<!Array>}}
+ * @throws {Error} If the JSON is not a well formed replay.
+ */
+export function parseReplay(json) {
+  let replay;
+  try {
+    replay = JSON.parse(json);
+  } catch (e) {
+    throw new Error('Replay is not valid JSON.');
+  }
+  return validateReplay(replay);
+}
+
+/**
+ * Plays a replay back through a simulation. The simulation must have been
+ * created with the replay's options. It is reset to the replay's seed, and
+ * each recorded input is applied just before the step it originally
+ * preceded. The simulation is then driven as usual, for example with tick()
+ * from an animation loop.
+ */
+export class ReplayPlayer {
+  /**
+   * @constructor
+   * @param {{seed: string, options: (!Object|undefined),
+   *     inputs: !Array<!Array>}} replay
+   * @param {!DotSimulation} simulation
+   * @throws {Error} If the replay is malformed, or the simulation's options
+   *     differ from the replay's.
+   */
+  constructor(replay, simulation) {
+    /** @private {!Array<!Array>} */
+    this.inputs_ = validateReplay(replay).inputs;
+
+    const options = resolveOptions(replay.options);
+    const actual = simulation.getOptions();
+    const mismatch = Object.keys(OPTION_SPECS).find(
+        (name) => actual[name] !== options[name]);
+    if (mismatch) {
+      throw new Error(`Simulation ${mismatch} does not match the replay.`);
+    }
+
+    /** @private {!DotSimulation} */
+    this.simulation_ = simulation;
+
+    /** @private {number} Index of the next input to apply. */
+    this.next_ = 0;
+
+    this.simulation_.setSeed(replay.seed);
+    this.simulation_.reset();
+    this.applySetup_();
+    this.simulation_.on('beforestep', () => this.applyInputs_());
+  }
+
+  /**
+   * Returns true once every input has been applied.
+   * @return {boolean}
+   */
+  get done() {
+    return this.next_ >= this.inputs_.length;
+  }
+
+  /**
+   * Applies the board size and speed the round began with. The first dot is
+   * placed as the round begins, before the first step applies any inputs.
+   * @private
+   */
+  applySetup_() {
+    while (!this.done && this.inputs_[this.next_][0] === 0 &&
+        SETUP_INPUTS_.indexOf(this.inputs_[this.next_][1]) > -1) {
+      this.applyInput_(this.inputs_[this.next_++]);
+    }
+  }
+
+  /**
+   * Applies the inputs recorded at or before the current simulated time.
+   * @private
+   */
+  applyInputs_() {
+    const time = Math.round(this.simulation_.time);
+    while (!this.done && this.inputs_[this.next_][0] <= time) {
+      this.applyInput_(this.inputs_[this.next_++]);
+    }
+  }
+
+  /**
+   * Applies one input to the simulation.
+   * @param {!Array} input
+   * @private
+   */
+  applyInput_([, type, ...args]) {
+    switch (type) {
+      case 'hit':
+        this.simulation_.hitAttempt(args[0], args[1]);
+        break;
+      case 'speed':
+        this.simulation_.setSpeed(args[0]);
+        break;
+      case 'resize':
+        this.simulation_.resize(args[0], args[1]);
+        break;
+      case 'stop':
+        this.simulation_.stop();
+        break;
+      case 'remove':
+        this.simulation_.removeDot(args[0]);
+        break;
+    }
+  }
+}
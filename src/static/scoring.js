@@ -0,0 +1,109 @@
+/**
+ * @fileOverview Dot Game scoring strategies.
+ * A scoring strategy returns the points for hitting a dot, before the combo
+ * multiplier is applied. It is called with the dot and the simulation, so it
+ * can use the simulation's options, current speed and time. The SCORING
+ * option selects a strategy by name, which keeps replays reproducible.
+ */
+
+/**
+ * Calculates the points for hitting a dot.
+ * @typedef {function(!Object, !DotSimulation): number}
+ */
+export let ScoringStrategy;
+
+/**
+ * Most points awarded by the size-based strategies.
+ * @private @const {number}
+ */
+const MAX_SIZE_POINTS_ = 10;
+
+/**
+ * Speed in pixels per second at which the speed-weighted strategy awards
+ * the same points as the size strategy.
+ * @private @const {number}
+ */
+const BASE_SPEED_ = 30;
+
+/**
+ * Milliseconds after a dot appears during which the time strategy awards a
+ * bonus. The bonus shrinks to nothing over this time.
+ * @private @const {number}
+ */
+const TIME_BONUS_DURATION_ = 3000;
+
+/**
+ * Returns points that fall linearly from MAX_SIZE_POINTS_ for the smallest
+ * dots to 1 for the largest.
+ * @param {!Object} dot
+ * @param {!DotSimulation} simulation
+ * @return {number}
+ * @private
+ */
+function sizePoints_(dot, simulation) {
+  const min = simulation.MIN_DOT_DIAMETER;
+  const max = simulation.MAX_DOT_DIAMETER;
+  const fraction = max > min ? (max - dot.r * 2) / (max - min) : 1;
+  return Math.round(1 + (MAX_SIZE_POINTS_ - 1) * fraction);
+}
+
+/**
+ * Built-in scoring strategies by name.
+ * @private @const {!Object<string, !ScoringStrategy>}
+ */
+const strategies_ = {
+  // The original scoring: inversely proportional to the size of the dot,
+  // with MIN_DOT_DIAMETER dots worth 10 points, and MAX_DOT_DIAMETER dots
+  // worth 1 point.
+  classic: (dot, simulation) =>
+    Math.round(simulation.MAX_DOT_DIAMETER / (dot.r * 2)),
+
+  // Linear in the size of the dot, so each pixel is worth the same.
+  size: sizePoints_,
+
+  // Size points scaled by how fast the dot is falling.
+  speed: (dot, simulation) => Math.max(1, Math.round(
+      sizePoints_(dot, simulation) * simulation.getDotSpeed(dot) /
+      BASE_SPEED_)),
+
+  // Size points plus a bonus for hitting the dot soon after it appears.
+  time: (dot, simulation) => {
+    const age = simulation.time - dot.born;
+    const bonus = MAX_SIZE_POINTS_ * (1 - age / TIME_BONUS_DURATION_);
+    return sizePoints_(dot, simulation) + Math.max(0, Math.round(bonus));
+  },
+};
+
+/**
+ * Names of the registered scoring strategies.
+ * @const {!Array<string>}
+ */
+export const SCORING_STRATEGY_NAMES = Object.keys(strategies_);
+
+/**
+ * Returns a scoring strategy by name.
+ * @param {string} name
+ * @return {!ScoringStrategy}
+ * @throws {Error} If no strategy has the name.
+ */
+export function getScoringStrategy(name) {
+  if (!strategies_.hasOwnProperty(name)) {
+    throw new Error(`Unknown scoring strategy: ${name}.`);
+  }
+  return strategies_[name];
+}
+
+/**
+ * Adds a scoring strategy that can then be selected with the SCORING option.
+ * Register strategies before creating the simulations that use them.
+ * @param {string} name
+ * @param {!ScoringStrategy} strategy
+ * @throws {Error} If the name is already taken.
+ */
+export function registerScoringStrategy(name, strategy) {
+  if (strategies_.hasOwnProperty(name)) {
+    throw new Error(`Scoring strategy ${name} is already registered.`);
+  }
+  strategies_[name] = strategy;
+  SCORING_STRATEGY_NAMES.push(name);
+}
@@ -0,0 +1,231 @@
+import {
+  CUSTOM_DIFFICULTY,
+  DIFFICULTY_PRESETS,
+  getDifficulty,
+} from './difficulty.js';
+import {parseOptions} from './options.js';
+
+/** @private @enum {string} */
+const options_ = {
+  STORAGE_KEY: 'dot-game-settings',
+  FIELDS_QUERY_SELECTOR: '.settings__fields',
+  ERROR_QUERY_SELECTOR: '.settings__error',
+  DEFAULTS_QUERY_SELECTOR: '.settings__defaults',
+  DIFFICULTY_QUERY_SELECTOR: '.settings__difficulty',
+};
+
+/**
+ * Returns the settings saved in local storage.
+ * @param {!Object<string, !OptionSpec>} specs
+ * @return {!Object}
+ */
+export function loadSettings(specs) {
+  try {
+    const saved = JSON.parse(localStorage.getItem(options_.STORAGE_KEY));
+    return saved ? parseOptions(saved, specs) : {};
+  } catch (e) {
+    return {};
+  }
+}
+
+/**
+ * Saves settings to local storage, or clears them if there are none.
+ * @param {!Object} settings
+ */
+export function saveSettings(settings) {
+  try {
+    if (Object.keys(settings).length) {
+      localStorage.setItem(options_.STORAGE_KEY, JSON.stringify(settings));
+    } else {
+      localStorage.removeItem(options_.STORAGE_KEY);
+    }
+  } catch (e) {
+    // Storage is unavailable, so settings only last for this page.
+  }
+}
+
+/**
+ * @fileOverview Dot Game settings panel.
+ * Builds a form field for each option spec, and reports the values the
+ * player submits. Choosing a difficulty preset fills in its values.
+ */
+export class SettingsPanel {
+  /**
+   * @constructor
+   * @param {!HTMLFormElement} form
+   * @param {!Object<string, !OptionSpec>} specs
+   * @param {function(!Object): ?string} onSubmit Called with the submitted
+   *     values. Returns an error message if they can't be used.
+   */
+  constructor(form, specs, onSubmit) {
+    /** @private {!HTMLFormElement} */
+    this.form_ = form;
+
+    /** @private {!Object<string, !OptionSpec>} */
+    this.specs_ = specs;
+
+    /** @private {function(!Object): ?string} */
+    this.onSubmit_ = onSubmit;
+
+    /** @private {!Element} */
+    this.errorElement_ = form.querySelector(this.ERROR_QUERY_SELECTOR);
+
+    /** @private {!HTMLSelectElement} */
+    this.difficultyInput_ = form.querySelector(this.DIFFICULTY_QUERY_SELECTOR);
+
+    this.createFields_();
+    this.createDifficultyOptions_();
+    this.form_.addEventListener('submit', (e) => this.submit_(e));
+    this.form_.addEventListener('input', (e) => this.handleInput_(e));
+    this.form_.querySelector(this.DEFAULTS_QUERY_SELECTOR)
+        .addEventListener('click', () => this.submitDefaults_());
+  }
+
+  /**
+   * Returns the query selector for the element holding the fields.
+   * @return {string}
+   */
+  get FIELDS_QUERY_SELECTOR() {
+    return options_.FIELDS_QUERY_SELECTOR;
+  }
+
+  /**
+   * Returns the query selector for the error message.
+   * @return {string}
+   */
+  get ERROR_QUERY_SELECTOR() {
+    return options_.ERROR_QUERY_SELECTOR;
+  }
+
+  /**
+   * Returns the query selector for the button restoring the defaults.
+   * @return {string}
+   */
+  get DEFAULTS_QUERY_SELECTOR() {
+    return options_.DEFAULTS_QUERY_SELECTOR;
+  }
+
+  /**
+   * Returns the query selector for the difficulty preset menu.
+   * @return {string}
+   */
+  get DIFFICULTY_QUERY_SELECTOR() {
+    return options_.DIFFICULTY_QUERY_SELECTOR;
+  }
+
+  /**
+   * Adds the difficulty presets to the difficulty menu.
+   * @private
+   */
+  createDifficultyOptions_() {
+    Object.keys(DIFFICULTY_PRESETS).concat(CUSTOM_DIFFICULTY)
+        .forEach((name) => {
+          this.difficultyInput_.appendChild(new Option(name, name));
+        });
+  }
+
+  /**
+   * Fills in a preset when one is chosen, and otherwise shows which preset,
+   * if any, the fields match.
+   * @param {!Event} e
+   * @private
+   */
+  handleInput_(e) {
+    if (e.target !== this.difficultyInput_) {
+      this.difficultyInput_.value = getDifficulty(this.getValues());
+    } else if (DIFFICULTY_PRESETS.hasOwnProperty(e.target.value)) {
+      this.setValues(Object.assign(this.getValues(),
+          DIFFICULTY_PRESETS[e.target.value]));
+    }
+  }
+
+  /**
+   * Adds a labelled input for each option.
+   * @private
+   */
+  createFields_() {
+    const container = this.form_.querySelector(this.FIELDS_QUERY_SELECTOR);
+    Object.keys(this.specs_).forEach((name) => {
+      const spec = this.specs_[name];
+      const label = document.createElement('label');
+      const input = document.createElement(spec.values ? 'select' : 'input');
+
+      label.className = 'settings__field';
+      label.textContent = spec.label;
+      input.name = name;
+      input.className = 'settings__input';
+      if (spec.values) {
+        spec.values.forEach((value) => {
+          input.appendChild(new Option(value, value));
+        });
+      } else if (spec.type === 'boolean') {
+        input.type = 'checkbox';
+      } else {
+        input.type = 'number';
+        input.required = true;
+        input.min = spec.min;
+        input.max = spec.max;
+        input.step = spec.integer ? 1 : 'any';
+      }
+
+      label.appendChild(input);
+      container.appendChild(label);
+    });
+  }
+
+  /**
+   * Fills the fields with option values.
+   * @param {!Object} values
+   */
+  setValues(values) {
+    Object.keys(this.specs_).forEach((name) => {
+      const input = this.form_.elements[name];
+      if (input.type === 'checkbox') {
+        input.checked = values[name];
+      } else {
+        input.value = values[name];
+      }
+    });
+    this.difficultyInput_.value = getDifficulty(values);
+  }
+
+  /**
+   * Returns the values entered in the fields.
+   * @return {!Object}
+   */
+  getValues() {
+    const raw = {};
+    Object.keys(this.specs_).forEach((name) => {
+      const input = this.form_.elements[name];
+      raw[name] = input.type === 'checkbox' ? input.checked : input.value;
+    });
+    return parseOptions(raw, this.specs_);
+  }
+
+  /**
+   * Shows an error message, or hides it if there is none.
+   * @param {?string} message
+   */
+  displayError(message) {
+    this.errorElement_.textContent = message || '';
+    this.errorElement_.hidden = !message;
+  }
+
+  /**
+   * Submits the values entered in the fields.
+   * @param {!Event} e
+   * @private
+   */
+  submit_(e) {
+    e.preventDefault();
+    this.displayError(this.onSubmit_(this.getValues()));
+  }
+
+  /**
+   * Submits no values, restoring the defaults.
+   * @private
+   */
+  submitDefaults_() {
+    this.displayError(this.onSubmit_({}));
+  }
+}
@@ -0,0 +1,265 @@
+/** @private @enum {number|string|!Object<string, number>} */
+const options_ = {
+  STORAGE_KEY: 'dot-game-sound',
+  DEFAULT_VOLUME: 0.5,
+  // Hit pitches in hertz. Small dots sound high and big dots low.
+  HIT_FREQUENCY: {
+    min: 220,
+    max: 880,
+  },
+  // Dot radii the hit pitches are spread across.
+  HIT_RADIUS: {
+    min: 5,
+    max: 50,
+  },
+  HIT_DURATION: 0.12,
+  MISS_FREQUENCY: 110,
+  MISS_DURATION: 0.15,
+  BOMB_FREQUENCY: 70,
+  BOMB_DURATION: 0.4,
+  // Each combo level plays one more note of the arpeggio.
+  COMBO_FREQUENCIES: [523.25, 659.25, 783.99, 1046.5],
+  COMBO_NOTE_DURATION: 0.07,
+  GAME_OVER_FREQUENCIES: [392, 329.63, 261.63],
+  GAME_OVER_NOTE_DURATION: 0.25,
+  // Gain envelopes start from and fade to this, as zero can't be ramped.
+  SILENCE: 0.0001,
+};
+
+/**
+ * @fileOverview Dot Game sound effects.
+ * Every sound is synthesized with the Web Audio API, so there is nothing to
+ * download. Browsers only let a page start audio after the player interacts
+ * with it, so the audio context is created or resumed by unlock(), which is
+ * meant to be called from the first click, touch or key press. Sounds asked
+ * for before then are skipped. The volume and mute setting are saved in
+ * localStorage.
+ */
+export class SoundEngine {
+  /**
+   * @constructor
+   */
+  constructor() {
+    const saved = this.load_();
+
+    /** @private {number} From 0 to 1. */
+    this.volume_ = saved.volume;
+
+    /** @private {boolean} */
+    this.muted_ = saved.muted;
+
+    /** @private {?AudioContext} */
+    this.context_ = null;
+
+    /** @private {?GainNode} Master volume, which every sound plays into. */
+    this.master_ = null;
+  }
+
+  /**
+   * Returns the localStorage key the volume and mute setting are saved under.
+   * @return {string}
+   */
+  get STORAGE_KEY() {
+    return options_.STORAGE_KEY;
+  }
+
+  /**
+   * Returns the silent level gain envelopes ramp from and to.
+   * @return {number}
+   */
+  get SILENCE() {
+    return options_.SILENCE;
+  }
+
+  /**
+   * Returns the master volume, from 0 to 1.
+   * @return {number}
+   */
+  get volume() {
+    return this.volume_;
+  }
+
+  /**
+   * Returns true if sound is muted.
+   * @return {boolean}
+   */
+  get muted() {
+    return this.muted_;
+  }
+
+  /**
+   * Sets the master volume.
+   * @param {number} volume From 0 to 1.
+   */
+  setVolume(volume) {
+    this.volume_ = Math.min(Math.max(volume, 0), 1);
+    this.applyVolume_();
+    this.save_();
+  }
+
+  /**
+   * Mutes or unmutes every sound.
+   * @param {boolean} muted
+   */
+  setMuted(muted) {
+    this.muted_ = muted;
+    this.applyVolume_();
+    this.save_();
+  }
+
+  /**
+   * Creates or resumes the audio context. Call it from a user interaction
+   * so the browser allows audio to start. Does nothing if the browser has no
+   * Web Audio support.
+   */
+  unlock() {
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContext) {
+      return;
+    }
+
+    if (!this.context_) {
+      this.context_ = new AudioContext();
+      this.master_ = this.context_.createGain();
+      this.master_.connect(this.context_.destination);
+      this.applyVolume_();
+    }
+    if (this.context_.state === 'suspended') {
+      this.context_.resume();
+    }
+  }
+
+  /**
+   * Plays the sound for hitting a dot, higher for smaller dots.
+   * @param {number} radius The dot's radius in pixels.
+   */
+  playHit(radius) {
+    const {min, max} = options_.HIT_RADIUS;
+    const size = (Math.min(Math.max(radius, min), max) - min) / (max - min);
+    const {min: low, max: high} = options_.HIT_FREQUENCY;
+    // Pitch is heard on a log scale, so the steps between sizes sound even.
+    const frequency = high * Math.pow(low / high, size);
+    this.playTone_('triangle', frequency, 0, options_.HIT_DURATION);
+  }
+
+  /**
+   * Plays the sound for a click that missed.
+   */
+  playMiss() {
+    this.playTone_('sawtooth', options_.MISS_FREQUENCY, 0,
+        options_.MISS_DURATION, 0.3);
+  }
+
+  /**
+   * Plays the sound for hitting a bomb.
+   */
+  playBomb() {
+    this.playTone_('square', options_.BOMB_FREQUENCY, 0,
+        options_.BOMB_DURATION, 0.6);
+  }
+
+  /**
+   * Plays a rising arpeggio for reaching a higher combo multiplier, with one
+   * more note for each level.
+   * @param {number} multiplier
+   */
+  playCombo(multiplier) {
+    const frequencies = options_.COMBO_FREQUENCIES;
+    const notes = Math.min(multiplier, frequencies.length);
+    for (let i = 0; i < notes; i++) {
+      this.playTone_('sine', frequencies[i],
+          i * options_.COMBO_NOTE_DURATION, options_.COMBO_NOTE_DURATION);
+    }
+  }
+
+  /**
+   * Plays a falling phrase for the end of the round.
+   */
+  playGameOver() {
+    options_.GAME_OVER_FREQUENCIES.forEach((frequency, i) => {
+      this.playTone_('triangle', frequency,
+          i * options_.GAME_OVER_NOTE_DURATION,
+          options_.GAME_OVER_NOTE_DURATION);
+    });
+  }
+
+  /**
+   * Plays a note that starts quickly and fades out. Skipped until audio is
+   * unlocked, and while muted. A context that is still resuming keeps its
+   * clock stopped, so notes scheduled meanwhile play once it starts.
+   * @param {string} type Oscillator wave type.
+   * @param {number} frequency In hertz.
+   * @param {number} delay Seconds before the note starts.
+   * @param {number} duration Seconds the note lasts.
+   * @param {number=} level Peak gain, from 0 to 1.
+   * @private
+   */
+  playTone_(type, frequency, delay, duration, level = 1) {
+    if (!this.context_ || this.muted_ || !this.volume_) {
+      return;
+    }
+
+    const context = this.context_;
+    const start = context.currentTime + delay;
+    const end = start + duration;
+    const oscillator = context.createOscillator();
+    const envelope = context.createGain();
+
+    oscillator.type = type;
+    oscillator.frequency.setValueAtTime(frequency, start);
+    envelope.gain.setValueAtTime(this.SILENCE, start);
+    envelope.gain.exponentialRampToValueAtTime(level, start + 0.01);
+    envelope.gain.exponentialRampToValueAtTime(this.SILENCE, end);
+
+    oscillator.connect(envelope);
+    envelope.connect(this.master_);
+    oscillator.start(start);
+    oscillator.stop(end);
+  }
+
+  /**
+   * Sets the master gain from the volume and mute setting.
+   * @private
+   */
+  applyVolume_() {
+    if (this.master_) {
+      this.master_.gain.value = this.muted_ ? 0 : this.volume_;
+    }
+  }
+
+  /**
+   * Returns the saved volume and mute setting, or the defaults.
+   * @return {{volume: number, muted: boolean}}
+   * @private
+   */
+  load_() {
+    const defaults = {volume: options_.DEFAULT_VOLUME, muted: false};
+    let saved;
+    try {
+      saved = JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+    } catch (e) {
+      return defaults;
+    }
+    if (!saved || typeof saved.volume !== 'number' ||
+        typeof saved.muted !== 'boolean') {
+      return defaults;
+    }
+    return {
+      volume: Math.min(Math.max(saved.volume, 0), 1),
+      muted: saved.muted,
+    };
+  }
+
+  /**
+   * Saves the volume and mute setting.
+   * @private
+   */
+  save_() {
+    try {
+      localStorage.setItem(this.STORAGE_KEY,
+          JSON.stringify({volume: this.volume_, muted: this.muted_}));
+    } catch (e) {
+      // Storage is unavailable, so the setting only lasts for this page.
+    }
+  }
+}
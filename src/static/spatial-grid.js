@@ -0,0 +1,148 @@
+/** @private @enum {number} */
+const options_ = {
+  // Cell columns and rows are offset by this to keep keys positive, so
+  // items up to this many cells off the top or left of the board still get
+  // keys of their own.
+  KEY_OFFSET: 0x8000,
+  KEY_STRIDE: 0x10000,
+};
+
+/**
+ * @fileOverview Dot Game spatial index.
+ * Buckets items into square cells by their center, so finding what is near
+ * a point only looks at the cells around it. Items that move only change
+ * cells when they cross into a new one, so keeping the grid up to date as
+ * dots move costs little more than a lookup per dot.
+ */
+export class SpatialGrid {
+  /**
+   * @constructor
+   * @param {number} cellSize Width and height of each cell in pixels.
+   */
+  constructor(cellSize) {
+    /** @private {number} */
+    this.cellSize_ = Math.max(cellSize, 1);
+
+    /** @private {!Map<number, !Array<!Object>>} Items in each cell. */
+    this.cells_ = new Map();
+
+    /** @private {!Map<!Object, number>} The cell each item is in. */
+    this.keys_ = new Map();
+  }
+
+  /**
+   * Returns the width and height of each cell in pixels.
+   * @return {number}
+   */
+  get cellSize() {
+    return this.cellSize_;
+  }
+
+  /**
+   * Returns the number of items in the grid.
+   * @return {number}
+   */
+  get size() {
+    return this.keys_.size;
+  }
+
+  /**
+   * Returns the key of the cell at a column and row.
+   * @param {number} column
+   * @param {number} row
+   * @return {number}
+   * @private
+   */
+  getKey_(column, row) {
+    return (column + options_.KEY_OFFSET) * options_.KEY_STRIDE +
+        row + options_.KEY_OFFSET;
+  }
+
+  /**
+   * Adds an item at a point, or moves it there if it is already in the grid.
+   * @param {!Object} item
+   * @param {number} x Pixels.
+   * @param {number} y Pixels.
+   */
+  set(item, x, y) {
+    const key = this.getKey_(Math.floor(x / this.cellSize_),
+        Math.floor(y / this.cellSize_));
+    const previous = this.keys_.get(item);
+    if (previous === key) {
+      return;
+    }
+
+    if (previous !== undefined) {
+      this.removeFromCell_(item, previous);
+    }
+    this.keys_.set(item, key);
+    const cell = this.cells_.get(key);
+    if (cell) {
+      cell.push(item);
+    } else {
+      this.cells_.set(key, [item]);
+    }
+  }
+
+  /**
+   * Removes an item.
+   * @param {!Object} item
+   */
+  delete(item) {
+    const key = this.keys_.get(item);
+    if (key !== undefined) {
+      this.removeFromCell_(item, key);
+      this.keys_.delete(item);
+    }
+  }
+
+  /**
+   * Removes every item.
+   */
+  clear() {
+    this.cells_.clear();
+    this.keys_.clear();
+  }
+
+  /**
+   * Removes an item from a cell's list.
+   * @param {!Object} item
+   * @param {number} key
+   * @private
+   */
+  removeFromCell_(item, key) {
+    const cell = this.cells_.get(key);
+    cell.splice(cell.indexOf(item), 1);
+    if (!cell.length) {
+      this.cells_.delete(key);
+    }
+  }
+
+  /**
+   * Returns the items in the cells that overlap a square around a point, in
+   * no particular order. Every item within the distance is included, along
+   * with some further away, so the caller still has to test each one.
+   * @param {number} x
+   * @param {number} y
+   * @param {number} distance Pixels.
+   * @return {!Array<!Object>}
+   */
+  query(x, y, distance) {
+    const size = this.cellSize_;
+    const left = Math.floor((x - distance) / size);
+    const right = Math.floor((x + distance) / size);
+    const top = Math.floor((y - distance) / size);
+    const bottom = Math.floor((y + distance) / size);
+    const items = [];
+
+    for (let column = left; column <= right; column++) {
+      for (let row = top; row <= bottom; row++) {
+        const cell = this.cells_.get(this.getKey_(column, row));
+        if (cell) {
+          items.push(...cell);
+        }
+      }
+    }
+    return items;
+  }
+}
@@ -0,0 +1,483 @@
+import {DotType} from './dot-simulation.js';
+
+/** @private @enum {string|number} */
+const options_ = {
+  STORAGE_KEY: 'dot-game-theme',
+  CUSTOM_THEME: 'custom',
+  MAX_FILL_COLORS: 16,
+  MAX_STROKE_WIDTH: 20,
+  MAX_GLOW: 50,
+  MAX_STRING_LENGTH: 200,
+  CSS_PROPERTY_PREFIX: '--theme-',
+};
+
+/**
+ * How the page and board look. Colors are CSS color strings.
+ *
+ * The page colors are set as CSS custom properties named after their keys,
+ * such as --theme-background, which style.css uses. Normal dots take their
+ * fill from dots.fills by size, smallest first, so with the size-based
+ * scoring strategies their color shows how many points they are worth.
+ * dots.gradient, if set, is a highlight blended into each dot, and
+ * dots.glow blurs a halo of the stroke color around it. dots.strokeWidth
+ * overrides the STROKE_WIDTH option. Special dots take their colors from
+ * special, falling back to the normal dot colors.
+ *
+ * @typedef {{
+ *   name: string,
+ *   font: string,
+ *   page: {
+ *     background: string,
+ *     text: string,
+ *     accent: string,
+ *     accentText: string,
+ *     border: string,
+ *     overlay: string,
+ *     error: string,
+ *     focus: string,
+ *     track: string,
+ *   },
+ *   board: {
+ *     background: ?string,
+ *     frozen: string,
+ *     divider: string,
+ *     crosshair: string,
+ *   },
+ *   dots: {
+ *     fills: !Array<string>,
+ *     stroke: string,
+ *     strokeWidth: ?number,
+ *     gradient: ?string,
+ *     glow: number,
+ *     glyph: string,
+ *   },
+ *   special: !Object<!DotType, {fill: (string|undefined),
+ *       stroke: (string|undefined), glyph: (string|undefined)}>,
+ *   effects: {gain: string, loss: string},
+ * }}
+ */
+export let Theme;
+
+/**
+ * Special dot colors from the Okabe-Ito palette, which stay distinct with
+ * the common kinds of color blindness.
+ * @private @const {!Object<!DotType, !Object>}
+ */
+const OKABE_ITO_SPECIAL_ = {
+  [DotType.BONUS]: {fill: 'rgb(230, 159, 0)'},
+  [DotType.BOMB]: {
+    fill: 'rgb(0, 0, 0)',
+    stroke: 'rgb(213, 94, 0)',
+    glyph: 'rgb(255, 255, 255)',
+  },
+  [DotType.FREEZE]: {fill: 'rgb(86, 180, 233)'},
+};
+
+/**
+ * The page's original font stack.
+ * @private @const {string}
+ */
+const SYSTEM_FONT_ = '-apple-system, BlinkMacSystemFont, \'Segoe UI\', ' +
+    'Roboto, Helvetica, Arial, sans-serif';
+
+/**
+ * Built-in themes by name.
+ * @const {!Object<string, !Theme>}
+ */
+export const THEMES = {
+  'light': {
+    name: 'light',
+    font: SYSTEM_FONT_,
+    page: {
+      background: 'rgb(255, 255, 255)',
+      text: 'rgb(0, 0, 0)',
+      accent: 'rgb(0, 0, 0)',
+      accentText: 'rgb(255, 255, 255)',
+      border: 'rgb(0, 0, 0)',
+      overlay: 'rgba(255, 255, 255, 0.9)',
+      error: 'rgb(204, 0, 0)',
+      focus: 'rgb(213, 94, 0)',
+      track: 'rgba(0, 0, 0, 0.2)',
+    },
+    board: {
+      background: null,
+      frozen: 'rgba(86, 180, 233, 0.2)',
+      divider: 'rgb(0, 0, 0)',
+      crosshair: 'rgb(213, 94, 0)',
+    },
+    dots: {
+      fills: [
+        'rgb(75, 46, 131)',
+        'rgb(123, 94, 167)',
+        'rgb(185, 167, 214)',
+        'rgb(255, 255, 255)',
+      ],
+      stroke: 'rgb(0, 0, 0)',
+      strokeWidth: null,
+      gradient: null,
+      glow: 0,
+      glyph: 'rgb(0, 0, 0)',
+    },
+    special: OKABE_ITO_SPECIAL_,
+    effects: {
+      gain: 'rgb(0, 114, 178)',
+      loss: 'rgb(213, 94, 0)',
+    },
+  },
+  'dark': {
+    name: 'dark',
+    font: SYSTEM_FONT_,
+    page: {
+      background: 'rgb(18, 18, 24)',
+      text: 'rgb(235, 235, 240)',
+      accent: 'rgb(235, 235, 240)',
+      accentText: 'rgb(18, 18, 24)',
+      border: 'rgb(120, 120, 140)',
+      overlay: 'rgba(18, 18, 24, 0.92)',
+      error: 'rgb(255, 120, 100)',
+      focus: 'rgb(240, 228, 66)',
+      track: 'rgba(255, 255, 255, 0.2)',
+    },
+    board: {
+      background: 'rgb(18, 18, 24)',
+      frozen: 'rgba(86, 180, 233, 0.15)',
+      divider: 'rgb(120, 120, 140)',
+      crosshair: 'rgb(240, 228, 66)',
+    },
+    dots: {
+      fills: [
+        'rgb(255, 255, 255)',
+        'rgb(199, 199, 217)',
+        'rgb(138, 138, 168)',
+        'rgb(74, 74, 102)',
+      ],
+      stroke: 'rgb(235, 235, 240)',
+      strokeWidth: null,
+      gradient: null,
+      glow: 0,
+      glyph: 'rgb(0, 0, 0)',
+    },
+    special: OKABE_ITO_SPECIAL_,
+    effects: {
+      gain: 'rgb(86, 180, 233)',
+      loss: 'rgb(255, 120, 100)',
+    },
+  },
+  'neon': {
+    name: 'neon',
+    font: '\'Courier New\', monospace',
+    page: {
+      background: 'rgb(10, 0, 20)',
+      text: 'rgb(0, 255, 240)',
+      accent: 'rgb(255, 0, 212)',
+      accentText: 'rgb(10, 0, 20)',
+      border: 'rgb(0, 255, 240)',
+      overlay: 'rgba(10, 0, 20, 0.92)',
+      error: 'rgb(255, 80, 80)',
+      focus: 'rgb(57, 255, 20)',
+      track: 'rgba(0, 255, 240, 0.25)',
+    },
+    board: {
+      background: 'rgb(10, 0, 20)',
+      frozen: 'rgba(0, 229, 255, 0.15)',
+      divider: 'rgb(255, 0, 212)',
+      crosshair: 'rgb(57, 255, 20)',
+    },
+    dots: {
+      fills: [
+        'rgb(255, 0, 212)',
+        'rgb(179, 0, 255)',
+        'rgb(0, 229, 255)',
+        'rgb(57, 255, 20)',
+      ],
+      stroke: 'rgb(0, 255, 240)',
+      strokeWidth: 2,
+      gradient: 'rgba(255, 255, 255, 0.9)',
+      glow: 12,
+      glyph: 'rgb(10, 0, 20)',
+    },
+    special: {
+      [DotType.BONUS]: {fill: 'rgb(255, 230, 0)'},
+      [DotType.BOMB]: {
+        fill: 'rgb(10, 0, 20)',
+        stroke: 'rgb(255, 40, 40)',
+        glyph: 'rgb(255, 40, 40)',
+      },
+      [DotType.FREEZE]: {fill: 'rgb(200, 250, 255)'},
+    },
+    effects: {
+      gain: 'rgb(57, 255, 20)',
+      loss: 'rgb(255, 40, 40)',
+    },
+  },
+  'high-contrast': {
+    name: 'high-contrast',
+    font: SYSTEM_FONT_,
+    page: {
+      background: 'rgb(0, 0, 0)',
+      text: 'rgb(255, 255, 255)',
+      accent: 'rgb(255, 255, 255)',
+      accentText: 'rgb(0, 0, 0)',
+      border: 'rgb(255, 255, 255)',
+      overlay: 'rgb(0, 0, 0)',
+      error: 'rgb(255, 255, 0)',
+      focus: 'rgb(0, 255, 255)',
+      track: 'rgb(160, 160, 160)',
+    },
+    board: {
+      background: 'rgb(0, 0, 0)',
+      frozen: 'rgba(255, 255, 255, 0.15)',
+      divider: 'rgb(255, 255, 255)',
+      crosshair: 'rgb(0, 255, 255)',
+    },
+    dots: {
+      fills: ['rgb(255, 255, 255)'],
+      stroke: 'rgb(255, 255, 0)',
+      strokeWidth: null,
+      gradient: null,
+      glow: 0,
+      glyph: 'rgb(0, 0, 0)',
+    },
+    special: {
+      [DotType.BONUS]: {fill: 'rgb(255, 255, 0)'},
+      [DotType.BOMB]: {
+        fill: 'rgb(0, 0, 0)',
+        stroke: 'rgb(255, 255, 255)',
+        glyph: 'rgb(255, 255, 255)',
+      },
+      [DotType.FREEZE]: {fill: 'rgb(0, 255, 255)'},
+    },
+    effects: {
+      gain: 'rgb(0, 255, 0)',
+      loss: 'rgb(255, 0, 255)',
+    },
+  },
+};
+
+/**
+ * Name of the theme used when nothing else is chosen.
+ * @const {string}
+ */
+export const DEFAULT_THEME = 'light';
+
+/**
+ * Name a loaded custom theme is saved under.
+ * @const {string}
+ */
+export const CUSTOM_THEME = options_.CUSTOM_THEME;
+
+/**
+ * @fileOverview Dot Game themes.
+ * A theme sets the colors and font of both the page and the board: the
+ * CanvasRenderer draws with it, and applyThemeStyles() hands its page
+ * colors to style.css. Custom themes are JSON objects in the same shape as
+ * a built-in theme. They only need the keys they change, and the rest come
+ * from the light theme.
+ */
+
+/**
+ * Throws if a value isn't a short string.
+ * @param {*} value
+ * @param {string} path Where the value is in the theme, for the message.
+ * @throws {Error}
+ * @private
+ */
+function checkString_(value, path) {
+  if (typeof value !== 'string' || !value ||
+      value.length > options_.MAX_STRING_LENGTH) {
+    throw new Error(`Theme ${path} must be a color or font name.`);
+  }
+}
+
+/**
+ * Throws if a value isn't a number in a range.
+ * @param {*} value
+ * @param {number} max
+ * @param {string} path Where the value is in the theme, for the message.
+ * @throws {Error}
+ * @private
+ */
+function checkNumber_(value, max, path) {
+  if (typeof value !== 'number' || !(value >= 0 && value <= max)) {
+    throw new Error(`Theme ${path} must be a number from 0 to ${max}.`);
+  }
+}
+
+/**
+ * Throws if a value is given but isn't an object.
+ * @param {*} value
+ * @param {string} path Where the value is in the theme, for the message.
+ * @return {!Object} The value, or an empty object if it wasn't given.
+ * @throws {Error}
+ * @private
+ */
+function checkObject_(value, path) {
+  if (value === undefined) {
+    return {};
+  }
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error(`Theme ${path} must be an object.`);
+  }
+  return value;
+}
+
+/**
+ * Returns a copy of an object with only the keys allowed, checking that
+ * each value is a string, or null where nullable.
+ * @param {*} value
+ * @param {!Array<string>} keys
+ * @param {string} path
+ * @param {!Array<string>=} nullable Keys that may be null.
+ * @return {!Object}
+ * @throws {Error}
+ * @private
+ */
+function pickStrings_(value, keys, path, nullable = []) {
+  value = checkObject_(value, path);
+  const picked = {};
+  keys.filter((key) => value.hasOwnProperty(key)).forEach((key) => {
+    if (!(value[key] === null && nullable.indexOf(key) > -1)) {
+      checkString_(value[key], `${path}.${key}`);
+    }
+    picked[key] = value[key];
+  });
+  return picked;
+}
+
+/**
+ * Checks a custom theme and fills in what it leaves out from the default
+ * theme. Unknown keys are dropped.
+ * @param {*} theme
+ * @return {!Theme}
+ * @throws {Error} If the theme is malformed.
+ */
+export function validateTheme(theme) {
+  if (!theme || typeof theme !== 'object' || Array.isArray(theme)) {
+    throw new Error('A theme must be a JSON object.');
+  }
+
+  const base = THEMES[DEFAULT_THEME];
+  const resolved = {
+    name: CUSTOM_THEME,
+    font: base.font,
+    page: Object.assign({}, base.page,
+        pickStrings_(theme.page, Object.keys(base.page), 'page')),
+    board: Object.assign({}, base.board,
+        pickStrings_(theme.board, Object.keys(base.board), 'board',
+            ['background'])),
+    dots: Object.assign({}, base.dots,
+        pickStrings_(theme.dots, ['stroke', 'gradient', 'glyph'], 'dots',
+            ['gradient'])),
+    special: {},
+    effects: Object.assign({}, base.effects,
+        pickStrings_(theme.effects, Object.keys(base.effects), 'effects')),
+  };
+
+  if (theme.font !== undefined) {
+    checkString_(theme.font, 'font');
+    resolved.font = theme.font;
+  }
+
+  const dots = checkObject_(theme.dots, 'dots');
+  if (dots.fills !== undefined) {
+    if (!Array.isArray(dots.fills) || !dots.fills.length ||
+        dots.fills.length > options_.MAX_FILL_COLORS) {
+      throw new Error('Theme dots.fills must be a list of 1 to ' +
+          `${options_.MAX_FILL_COLORS} colors.`);
+    }
+    dots.fills.forEach((fill, i) => checkString_(fill, `dots.fills[${i}]`));
+    resolved.dots.fills = dots.fills.slice();
+  }
+  if (dots.strokeWidth !== undefined && dots.strokeWidth !== null) {
+    checkNumber_(dots.strokeWidth, options_.MAX_STROKE_WIDTH,
+        'dots.strokeWidth');
+  }
+  if (dots.strokeWidth !== undefined) {
+    resolved.dots.strokeWidth = dots.strokeWidth;
+  }
+  if (dots.glow !== undefined) {
+    checkNumber_(dots.glow, options_.MAX_GLOW, 'dots.glow');
+    resolved.dots.glow = dots.glow;
+  }
+
+  const special = checkObject_(theme.special, 'special');
+  Object.keys(DotType)
+      .map((key) => DotType[key])
+      .filter((type) => type !== DotType.NORMAL)
+      .forEach((type) => {
+        resolved.special[type] = Object.assign({}, base.special[type],
+            pickStrings_(special[type],
+                ['fill', 'stroke', 'glyph'], `special.${type}`));
+      });
+
+  return resolved;
+}
+
+/**
+ * Parses and checks a custom theme file.
+ * @param {string} json
+ * @return {!Theme}
+ * @throws {Error} If the file isn't a valid theme.
+ */
+export function parseTheme(json) {
+  let theme;
+  try {
+    theme = JSON.parse(json);
+  } catch (e) {
+    throw new Error('The theme file is not valid JSON.');
+  }
+  return validateTheme(theme);
+}
+
+/**
+ * Returns the theme the player chose last time, if any.
+ * @return {?Theme}
+ */
+export function loadTheme() {
+  let saved;
+  try {
+    saved = JSON.parse(localStorage.getItem(options_.STORAGE_KEY));
+  } catch (e) {
+    return null;
+  }
+  if (!saved) {
+    return null;
+  }
+  if (THEMES.hasOwnProperty(saved.name)) {
+    return THEMES[saved.name];
+  }
+  try {
+    return saved.name === CUSTOM_THEME ? validateTheme(saved.theme) : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Saves the player's theme. Built-in themes are saved by name.
+ * @param {!Theme} theme
+ */
+export function saveTheme(theme) {
+  const saved = THEMES.hasOwnProperty(theme.name) ?
+      {name: theme.name} : {name: CUSTOM_THEME, theme};
+  try {
+    localStorage.setItem(options_.STORAGE_KEY, JSON.stringify(saved));
+  } catch (e) {
+    // Storage is unavailable, so the theme only lasts for this page.
+  }
+}
+
+/**
+ * Sets a theme's page colors and font as CSS custom properties, such as
+ * --theme-background and --theme-font, for style.css to use.
+ * @param {!Theme} theme
+ * @param {!HTMLElement=} element Defaults to the root element.
+ */
+export function applyThemeStyles(theme, element = document.documentElement) {
+  const prefix = options_.CSS_PROPERTY_PREFIX;
+  Object.keys(theme.page).forEach((key) => {
+    const name = key.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`);
+    element.style.setProperty(`${prefix}${name}`, theme.page[key]);
+  });
+  element.style.setProperty(`${prefix}font`, theme.font);
+}
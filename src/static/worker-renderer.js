@@ -0,0 +1,614 @@
+import {DotSimulation, GameState} from './dot-simulation.js';
+
+/** @private @enum {string} */
+const options_ = {
+  // Resolved against the page, which loads the game from static/.
+  WORKER_URL: 'static/render-worker.js',
+};
+
+/**
+ * @fileOverview Dot Game worker rendering, page side.
+ * Hands the board over to render-worker.js as an OffscreenCanvas. The worker
+ * plays the round and draws the board and its effects on its own clock, so
+ * work on the page, such as the panel, can't hold up the dots. The page
+ * keeps measuring the board, turning pointer positions into board points,
+ * and passing on hits and keys, and shows the worker's scores and events.
+ */
+
+/**
+ * The parts of a round played in the render worker that the page shows,
+ * sent along with every event and frame. The replay is only sent when the
+ * round changes stage, as it grows with every input.
+ * @typedef {{
+ *   score: number,
+ *   lives: number,
+ *   level: number,
+ *   multiplier: number,
+ *   accuracy: number,
+ *   streak: number,
+ *   bestStreak: number,
+ *   timeRemaining: number,
+ *   dotCount: number,
+ *   stats: !Object,
+ *   replay: (!Object|undefined),
+ * }}
+ */
+export let RoundSnapshot;
+
+/**
+ * Takes a snapshot of a round for the page.
+ * @param {!DotSimulation} simulation
+ * @param {boolean=} withReplay True to include the replay.
+ * @return {!RoundSnapshot}
+ */
+export function createSnapshot(simulation, withReplay = false) {
+  const snapshot = {
+    score: simulation.score,
+    lives: simulation.lives,
+    level: simulation.level,
+    multiplier: simulation.multiplier,
+    accuracy: simulation.getAccuracy(),
+    streak: simulation.streak,
+    bestStreak: simulation.bestStreak,
+    timeRemaining: simulation.timeRemaining,
+    dotCount: simulation.dotCount,
+    stats: simulation.getStats(),
+  };
+  if (withReplay) {
+    snapshot.replay = simulation.getReplay();
+  }
+  return snapshot;
+}
+
+/**
+ * Hands the board to the render worker, and passes on its size, theme,
+ * effects setting and crosshair. Once the board has been handed over it
+ * can't be drawn on the page again, so this lasts until the page is
+ * reloaded.
+ */
+export class WorkerRenderer {
+  /**
+   * @constructor
+   * @param {!HTMLCanvasElement} board
+   */
+  constructor(board) {
+    /** @private {!HTMLCanvasElement} */
+    this.board_ = board;
+
+    /** @private {number} */
+    this.boardWidth_ = 0;
+
+    /** @private {number} */
+    this.boardHeight_ = 0;
+
+    /** @private {!Worker} */
+    this.worker_ = new Worker(this.WORKER_URL, {type: 'module'});
+
+    /** @private {?WorkerSimulation} The round the worker is playing. */
+    this.simulation_ = null;
+
+    /** @private {number} Id given to the next round. */
+    this.nextId_ = 0;
+
+    /** @private {?{x: number, y: number}} The crosshair last sent. */
+    this.crosshair_ = null;
+
+    this.worker_.addEventListener('message', (e) => {
+      if (this.simulation_ && e.data.id === this.simulation_.id) {
+        this.simulation_.receive(e.data);
+      }
+    });
+
+    const canvas = board.transferControlToOffscreen();
+    this.worker_.postMessage({type: 'init', canvas}, [canvas]);
+  }
+
+  /**
+   * Returns the URL of the worker's script.
+   * @return {string}
+   */
+  get WORKER_URL() {
+    return options_.WORKER_URL;
+  }
+
+  /**
+   * Returns true if the browser can hand a canvas to a module worker.
+   * @return {boolean}
+   */
+  static isSupported() {
+    if (!window.Worker || !window.HTMLCanvasElement ||
+        !HTMLCanvasElement.prototype.transferControlToOffscreen) {
+      return false;
+    }
+
+    // Browsers without module workers never read the type option.
+    let modules = false;
+    try {
+      new Worker('data:,', {
+        get type() {
+          modules = true;
+          return 'module';
+        },
+      }).terminate();
+    } catch (e) {
+      return false;
+    }
+    return modules;
+  }
+
+  /**
+   * Measures the board and tells the worker its size. The canvas gets a
+   * pixel for every device pixel, as when drawn on the page.
+   * @return {{width: number, height: number}} The board's size in CSS
+   *     pixels, not counting its border.
+   */
+  calculateBoardSize() {
+    this.boardWidth_ = this.board_.clientWidth;
+    this.boardHeight_ = this.board_.clientHeight;
+    this.worker_.postMessage({
+      type: 'size',
+      width: this.boardWidth_,
+      height: this.boardHeight_,
+      ratio: window.devicePixelRatio || 1,
+    });
+
+    return {
+      width: this.boardWidth_,
+      height: this.boardHeight_,
+    };
+  }
+
+  /**
+   * Converts a point in the viewport, such as a pointer event's clientX and
+   * clientY, to a point on the board.
+   * @param {number} clientX
+   * @param {number} clientY
+   * @return {{x: number, y: number}}
+   */
+  getBoardPoint(clientX, clientY) {
+    const boundingRect = this.board_.getBoundingClientRect();
+    const left = boundingRect.left + this.board_.clientLeft;
+    const top = boundingRect.top + this.board_.clientTop;
+
+    return {
+      x: (clientX - left) * this.boardWidth_ / this.board_.clientWidth,
+      y: (clientY - top) * this.boardHeight_ / this.board_.clientHeight,
+    };
+  }
+
+  /**
+   * Draws the board in a theme.
+   * @param {!Theme} theme
+   */
+  setTheme(theme) {
+    this.worker_.postMessage({type: 'theme', theme});
+  }
+
+  /**
+   * Does nothing, as the worker clears the board for each new round.
+   */
+  clear() {}
+
+  /**
+   * Turns the worker's effects on or off.
+   * @param {boolean} enabled
+   */
+  setEffectsEnabled(enabled) {
+    this.worker_.postMessage({type: 'effects', enabled});
+  }
+
+  /**
+   * Shows the crosshair at a board point, or hides it.
+   * @param {?{x: number, y: number}} position
+   */
+  setCrosshair(position) {
+    const previous = this.crosshair_;
+    if (previous === position || (previous && position &&
+        previous.x === position.x && previous.y === position.y)) {
+      return;
+    }
+
+    this.crosshair_ = position && {x: position.x, y: position.y};
+    this.worker_.postMessage({type: 'crosshair', position: this.crosshair_});
+  }
+
+  /**
+   * Starts a new round in the worker. The worker only plays one round at a
+   * time, so rounds created before it are forgotten.
+   * @param {string} seed
+   * @param {!Object} options Overrides for any of the OPTION_SPECS.
+   * @return {!WorkerSimulation}
+   * @throws {Error} If an option is unknown or invalid.
+   */
+  createSimulation(seed, options) {
+    this.simulation_ = new WorkerSimulation(this.worker_, this.nextId_++,
+        seed, options);
+    return this.simulation_;
+  }
+}
+
+/**
+ * Stands in on the page for a DotSimulation played in the render worker.
+ * Calls are passed on to the worker, and the worker's events are raised here
+ * with the round's latest snapshot. Stage changes the page asks for take
+ * effect here straight away, as the page expects them to, and the worker
+ * follows a moment later. Stopping is the exception: the round only ends
+ * here once the worker has sent its final snapshot, so the results shown
+ * include the round's last frame and its whole replay.
+ */
+export class WorkerSimulation {
+  /**
+   * @constructor
+   * @param {!Worker} worker
+   * @param {number} id
+   * @param {string} seed
+   * @param {!Object} options
+   * @throws {Error} If an option is unknown or invalid.
+   */
+  constructor(worker, id, seed, options) {
+    /**
+     * @private {!DotSimulation} A copy of the round that is never played,
+     *     for its options, board size and starting state.
+     */
+    this.copy_ = new DotSimulation({seed, options});
+
+    /** @private {!Worker} */
+    this.worker_ = worker;
+
+    /** @private {number} */
+    this.id_ = id;
+
+    /** @private {!GameState} */
+    this.state_ = GameState.READY;
+
+    /**
+     * @private {!Array<!GameState>} Stage changes asked of the worker that
+     *     it hasn't reported back yet, oldest first.
+     */
+    this.pendingStates_ = [];
+
+    /** @private {!RoundSnapshot} */
+    this.snapshot_ = createSnapshot(this.copy_, true);
+
+    /** @private {!Object} The replay from the latest snapshot with one. */
+    this.replay_ = this.snapshot_.replay;
+
+    /** @private {!Object<string, !Array<function(!Object)>>} */
+    this.listeners_ = {};
+
+    this.worker_.postMessage({
+      type: 'create',
+      id,
+      seed,
+      options: this.copy_.getOptions(),
+    });
+  }
+
+  /**
+   * Returns the id the worker knows the round by.
+   * @return {number}
+   */
+  get id() {
+    return this.id_;
+  }
+
+  /**
+   * Returns the round's starting speed.
+   * @return {number}
+   */
+  get SPEED() {
+    return this.copy_.SPEED;
+  }
+
+  /**
+   * Returns the length of the round in milliseconds, or 0 for no limit.
+   * @return {number}
+   */
+  get ROUND_DURATION() {
+    return this.copy_.ROUND_DURATION;
+  }
+
+  /**
+   * Returns the lives at the start of the round, or 0 for unlimited lives.
+   * @return {number}
+   */
+  get LIVES() {
+    return this.copy_.LIVES;
+  }
+
+  /**
+   * Returns how the round gets harder.
+   * @return {!Progression}
+   */
+  get PROGRESSION() {
+    return this.copy_.PROGRESSION;
+  }
+
+  /**
+   * Returns the values of the options listed in OPTION_SPECS.
+   * @return {!Object}
+   */
+  getOptions() {
+    return this.copy_.getOptions();
+  }
+
+  /**
+   * Returns the seed for the dot sequence.
+   * @return {string}
+   */
+  get seed() {
+    return this.copy_.seed;
+  }
+
+  /**
+   * Returns the current stage of the round.
+   * @return {!GameState}
+   */
+  get state() {
+    return this.state_;
+  }
+
+  /**
+   * Returns the current score.
+   * @return {number}
+   */
+  get score() {
+    return this.snapshot_.score;
+  }
+
+  /**
+   * Returns the lives remaining.
+   * @return {number}
+   */
+  get lives() {
+    return this.snapshot_.lives;
+  }
+
+  /**
+   * Returns the current difficulty level, starting at 0.
+   * @return {number}
+   */
+  get level() {
+    return this.snapshot_.level;
+  }
+
+  /**
+   * Returns the multiplier applied to the next hit's points.
+   * @return {number}
+   */
+  get multiplier() {
+    return this.snapshot_.multiplier;
+  }
+
+  /**
+   * Returns the number of hits since the last miss or escape.
+   * @return {number}
+   */
+  get streak() {
+    return this.snapshot_.streak;
+  }
+
+  /**
+   * Returns the longest streak of hits in the round.
+   * @return {number}
+   */
+  get bestStreak() {
+    return this.snapshot_.bestStreak;
+  }
+
+  /**
+   * Returns the milliseconds remaining in the round.
+   * @return {number}
+   */
+  get timeRemaining() {
+    return this.snapshot_.timeRemaining;
+  }
+
+  /**
+   * Returns the number of dots on the board.
+   * @return {number}
+   */
+  get dotCount() {
+    return this.snapshot_.dotCount;
+  }
+
+  /**
+   * Returns the width of the board in pixels.
+   * @return {number}
+   */
+  get width() {
+    return this.copy_.width;
+  }
+
+  /**
+   * Returns the height of the board in pixels.
+   * @return {number}
+   */
+  get height() {
+    return this.copy_.height;
+  }
+
+  /**
+   * Returns the percentage of attempts that hit a dot.
+   * @return {number} From 0 to 100.
+   */
+  getAccuracy() {
+    return this.snapshot_.accuracy;
+  }
+
+  /**
+   * Returns a summary of the round.
+   * @return {!Object}
+   */
+  getStats() {
+    return this.snapshot_.stats;
+  }
+
+  /**
+   * Returns the replay log for the round as of its last change of stage.
+   * @return {!Object}
+   */
+  getReplay() {
+    return this.replay_;
+  }
+
+  /**
+   * Calculates the points for hitting a dot, before the combo multiplier.
+   * @param {!Object} dot
+   * @return {number}
+   */
+  calculateDotScore(dot) {
+    return this.copy_.calculateDotScore(dot);
+  }
+
+  /**
+   * Registers a listener for one of the simulation's events, other than
+   * 'beforestep', which the worker doesn't pass on.
+   * @param {string} type
+   * @param {function(!Object)} listener Called with event details.
+   */
+  on(type, listener) {
+    (this.listeners_[type] = this.listeners_[type] || []).push(listener);
+  }
+
+  /**
+   * Calls the listeners registered for an event.
+   * @param {string} type
+   * @param {!Object=} detail
+   * @private
+   */
+  emit_(type, detail = {}) {
+    (this.listeners_[type] || []).forEach((listener) => listener(detail));
+  }
+
+  /**
+   * Handles a message from the worker about this round.
+   * @param {{type: string, event: (string|undefined),
+   *     detail: (!Object|undefined), snapshot: !RoundSnapshot}} message
+   */
+  receive({type, event, detail, snapshot}) {
+    this.snapshot_ = snapshot;
+    if (snapshot.replay) {
+      this.replay_ = snapshot.replay;
+    }
+    if (type !== 'event') {
+      return;
+    }
+
+    if (event === 'statechange') {
+      // Changes the page asked for have already been raised. Any other change
+      // comes from the round ending, after which the worker ignores the
+      // changes still pending.
+      if (detail.state === this.pendingStates_[0]) {
+        this.pendingStates_.shift();
+        return;
+      }
+      this.pendingStates_ = [];
+      this.state_ = detail.state;
+    }
+    this.emit_(event, detail);
+  }
+
+  /**
+   * Asks the worker to call one of the round's methods.
+   * @param {string} method
+   * @param {...*} args
+   * @private
+   */
+  call_(method, ...args) {
+    this.worker_.postMessage({type: 'call', id: this.id_, method, args});
+  }
+
+  /**
+   * Changes the stage of the round on the page, and asks the worker to
+   * follow.
+   * @param {string} method The round's method that changes the stage.
+   * @param {!GameState} state
+   * @private
+   */
+  changeState_(method, state) {
+    this.call_(method);
+    this.pendingStates_.push(state);
+    this.state_ = state;
+    this.emit_('statechange', {state});
+  }
+
+  /**
+   * Does nothing, as the worker runs the round on its own clock.
+   */
+  tick() {}
+
+  /**
+   * Sets the size of the board in pixels.
+   * @param {number} width
+   * @param {number} height
+   */
+  resize(width, height) {
+    this.copy_.resize(width, height);
+    this.call_('resize', width, height);
+  }
+
+  /**
+   * Changes speed.
+   * @param {number} speed Pixels per second.
+   */
+  setSpeed(speed) {
+    this.call_('setSpeed', speed);
+  }
+
+  /**
+   * Checks if a point hits a dot.
+   * @param {number} x
+   * @param {number} y
+   */
+  hitAttempt(x, y) {
+    this.call_('hitAttempt', x, y);
+  }
+
+  /**
+   * Begins the round. Does nothing unless the round is ready to start.
+   */
+  begin() {
+    if (this.state_ === GameState.READY) {
+      this.changeState_('begin', GameState.PLAYING);
+    }
+  }
+
+  /**
+   * Pauses the round. Does nothing unless the round is being played.
+   */
+  pause() {
+    if (this.state_ === GameState.PLAYING) {
+      this.changeState_('pause', GameState.PAUSED);
+    }
+  }
+
+  /**
+   * Resumes a paused round where it left off.
+   */
+  resume() {
+    if (this.state_ === GameState.PAUSED) {
+      this.changeState_('resume', GameState.PLAYING);
+    }
+  }
+
+  /**
+   * Asks the worker to end the round early. The round ends here when the
+   * worker reports that it has.
+   */
+  stop() {
+    if (this.state_ === GameState.PLAYING ||
+        this.state_ === GameState.PAUSED) {
+      this.call_('stop');
+    }
+  }
+
+  /**
+   * Clears the board and returns the round to the ready state.
+   */
+  reset() {
+    this.snapshot_ = createSnapshot(this.copy_, true);
+    this.replay_ = this.snapshot_.replay;
+    this.changeState_('reset', GameState.READY);
+  }
+}
@@ -0,0 +1,281 @@
+import assert from 'node:assert/strict';
+import {describe, it} from 'node:test';
+
+import {
+  DotSimulation,
+  DotType,
+  GameState,
+  REPLAY_VERSION,
+} from '../src/static/dot-simulation.js';
+import {createSimulation, waitForDot} from './helpers.js';
+
+/**
+ * Returns the ids of the dots on the board.
+ * @param {!DotSimulation} simulation
+ * @return {!Array<number>}
+ */
+function getIds(simulation) {
+  return simulation.dots.map((dot) => dot.id);
+}
+
+describe('DotSimulation', () => {
+  describe('update', () => {
+    it('does nothing before the round begins', () => {
+      const simulation = createSimulation();
+      assert.equal(simulation.update(1000), 0);
+      assert.equal(simulation.time, 0);
+      assert.equal(simulation.dotCount, 0);
+    });
+
+    it('steps in whole STEP_DURATIONs and carries the rest', () => {
+      const simulation = createSimulation();
+      const step = simulation.STEP_DURATION;
+      simulation.begin();
+
+      assert.equal(simulation.update(step * 2.5), 2);
+      assert.equal(simulation.time, step * 2);
+      assert.equal(simulation.update(step / 2), 1);
+      assert.equal(simulation.time, step * 3);
+    });
+
+    it('stands still while paused', () => {
+      const simulation = createSimulation();
+      simulation.begin();
+      simulation.update(500);
+      const dots = JSON.stringify(simulation.dots);
+      simulation.pause();
+
+      assert.equal(simulation.update(500), 0);
+      assert.equal(JSON.stringify(simulation.dots), dots);
+      simulation.resume();
+      assert.ok(simulation.update(500) > 0);
+    });
+
+    it('finishes the round when time runs out', () => {
+      const simulation = createSimulation({ROUND_DURATION: 1000});
+      const events = [];
+      simulation.on('finish', (stats) => events.push(stats));
+      simulation.begin();
+      simulation.update(2000);
+
+      assert.equal(simulation.state, GameState.FINISHED);
+      assert.ok(simulation.time >= 1000 &&
+          simulation.time < 1000 + simulation.STEP_DURATION);
+      assert.equal(simulation.timeRemaining, 0);
+      assert.equal(events.length, 1);
+    });
+  });
+
+  describe('tick', () => {
+    it('simulates the time passed on the clock', () => {
+      let now = 0;
+      const simulation = new DotSimulation({clock: () => now});
+      simulation.begin();
+      simulation.tick();
+      now = 110;
+      assert.equal(simulation.tick(), 6);
+    });
+
+    it('simulates no more than MAX_FRAME_DELTA at once', () => {
+      let now = 0;
+      const simulation = new DotSimulation({clock: () => now});
+      simulation.begin();
+      simulation.tick();
+      now = 10000;
+      simulation.tick();
+      assert.ok(simulation.time <= simulation.MAX_FRAME_DELTA);
+    });
+  });
+
+  describe('spawning', () => {
+    it('adds the same dots for the same seed', () => {
+      const simulations = [createSimulation(), createSimulation()];
+      simulations.forEach((simulation) => {
+        simulation.begin();
+        simulation.update(5000);
+      });
+
+      assert.ok(simulations[0].dotCount > 1);
+      assert.deepEqual(simulations[0].dots, simulations[1].dots);
+    });
+
+    it('adds different dots for a different seed', () => {
+      const simulations = [createSimulation(), createSimulation({}, 'other')];
+      simulations.forEach((simulation) => {
+        simulation.begin();
+        simulation.update(5000);
+      });
+
+      assert.notDeepEqual(simulations[0].dots, simulations[1].dots);
+    });
+
+    it('adds a new dot every NEW_DOT_GENERATION_DELAY', () => {
+      const simulation = createSimulation({
+        NEW_DOT_GENERATION_DELAY: 500,
+        ROUND_DURATION: 0,
+      });
+      simulation.begin();
+      simulation.update(2250);
+
+      // The first dot arrives as the round begins.
+      assert.deepEqual(getIds(simulation), [0, 1, 2, 3, 4]);
+    });
+  });
+
+  describe('hitAttempt', () => {
+    it('scores and removes the dot that was hit', () => {
+      const simulation = createSimulation({SCORING: 'size'});
+      const scores = [];
+      simulation.on('score', (e) => scores.push(e));
+      simulation.begin();
+      const dot = waitForDot(simulation, (dot) => dot.type === DotType.NORMAL);
+      const {id} = dot;
+      const points = simulation.calculateDotScore(dot);
+
+      assert.ok(simulation.hitAttempt(simulation.percentToPixel(dot), dot.y));
+      assert.equal(scores.length, 1);
+      assert.equal(scores[0].dot.id, id);
+      assert.equal(simulation.score, points);
+      assert.equal(getIds(simulation).indexOf(id), -1);
+      assert.equal(simulation.getStats().hits, 1);
+    });
+
+    it('counts a miss when nothing is hit', () => {
+      const simulation = createSimulation({MISS_PENALTY: 1});
+      const misses = [];
+      simulation.on('miss', (e) => misses.push(e));
+      simulation.begin();
+
+      // Every dot starts off the board.
+      assert.equal(simulation.hitAttempt(200, 200), false);
+      assert.deepEqual(misses, [{x: 200, y: 200, penalty: 0, score: 0}]);
+      assert.equal(simulation.getStats().misses, 1);
+    });
+
+    it('is ignored unless the round is being played', () => {
+      const simulation = createSimulation();
+      assert.equal(simulation.hitAttempt(200, 200), false);
+      assert.equal(simulation.getStats().misses, 0);
+    });
+  });
+
+  describe('removeDot', () => {
+    it('removes a dot without scoring it', () => {
+      const simulation = createSimulation();
+      const removed = [];
+      simulation.on('remove', (e) => removed.push(e.dot.id));
+      simulation.begin();
+      const {id} = waitForDot(simulation);
+
+      assert.ok(simulation.removeDot(id));
+      assert.deepEqual(removed, [id]);
+      assert.equal(getIds(simulation).indexOf(id), -1);
+      assert.equal(simulation.score, 0);
+    });
+
+    it('ignores dots that are not on the board', () => {
+      const simulation = createSimulation();
+      simulation.begin();
+      assert.equal(simulation.removeDot(1000), false);
+    });
+
+    it('is ignored unless the round is being played', () => {
+      const simulation = createSimulation();
+      simulation.begin();
+      const {id} = waitForDot(simulation);
+      simulation.pause();
+
+      assert.equal(simulation.removeDot(id), false);
+      assert.ok(getIds(simulation).indexOf(id) > -1);
+    });
+
+    it('keeps boards in step without REPLACE_HIT_DOTS', () => {
+      const options = {
+        REPLACE_HIT_DOTS: false,
+        SPLIT_DOT_WEIGHT: 100,
+        NEW_DOT_GENERATION_DELAY: 200,
+      };
+      const simulations = [
+        createSimulation(options),
+        createSimulation(options),
+      ];
+      // Each board's dots by id, as they were when first seen. Split pieces
+      // appear whenever a board hears of the hit, so their birth is left out.
+      const seen = simulations.map((simulation) => {
+        const dots = new Map();
+        simulation.on('beforestep', () => simulation.dots
+            .filter((dot) => !dots.has(dot.id))
+            .forEach((dot) => dots.set(dot.id, [
+              dot.r,
+              dot.type,
+              dot.motion,
+              dot.id < 0 ? null : dot.born,
+            ])));
+        return dots;
+      });
+      simulations.forEach((simulation) => simulation.begin());
+      const {id} = waitForDot(simulations[0],
+          (dot) => dot.type === DotType.SPLIT);
+      simulations[1].update(simulations[0].time - simulations[1].time);
+
+      // The second board hears of the split a while after it happens.
+      simulations[0].removeDot(id);
+      simulations[0].update(300);
+      simulations[1].update(300);
+      simulations[1].removeDot(id);
+      simulations.forEach((simulation) => simulation.update(3000));
+
+      const [first, second] = seen.map((dots) =>
+        Array.from(dots).sort((a, b) => a[0] - b[0]));
+      assert.ok(first.some(([id]) => id < 0));
+      assert.deepEqual(first, second);
+    });
+  });
+
+  it('reuses the objects of removed dots', () => {
+    const simulation = createSimulation({
+      NEW_DOT_GENERATION_DELAY: 100,
+      ROUND_DURATION: 0,
+    });
+    simulation.begin();
+    const dot = waitForDot(simulation);
+    simulation.removeDot(dot.id);
+    simulation.update(200);
+
+    assert.ok(simulation.dots.indexOf(dot) > -1);
+    assert.ok(dot.id > 0);
+  });
+
+  describe('getReplay', () => {
+    it('records inputs from the start of the round', () => {
+      const simulation = createSimulation({ROUND_DURATION: 1000}, 'seed');
+      simulation.setSpeed(20);
+      simulation.begin();
+      simulation.update(105);
+      simulation.hitAttempt(10, 20);
+      simulation.stop();
+      const replay = simulation.getReplay();
+
+      assert.equal(replay.version, REPLAY_VERSION);
+      assert.equal(replay.seed, 'seed');
+      assert.equal(replay.options.ROUND_DURATION, 1000);
+      assert.equal(replay.score, simulation.score);
+      assert.deepEqual(replay.inputs, [
+        [0, 'resize', 400, 400],
+        [0, 'speed', 20],
+        [Math.round(simulation.time), 'hit', 10, 20],
+        [Math.round(simulation.time), 'stop'],
+      ]);
+    });
+
+    it('starts afresh when the round is reset', () => {
+      const simulation = createSimulation();
+      simulation.begin();
+      simulation.hitAttempt(10, 20);
+      simulation.reset();
+
+      assert.equal(simulation.state, GameState.READY);
+      assert.deepEqual(simulation.getReplay().inputs, []);
+    });
+  });
+});
@@ -0,0 +1,79 @@
+import assert from 'node:assert/strict';
+import {describe, it} from 'node:test';
+
+import {EffectsLayer} from '../src/static/effects.js';
+import {createSimulation} from './helpers.js';
+
+/**
+ * Returns an effects layer on a clock the test moves by hand.
+ * @return {{effects: !EffectsLayer, advance: function(number)}}
+ */
+function createEffects() {
+  let now = 1000;
+  return {
+    effects: new EffectsLayer(() => now),
+    advance: (elapsed) => {
+      now += elapsed;
+    },
+  };
+}
+
+describe('EffectsLayer', () => {
+  it('drops effects once they have run their course', () => {
+    const {effects, advance} = createEffects();
+    effects.ripple(10, 10);
+    advance(200);
+    assert.equal(effects.update()[0].progress, 0.5);
+    advance(200);
+    assert.deepEqual(effects.update(), []);
+    assert.equal(effects.active, false);
+  });
+
+  it('holds effects while paused', () => {
+    const {effects, advance} = createEffects();
+    effects.ripple(10, 10);
+    advance(100);
+    effects.pause();
+    assert.equal(effects.active, false);
+    advance(5000);
+    assert.equal(effects.update()[0].progress, 0.25);
+
+    effects.resume();
+    assert.equal(effects.active, true);
+    advance(100);
+    assert.equal(effects.update()[0].progress, 0.5);
+  });
+
+  it('starts effects added while paused where they are held', () => {
+    const {effects, advance} = createEffects();
+    effects.pause();
+    effects.ripple(10, 10);
+    advance(5000);
+    effects.resume();
+    advance(100);
+    assert.equal(effects.update()[0].progress, 0.25);
+  });
+
+  it('holds effects while the round it follows is paused', () => {
+    const {effects, advance} = createEffects();
+    const simulation = createSimulation();
+    effects.follow(simulation);
+    simulation.begin();
+    simulation.hitAttempt(10, 10);
+    simulation.pause();
+    advance(5000);
+    assert.equal(effects.update()[0].progress, 0);
+
+    simulation.resume();
+    advance(100);
+    assert.equal(effects.update()[0].progress, 0.25);
+  });
+
+  it('lets go of effects held by a round it no longer follows', () => {
+    const {effects} = createEffects();
+    effects.pause();
+    effects.ripple(10, 10);
+    effects.follow(createSimulation());
+    assert.equal(effects.active, true);
+  });
+});
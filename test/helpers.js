@@ -0,0 +1,71 @@
+import assert from 'node:assert/strict';
+
+import {
+  DotSimulation,
+  DotType,
+  GameState,
+} from '../src/static/dot-simulation.js';
+
+/**
+ * @fileOverview Helpers shared by the tests.
+ * Simulations are stepped by hand, so their clock never moves.
+ */
+
+/**
+ * Returns a simulation on a 400 by 400 board with a stopped clock.
+ * @param {!Object=} options
+ * @param {string=} seed
+ * @return {!DotSimulation}
+ */
+export function createSimulation(options = {}, seed = 'test') {
+  return new DotSimulation({
+    width: 400,
+    height: 400,
+    seed,
+    clock: () => 0,
+    options,
+  });
+}
+
+/**
+ * Returns true if a dot is wholly on the board.
+ * @param {!DotSimulation} simulation
+ * @param {!Object} dot
+ * @return {boolean}
+ * @private
+ */
+function isShown_(simulation, dot) {
+  return dot.y - dot.r > 0 && dot.y + dot.r < simulation.height;
+}
+
+/**
+ * Steps a simulation until one of its dots is wholly on the board.
+ * @param {!DotSimulation} simulation
+ * @param {function(!Object): boolean=} filter Picks the dots to wait for.
+ * @return {!Object} The dot.
+ */
+export function waitForDot(simulation, filter = () => true) {
+  const isWanted = (dot) => filter(dot) && isShown_(simulation, dot);
+  while (!simulation.dots.some(isWanted)) {
+    assert.equal(simulation.state, GameState.PLAYING);
+    simulation.update(simulation.STEP_DURATION);
+  }
+  return simulation.dots.find(isWanted);
+}
+
+/**
+ * Plays a round to the end, clicking a normal dot every tenth of a second
+ * when there is one on the board.
+ * @param {!DotSimulation} simulation A simulation with a time limit.
+ */
+export function playRound(simulation) {
+  simulation.begin();
+  while (simulation.state === GameState.PLAYING) {
+    simulation.update(100);
+    const dot = simulation.dots.find((dot) => dot.type === DotType.NORMAL &&
+        isShown_(simulation, dot));
+    if (dot) {
+      simulation.hitAttempt(simulation.percentToPixel(dot), dot.y);
+    }
+  }
+}
@@ -0,0 +1,123 @@
+import assert from 'node:assert/strict';
+import {describe, it} from 'node:test';
+
+import {applyDifficulty} from '../src/static/difficulty.js';
+import {resolveOptions} from '../src/static/dot-simulation.js';
+import {
+  addHighScore,
+  getHighScoreTable,
+  isHighScore,
+  mergeHighScores,
+  validateHighScores,
+} from '../src/static/high-scores.js';
+
+/**
+ * Returns a high score.
+ * @param {number} score
+ * @param {string=} date
+ * @return {!HighScore}
+ */
+function createEntry(score, date = '2020-01-01T00:00:00.000Z') {
+  return {initials: 'ABC', score, accuracy: 50, date, seed: 'seed'};
+}
+
+/**
+ * Returns a table of high scores, best first.
+ * @param {number} count
+ * @return {!Array<!HighScore>}
+ */
+function createTable(count) {
+  return Array.from({length: count}, (_, i) => createEntry((count - i) * 10));
+}
+
+describe('high scores', () => {
+  describe('getHighScoreTable', () => {
+    it('names preset options after the preset', () => {
+      assert.equal(getHighScoreTable(resolveOptions(applyDifficulty('hard'))),
+          'hard');
+    });
+
+    it('names other options after a hash of them', () => {
+      const options = resolveOptions(applyDifficulty('hard', {LIVES: 3}));
+      const table = getHighScoreTable(options);
+
+      assert.match(table, /^custom-[0-9a-z]+$/);
+      assert.equal(getHighScoreTable(Object.assign({}, options)), table);
+      assert.notEqual(getHighScoreTable(
+          resolveOptions(applyDifficulty('hard', {LIVES: 4}))), table);
+    });
+  });
+
+  describe('validateHighScores', () => {
+    it('accepts well formed tables', () => {
+      const tables = {'normal': createTable(2), 'custom-1a': createTable(1)};
+      assert.deepEqual(validateHighScores(tables), tables);
+    });
+
+    it('drops tables no options could have', () => {
+      const tables = JSON.parse(`{
+        "__proto__": [],
+        "constructor": [],
+        "other": [],
+        "easy": []
+      }`);
+      const valid = validateHighScores(tables);
+
+      assert.deepEqual(Object.keys(valid), ['easy']);
+      assert.equal(Object.getPrototypeOf(valid), Object.prototype);
+    });
+
+    it('rejects malformed tables and entries', () => {
+      assert.throws(() => validateHighScores([]), /must be an object/);
+      assert.throws(() => validateHighScores({easy: {}}), /must be a list/);
+      [
+        null,
+        Object.assign(createEntry(1), {initials: 'abcd'}),
+        Object.assign(createEntry(1), {score: '1'}),
+        Object.assign(createEntry(1), {date: 'yesterday'}),
+        Object.assign(createEntry(1), {seed: undefined}),
+      ].forEach((entry) => {
+        assert.throws(() => validateHighScores({easy: [entry]}),
+            /High score 0 in table easy is malformed/);
+      });
+    });
+  });
+
+  describe('ranking', () => {
+    it('keeps the ten best scores', () => {
+      const tables = {normal: createTable(10)};
+
+      assert.ok(isHighScore(tables, 'normal', 15));
+      assert.ok(!isHighScore(tables, 'normal', 10));
+      assert.ok(isHighScore(tables, 'easy', 1));
+      assert.ok(!isHighScore(tables, 'easy', 0));
+
+      const entry = createEntry(15);
+      assert.equal(addHighScore(tables, 'normal', entry), 9);
+      assert.equal(tables.normal.length, 10);
+      assert.ok(tables.normal.every((other) => other.score > 10));
+    });
+
+    it('ranks ties by date', () => {
+      const tables = {normal: [createEntry(10, '2020-02-01T00:00:00Z')]};
+      const earlier = createEntry(10, '2020-01-01T00:00:00Z');
+
+      assert.equal(addHighScore(tables, 'normal', earlier), 0);
+    });
+  });
+
+  describe('mergeHighScores', () => {
+    it('adds new entries and skips ones already in a table', () => {
+      const tables = {normal: [createEntry(10)]};
+      mergeHighScores(tables, {
+        normal: [createEntry(10), createEntry(20)],
+        easy: [createEntry(5)],
+      });
+
+      assert.deepEqual(tables, {
+        normal: [createEntry(20), createEntry(10)],
+        easy: [createEntry(5)],
+      });
+    });
+  });
+});
@@ -0,0 +1,72 @@
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import {after, before, describe, it} from 'node:test';
+
+import {LeaderboardClient} from '../src/static/leaderboard.js';
+
+/**
+ * Responses of the test server by path.
+ * @const {!Object<string, {type: string, body: string}>}
+ */
+const RESPONSES = {
+  '/api/scores': {
+    type: 'application/json',
+    body: JSON.stringify({
+      mode: 'normal',
+      total: 1,
+      limit: 1,
+      offset: 0,
+      scores: [{rank: 1, initials: 'ABC', score: 10, accuracy: 50}],
+    }),
+  },
+  '/static/scores': {
+    type: 'text/html',
+    body: '<!DOCTYPE html><title>Dot Game</title>',
+  },
+  '/other/scores': {
+    type: 'application/json',
+    body: JSON.stringify({ok: true}),
+  },
+};
+
+describe('LeaderboardClient', () => {
+  let server;
+  let url;
+
+  before(() => new Promise((resolve) => {
+    server = http.createServer((request, response) => {
+      const found = RESPONSES[new URL(request.url, 'http://host').pathname];
+      response.writeHead(found ? 200 : 404,
+          {'Content-Type': found ? found.type : 'text/plain'});
+      response.end(found ? found.body : 'Not found');
+    });
+    server.listen(0, () => {
+      url = `http://127.0.0.1:${server.address().port}`;
+      resolve();
+    });
+  }));
+
+  after(() => server.close());
+
+  it('goes online when the API answers', async () => {
+    const client = new LeaderboardClient(`${url}/api/scores`);
+    assert.equal(await client.connect(), true);
+    assert.ok(client.online);
+
+    const page = await client.list('normal');
+    assert.equal(page.scores[0].initials, 'ABC');
+  });
+
+  it('stays offline when a page answers instead of the API', async () => {
+    for (const path of ['/static/scores', '/other/scores', '/none']) {
+      const client = new LeaderboardClient(`${url}${path}`);
+      assert.equal(await client.connect(), false, path);
+      assert.ok(!client.online);
+    }
+  });
+
+  it('stays offline when nothing answers', async () => {
+    const client = new LeaderboardClient('http://127.0.0.1:1/api/scores');
+    assert.equal(await client.connect(), false);
+  });
+});
@@ -0,0 +1,66 @@
+import assert from 'node:assert/strict';
+import {describe, it} from 'node:test';
+
+import {LocalMatch, LocalMode} from '../src/static/local-match.js';
+import {createSimulation} from './helpers.js';
+
+/**
+ * Returns a begun match on a 400 by 400 board.
+ * @param {!LocalMode} mode
+ * @return {!LocalMatch}
+ */
+function createMatch(mode) {
+  const match = new LocalMatch(mode, () => createSimulation());
+  match.resize(400, 400);
+  match.begin();
+  return match;
+}
+
+/**
+ * Returns how many hits each player's board has counted. The first dot
+ * starts off the board, so every hit misses.
+ * @param {!LocalMatch} match
+ * @return {!Array<number>}
+ */
+function getMisses(match) {
+  return match.simulations.map((simulation) => simulation.getStats().misses);
+}
+
+describe('LocalMatch', () => {
+  describe('on a split board', () => {
+    it('gives hits to the player whose half they land in', () => {
+      const match = createMatch(LocalMode.SPLIT);
+      assert.equal(match.hitAttempt(10, 10, 'touch'), 0);
+      assert.equal(match.hitAttempt(390, 10, 'touch'), 1);
+      assert.equal(match.hitAttempt(390, 10, 'mouse'), 1);
+      assert.deepEqual(getMisses(match), [1, 2]);
+    });
+  });
+
+  describe('on a shared board', () => {
+    it('gives each device to the next player to use one', () => {
+      const match = createMatch(LocalMode.SHARED);
+      assert.equal(match.hitAttempt(390, 10, 'touch'), 0);
+      assert.equal(match.hitAttempt(10, 10, 'mouse'), 1);
+      assert.equal(match.hitAttempt(10, 10, 'touch'), 0);
+      assert.equal(match.hitAttempt(390, 10, 'mouse'), 1);
+      assert.deepEqual(getMisses(match), [2, 2]);
+    });
+
+    it('ignores devices neither player uses', () => {
+      const match = createMatch(LocalMode.SHARED);
+      match.hitAttempt(10, 10, 'touch');
+      match.hitAttempt(10, 10, 'keyboard');
+      assert.equal(match.hitAttempt(10, 10, 'pen'), -1);
+      assert.deepEqual(getMisses(match), [1, 1]);
+    });
+
+    it('lets the players pick again after a reset', () => {
+      const match = createMatch(LocalMode.SHARED);
+      match.hitAttempt(10, 10, 'touch');
+      match.reset();
+      match.begin();
+      assert.equal(match.hitAttempt(10, 10, 'pen'), 0);
+    });
+  });
+});
@@ -0,0 +1,87 @@
+import assert from 'node:assert/strict';
+import {describe, it} from 'node:test';
+
+import {
+  Motion,
+  getSpeedFactor,
+  initMotion,
+  isRising,
+  moveDot,
+} from '../src/static/motion.js';
+
+/**
+ * A simulation 400 pixels wide whose dots all move at 100 pixels a second,
+ * as far as moveDot can tell.
+ * @const {!Object}
+ */
+const SIMULATION = {
+  getDotSpeed: () => 100,
+  percentToPixel: (dot) => dot.x * 4,
+};
+
+/**
+ * Returns a dot with its motion set up.
+ * @param {!Motion} motion
+ * @param {!Object=} fields Fields to set after initMotion().
+ * @return {!Object}
+ */
+function createDot(motion, fields = {}) {
+  const dot = {x: 50, y: 100, r: 10, born: 0, motion};
+  initMotion(dot, () => 0.5);
+  return Object.assign(dot, fields);
+}
+
+describe('motion', () => {
+  it('gives every dot the same fields', () => {
+    const keys = Object.keys(Motion).map((key) =>
+      Object.keys(createDot(Motion[key])).sort());
+    keys.forEach((dotKeys) => assert.deepEqual(dotKeys, keys[0]));
+  });
+
+  it('moves falling dots straight down', () => {
+    const dot = createDot(Motion.FALL);
+    moveDot(dot, SIMULATION, 500);
+    assert.equal(dot.y, 150);
+    assert.equal(dot.x, 50);
+  });
+
+  it('moves floating dots up', () => {
+    const dot = createDot(Motion.FLOAT);
+    assert.ok(isRising(dot));
+    moveDot(dot, SIMULATION, 500);
+    assert.equal(dot.y, 50);
+  });
+
+  it('keeps drifting dots near where they spawned', () => {
+    const dot = createDot(Motion.SINE);
+    const xs = [];
+    for (let i = 0; i < 100; i++) {
+      moveDot(dot, SIMULATION, 100);
+      xs.push(dot.x);
+    }
+    assert.ok(Math.min(...xs) >= 35 && Math.max(...xs) <= 65);
+    assert.ok(Math.max(...xs) - Math.min(...xs) > 20);
+  });
+
+  it('slides angled dots down the wall they reach', () => {
+    const dot = createDot(Motion.DIAGONAL, {x: 99, slope: 1});
+    moveDot(dot, SIMULATION, 500);
+    moveDot(dot, SIMULATION, 500);
+    assert.equal(dot.x, 100);
+    assert.equal(dot.slope, 1);
+  });
+
+  it('bounces dots off the side walls', () => {
+    const dot = createDot(Motion.BOUNCE, {x: 90, slope: 1});
+    moveDot(dot, SIMULATION, 500);
+    assert.equal(dot.x, 97.5);
+    assert.equal(dot.slope, -1);
+  });
+
+  it('speeds accelerating dots up over time', () => {
+    const dot = createDot(Motion.ACCELERATE, {born: 1000});
+    assert.equal(getSpeedFactor(dot, 1000), 1);
+    assert.equal(getSpeedFactor(dot, 3000), 2);
+    assert.equal(getSpeedFactor(createDot(Motion.FALL), 3000), 1);
+  });
+});
@@ -0,0 +1,89 @@
+import assert from 'node:assert/strict';
+import {describe, it} from 'node:test';
+
+import {
+  mergeOptions,
+  parseOptions,
+  validateOption,
+} from '../src/static/options.js';
+
+/**
+ * Specs for the tests' options.
+ * @const {!Object<string, !OptionSpec>}
+ */
+const SPECS = {
+  SIZE: {type: 'number', label: 'Size', min: 1, max: 10, integer: true},
+  SPEED: {type: 'number', label: 'Speed', min: 0, max: 1},
+  SHOW: {type: 'boolean', label: 'Show'},
+  SHAPE: {type: 'string', label: 'Shape', values: ['circle', 'square']},
+};
+
+describe('options', () => {
+  describe('validateOption', () => {
+    it('accepts values that match their spec', () => {
+      validateOption('SIZE', 5, SPECS.SIZE);
+      validateOption('SPEED', 0.5, SPECS.SPEED);
+      validateOption('SHOW', false, SPECS.SHOW);
+      validateOption('SHAPE', 'square', SPECS.SHAPE);
+    });
+
+    it('rejects values of the wrong type', () => {
+      assert.throws(() => validateOption('SIZE', '5', SPECS.SIZE), TypeError);
+      assert.throws(() => validateOption('SIZE', NaN, SPECS.SIZE), TypeError);
+      assert.throws(() => validateOption('SIZE', 1.5, SPECS.SIZE),
+          /whole number/);
+      assert.throws(() => validateOption('SHOW', 1, SPECS.SHOW), TypeError);
+    });
+
+    it('rejects values out of range', () => {
+      assert.throws(() => validateOption('SIZE', 11, SPECS.SIZE), RangeError);
+      assert.throws(() => validateOption('SPEED', -0.1, SPECS.SPEED),
+          /between 0 and 1/);
+      assert.throws(() => validateOption('SHAPE', 'star', SPECS.SHAPE),
+          /one of circle, square/);
+    });
+  });
+
+  describe('mergeOptions', () => {
+    it('applies overrides over a copy of the defaults', () => {
+      const defaults = {SIZE: 1, SHOW: true};
+      const options = mergeOptions(defaults, SPECS, {SIZE: 3});
+
+      assert.deepEqual(options, {SIZE: 3, SHOW: true});
+      assert.deepEqual(defaults, {SIZE: 1, SHOW: true});
+    });
+
+    it('rejects unknown and invalid overrides', () => {
+      assert.throws(() => mergeOptions({}, SPECS, {COLOR: 'red'}),
+          /Unknown option: COLOR/);
+      assert.throws(() => mergeOptions({}, SPECS, {constructor: 1}),
+          /Unknown option/);
+      assert.throws(() => mergeOptions({}, SPECS, {SIZE: 0}), RangeError);
+    });
+  });
+
+  describe('parseOptions', () => {
+    it('converts strings to their spec types', () => {
+      assert.deepEqual(parseOptions({
+        size: '4',
+        Speed: '0.25',
+        SHOW: '1',
+        shape: 'circle',
+      }, SPECS), {SIZE: 4, SPEED: 0.25, SHOW: true, SHAPE: 'circle'});
+    });
+
+    it('reads query strings', () => {
+      const params = new URLSearchParams('size=2&show=false&other=1');
+      assert.deepEqual(parseOptions(params, SPECS), {SIZE: 2, SHOW: false});
+    });
+
+    it('skips unknown and invalid values', () => {
+      assert.deepEqual(parseOptions({
+        SIZE: '',
+        SPEED: 'fast',
+        SHAPE: 'star',
+        COLOR: 'red',
+      }, SPECS), {});
+    });
+  });
+});
@@ -0,0 +1,98 @@
+import assert from 'node:assert/strict';
+import {describe, it} from 'node:test';
+
+import {GameState, REPLAY_VERSION} from '../src/static/dot-simulation.js';
+import {
+  ReplayPlayer,
+  parseReplay,
+  validateReplay,
+} from '../src/static/replay.js';
+import {createSimulation, playRound} from './helpers.js';
+
+/**
+ * Returns a replay of a round, with changes.
+ * @param {!Object=} changes
+ * @return {!Object}
+ */
+function createReplay(changes = {}) {
+  return Object.assign({
+    version: REPLAY_VERSION,
+    seed: 'seed',
+    options: {ROUND_DURATION: 1000},
+    score: 0,
+    inputs: [[0, 'resize', 400, 400]],
+  }, changes);
+}
+
+describe('replays', () => {
+  it('play back the round they were recorded from', () => {
+    const options = {ROUND_DURATION: 5000, SCORING: 'time'};
+    const original = createSimulation(options, 'round');
+    playRound(original);
+    assert.ok(original.score > 0);
+
+    const replay = parseReplay(JSON.stringify(original.getReplay()));
+    const simulation = createSimulation(options, 'other');
+    const player = new ReplayPlayer(replay, simulation);
+    simulation.begin();
+    while (simulation.state === GameState.PLAYING) {
+      simulation.update(1000);
+    }
+
+    assert.ok(player.done);
+    assert.equal(simulation.seed, 'round');
+    assert.equal(simulation.time, original.time);
+    assert.deepEqual(simulation.getStats(), original.getStats());
+  });
+
+  it('are rejected if the simulation has other options', () => {
+    const simulation = createSimulation({ROUND_DURATION: 2000});
+    assert.throws(() => new ReplayPlayer(createReplay(), simulation),
+        /ROUND_DURATION does not match/);
+  });
+
+  describe('validateReplay', () => {
+    it('accepts a well formed replay', () => {
+      const replay = createReplay();
+      assert.equal(validateReplay(replay), replay);
+    });
+
+    it('rejects other versions', () => {
+      assert.throws(() => validateReplay(createReplay({version: 1})),
+          /Unsupported replay version/);
+    });
+
+    it('rejects replays without a seed', () => {
+      assert.throws(() => validateReplay(createReplay({seed: ''})),
+          /missing its seed/);
+    });
+
+    it('rejects invalid options', () => {
+      assert.throws(() => validateReplay(createReplay({
+        options: {ROUND_DURATION: -1},
+      })), /options are invalid/);
+    });
+
+    it('rejects malformed inputs', () => {
+      [
+        [0, 'jump'],
+        [0, 'hit', 10],
+        [0, 'hit', 10, 'far'],
+        'hit',
+      ].forEach((input) => {
+        assert.throws(() => validateReplay(createReplay({inputs: [input]})),
+            /input 0 is malformed/);
+      });
+    });
+
+    it('rejects inputs out of order', () => {
+      assert.throws(() => validateReplay(createReplay({
+        inputs: [[20, 'hit', 10, 10], [10, 'hit', 10, 10]],
+      })), /input 1 is out of order/);
+    });
+  });
+
+  it('parseReplay rejects text that is not JSON', () => {
+    assert.throws(() => parseReplay('{'), /not valid JSON/);
+  });
+});
@@ -0,0 +1,311 @@
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import {after, afterEach, before, describe, it} from 'node:test';
+import {WebSocket} from 'ws';
+
+import {GameState} from '../src/static/dot-simulation.js';
+import {RoomServer} from '../server/rooms.js';
+import {createSimulation, waitForDot} from './helpers.js';
+
+/**
+ * Options for rounds of normal dots only.
+ * @const {!Object}
+ */
+const OPTIONS = {
+  ROUND_DURATION: 30000,
+  BONUS_DOT_WEIGHT: 0,
+  BOMB_DOT_WEIGHT: 0,
+  FREEZE_DOT_WEIGHT: 0,
+  SPLIT_DOT_WEIGHT: 0,
+};
+
+/**
+ * A connection to the room server that keeps every message it is sent.
+ */
+class TestPlayer {
+  /**
+   * @constructor
+   * @param {string} url
+   */
+  constructor(url) {
+    /** @const {!WebSocket} */
+    this.socket = new WebSocket(url);
+
+    /** @private {!Array<!Object>} Messages not yet taken by next(). */
+    this.messages_ = [];
+
+    /** @private {!Array<function()>} Checks for the messages awaited. */
+    this.waiting_ = [];
+
+    this.socket.on('message', (data) => {
+      this.messages_.push(JSON.parse(data));
+      this.waiting_.forEach((check) => check());
+    });
+  }
+
+  /**
+   * Resolves once the connection is open.
+   * @return {!Promise}
+   */
+  open() {
+    return new Promise((resolve) => this.socket.once('open', resolve));
+  }
+
+  /**
+   * Resolves with the close code once the connection closes.
+   * @return {!Promise<number>}
+   */
+  closed() {
+    return new Promise((resolve) => this.socket.once('close', resolve));
+  }
+
+  /**
+   * Sends a message.
+   * @param {!Object|string} message Sent as JSON unless it is a string.
+   */
+  send(message) {
+    this.socket.send(typeof message === 'string' ?
+        message : JSON.stringify(message));
+  }
+
+  /**
+   * Resolves with the next message of a type, dropping the messages of that
+   * type before it.
+   * @param {string} type
+   * @return {!Promise<!Object>}
+   */
+  next(type) {
+    return new Promise((resolve) => {
+      const check = () => {
+        const i = this.messages_.findIndex((message) => message.type === type);
+        if (i > -1) {
+          this.waiting_.splice(this.waiting_.indexOf(check), 1);
+          resolve(this.messages_.splice(i, 1)[0]);
+        }
+      };
+      this.waiting_.push(check);
+      check();
+    });
+  }
+}
+
+/**
+ * Plays a round's board up to the moment its first dot is wholly on it.
+ * @param {{seed: string, options: !Object}} start The round's start message.
+ * @return {{simulation: !DotSimulation, x: number, y: number}} The board,
+ *     and where the first dot is.
+ */
+function playToFirstDot({seed, options}) {
+  const simulation = createSimulation(options, seed);
+  simulation.begin();
+  const dot = waitForDot(simulation, (dot) => dot.id === 0);
+  return {simulation, x: simulation.percentToPixel(dot), y: dot.y};
+}
+
+/**
+ * Plays a round to the end and returns its replay.
+ * @param {!DotSimulation} simulation
+ * @return {!Object}
+ */
+function finishRound(simulation) {
+  while (simulation.state === GameState.PLAYING) {
+    simulation.update(1000);
+  }
+  return simulation.getReplay();
+}
+
+describe('RoomServer', {timeout: 60000}, () => {
+  let server;
+  let url;
+  let players = [];
+
+  /**
+   * Connects a new player.
+   * @return {!Promise<!TestPlayer>}
+   */
+  function connect() {
+    const player = new TestPlayer(url);
+    players.push(player);
+    return player.open().then(() => player);
+  }
+
+  let rooms = 0;
+
+  /**
+   * Starts a competitive round for two players.
+   * @param {!Object=} options
+   * @return {!Promise<{host: !TestPlayer, guest: !TestPlayer,
+   *     hostId: number, guestId: number, start: !Object}>}
+   */
+  async function startRound(options = OPTIONS) {
+    const room = `room-${rooms++}`;
+    const host = await connect();
+    host.send({type: 'join', room, name: 'Host', mode: 'competitive',
+      options});
+    const hostId = (await host.next('joined')).id;
+    const guest = await connect();
+    guest.send({type: 'join', room, name: 'Guest'});
+    const guestId = (await guest.next('joined')).id;
+    host.send({type: 'start'});
+    const start = await host.next('start');
+    await guest.next('start');
+    return {host, guest, hostId, guestId, start};
+  }
+
+  before(() => new Promise((resolve) => {
+    server = http.createServer();
+    new RoomServer(server);
+    server.listen(0, () => {
+      url = `ws://127.0.0.1:${server.address().port}/ws`;
+      resolve();
+    });
+  }));
+
+  afterEach(() => {
+    players.forEach((player) => player.socket.terminate());
+    players = [];
+  });
+
+  after(() => server.close());
+
+  describe('messages', () => {
+    it('answers unknown messages with an error', async () => {
+      const player = await connect();
+      player.send({type: 'dance'});
+      assert.equal((await player.next('error')).message,
+          'Unknown message type.');
+    });
+
+    it('closes sockets that send anything but JSON objects', async () => {
+      for (const message of ['{', '[]', '1', Buffer.from('{}')]) {
+        const player = await connect();
+        const closed = player.closed();
+        player.socket.send(message);
+        assert.equal(await closed, 1007, String(message));
+      }
+    });
+
+    it('closes sockets that send oversized messages', async () => {
+      const player = await connect();
+      const closed = player.closed();
+      player.send({type: 'score', padding: 'x'.repeat(3 * 1024 * 1024)});
+      assert.equal(await closed, 1009);
+    });
+  });
+
+  describe('claims', () => {
+    it('removes claimed dots from the other boards', async () => {
+      const {host, guest, hostId} = await startRound();
+      host.send({type: 'claim', id: 0});
+      assert.deepEqual(await guest.next('remove'),
+          {type: 'remove', id: 0, by: hostId});
+    });
+
+    it('turns away claims of dots not added yet', async () => {
+      const {host} = await startRound();
+      host.send({type: 'claim', id: 1000});
+      assert.match((await host.next('error')).message, /isn't on the board/);
+    });
+
+    it('only accepts split pieces of claimed dots', async () => {
+      const {host, guest} = await startRound();
+      host.send({type: 'claim', id: -1});
+      assert.match((await host.next('error')).message, /isn't on the board/);
+
+      host.send({type: 'claim', id: 0});
+      host.send({type: 'claim', id: -1});
+      assert.equal((await guest.next('remove')).id, 0);
+      assert.equal((await guest.next('remove')).id, -1);
+    });
+
+    it('turns away claims sent too fast', async () => {
+      const {host} = await startRound();
+      for (let i = 0; i <= 40; i++) {
+        host.send({type: 'claim', id: 1000 + i});
+      }
+      for (let i = 0; i < 40; i++) {
+        assert.match((await host.next('error')).message,
+            /isn't on the board/);
+      }
+      assert.match((await host.next('error')).message,
+          /more than 40 dots a second/);
+    });
+
+    it('stand when the claimer hits the dot', async () => {
+      const {host, guest, hostId, guestId, start} = await startRound();
+      const hostBoard = playToFirstDot(start);
+      hostBoard.simulation.hitAttempt(hostBoard.x, hostBoard.y);
+      host.send({type: 'claim', id: 0});
+      host.send({type: 'finish', replay: finishRound(hostBoard.simulation)});
+
+      const guestBoard = playToFirstDot(start);
+      await guest.next('remove');
+      guestBoard.simulation.removeDot(0);
+      guestBoard.simulation.hitAttempt(guestBoard.x, guestBoard.y);
+      guest.send({type: 'finish', replay: finishRound(guestBoard.simulation)});
+
+      const {standings, winners} = await host.next('result');
+      assert.deepEqual(winners, [hostId]);
+      assert.equal(standings[1].id, guestId);
+      assert.equal(standings[1].score, 0);
+    });
+
+    it('fall when the claimer never hits the dot', async () => {
+      const {host, guest, hostId, guestId, start} = await startRound();
+      const hostBoard = playToFirstDot(start);
+      host.send({type: 'claim', id: 0});
+      host.send({type: 'finish', replay: finishRound(hostBoard.simulation)});
+
+      // The guest clicks where the dot was, which only scores once the
+      // removal is left out.
+      const guestBoard = playToFirstDot(start);
+      await guest.next('remove');
+      guestBoard.simulation.removeDot(0);
+      guestBoard.simulation.hitAttempt(guestBoard.x, guestBoard.y);
+      const replay = finishRound(guestBoard.simulation);
+      assert.equal(replay.score, 0);
+      guest.send({type: 'finish', replay});
+
+      const {standings, winners} = await host.next('result');
+      assert.deepEqual(winners, [guestId]);
+      assert.ok(standings[0].score > 0);
+      assert.deepEqual(standings[1], {id: hostId, name: 'Host', score: 0});
+    });
+  });
+
+  describe('rounds', () => {
+    it('score everyone once they have all finished', async () => {
+      const {host, guest, hostId, guestId, start} = await startRound();
+      const hostBoard = playToFirstDot(start);
+      hostBoard.simulation.hitAttempt(hostBoard.x, hostBoard.y);
+      const replay = finishRound(hostBoard.simulation);
+      host.send({type: 'finish', replay});
+      const guestBoard = playToFirstDot(start);
+      guest.send({type: 'finish', replay: finishRound(guestBoard.simulation)});
+
+      assert.deepEqual(await guest.next('result'), {
+        type: 'result',
+        standings: [
+          {id: hostId, name: 'Host', score: replay.score},
+          {id: guestId, name: 'Guest', score: 0},
+        ],
+        winners: [hostId],
+      });
+    });
+
+    it('forfeit players who haven\'t finished by the deadline', async () => {
+      const options = Object.assign({}, OPTIONS, {ROUND_DURATION: 1000});
+      const {host, guest, hostId, guestId, start} = await startRound(options);
+      const simulation = createSimulation(start.options, start.seed);
+      simulation.begin();
+      host.send({type: 'finish', replay: finishRound(simulation)});
+
+      // The round's second, then the ten second grace period.
+      assert.match((await guest.next('error')).message, /ran out of time/);
+      const {standings, winners} = await host.next('result');
+      assert.deepEqual(standings.map(({id}) => id).sort(),
+          [hostId, guestId].sort());
+      assert.equal(winners.length, 2);
+    });
+  });
+});
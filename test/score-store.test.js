@@ -0,0 +1,123 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import {after, describe, it} from 'node:test';
+
+import {ModeLimitError, ScoreStore} from '../server/score-store.js';
+
+/**
+ * Directory holding the tests' leaderboard files.
+ * @const {string}
+ */
+const DIRECTORY = fs.mkdtempSync(path.join(os.tmpdir(), 'dot-game-'));
+
+/**
+ * Number of leaderboard files created so far.
+ * @type {number}
+ */
+let files = 0;
+
+/**
+ * Returns the path of a new leaderboard file, in a directory that doesn't
+ * exist yet.
+ * @return {string}
+ */
+function createFile() {
+  return path.join(DIRECTORY, `${files++}`, 'scores.json');
+}
+
+/**
+ * Returns a score.
+ * @param {number} score
+ * @return {!Object}
+ */
+function createScore(score) {
+  return {initials: 'ABC', score, accuracy: 50, seed: 'seed'};
+}
+
+describe('ScoreStore', () => {
+  after(() => fs.rmSync(DIRECTORY, {recursive: true}));
+
+  it('ranks each mode best first', async () => {
+    const store = new ScoreStore(createFile());
+    await store.add('normal', createScore(10));
+    const {rank, score} = await store.add('normal', createScore(20));
+    await store.add('hard', createScore(5));
+
+    assert.equal(rank, 1);
+    assert.equal(score.score, 20);
+    assert.ok(!isNaN(Date.parse(score.date)));
+    assert.deepEqual(store.getModes(), ['normal', 'hard']);
+    assert.deepEqual(store.list('normal', {limit: 10, offset: 0}).scores
+        .map(({rank, score}) => [rank, score]), [[1, 20], [2, 10]]);
+  });
+
+  it('lists a page of a ranking', async () => {
+    const store = new ScoreStore(createFile());
+    for (const score of [10, 30, 20]) {
+      await store.add('normal', createScore(score));
+    }
+
+    const page = store.list('normal', {limit: 1, offset: 1});
+    assert.equal(page.total, 3);
+    assert.deepEqual(page.scores.map(({rank, score}) => [rank, score]),
+        [[2, 20]]);
+    assert.deepEqual(store.list('easy', {limit: 1, offset: 0}),
+        {total: 0, scores: []});
+  });
+
+  it('keeps maxPerMode scores in each mode', async () => {
+    const store = new ScoreStore(createFile(), {maxPerMode: 2});
+    await store.add('normal', createScore(10));
+    await store.add('normal', createScore(20));
+
+    assert.equal((await store.add('normal', createScore(5))).rank, null);
+    assert.equal((await store.add('normal', createScore(15))).rank, 2);
+    assert.equal(store.list('normal', {limit: 10, offset: 0}).total, 2);
+  });
+
+  it('keeps maxModes modes besides the presets', async () => {
+    const store = new ScoreStore(createFile(), {
+      maxModes: 1,
+      presetModes: ['normal'],
+    });
+    await store.add('normal', createScore(10));
+    await store.add('custom-1', createScore(10));
+    await store.add('custom-1', createScore(20));
+
+    await assert.rejects(store.add('custom-2', createScore(10)),
+        ModeLimitError);
+    assert.deepEqual(store.getModes(), ['normal', 'custom-1']);
+  });
+
+  it('keeps modes named after Object properties apart', async () => {
+    const store = new ScoreStore(createFile());
+    assert.equal(store.list('constructor', {limit: 1, offset: 0}).total, 0);
+    await store.add('constructor', createScore(10));
+    assert.equal(store.list('constructor', {limit: 1, offset: 0}).total, 1);
+  });
+
+  it('saves the scores and loads them again', async () => {
+    const file = createFile();
+    const store = new ScoreStore(file);
+    await store.add('normal', createScore(10));
+
+    const loaded = new ScoreStore(file);
+    await loaded.load();
+    assert.deepEqual(loaded.list('normal', {limit: 1, offset: 0}),
+        store.list('normal', {limit: 1, offset: 0}));
+  });
+
+  it('starts empty without a file', async () => {
+    const store = new ScoreStore(createFile());
+    await store.load();
+    assert.deepEqual(store.getModes(), []);
+  });
+
+  it('fails to load a file that is not JSON', async () => {
+    const file = path.join(DIRECTORY, 'broken.json');
+    fs.writeFileSync(file, '{');
+    await assert.rejects(new ScoreStore(file).load(), /not valid JSON/);
+  });
+});
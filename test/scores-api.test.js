@@ -0,0 +1,163 @@
+import assert from 'node:assert/strict';
+import express from 'express';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import {after, before, describe, it} from 'node:test';
+
+import {ScoreStore} from '../server/score-store.js';
+import {
+  ValidationError,
+  createScoresApi,
+  validateSubmission,
+} from '../server/scores-api.js';
+import {verifyReplay} from '../server/verify-replay.js';
+import {createSimulation, playRound} from './helpers.js';
+
+/**
+ * Directory holding the tests' leaderboard files.
+ * @const {string}
+ */
+const DIRECTORY = fs.mkdtempSync(path.join(os.tmpdir(), 'dot-game-'));
+
+/**
+ * Returns the replay of a round with the normal difficulty's options.
+ * @return {!Object}
+ */
+function createReplay() {
+  const simulation = createSimulation();
+  playRound(simulation);
+  return simulation.getReplay();
+}
+
+describe('validateSubmission', () => {
+  it('accepts initials and a replay', () => {
+    assert.deepEqual(validateSubmission({initials: 'AB', replay: {}, x: 1}),
+        {initials: 'AB', replay: {}});
+  });
+
+  it('rejects anything else', () => {
+    [
+      null,
+      [],
+      {replay: {}},
+      {initials: 'abc', replay: {}},
+      {initials: 'ABCD', replay: {}},
+      {initials: 'ABC'},
+    ].forEach((body) => {
+      assert.throws(() => validateSubmission(body), ValidationError);
+    });
+  });
+});
+
+describe('scores API', () => {
+  let server;
+  let url;
+  let store;
+
+  /**
+   * Sends a request to the API.
+   * @param {string} route
+   * @param {*=} body Sent as JSON if given.
+   * @return {!Promise<{status: number, headers: !Headers, body: *}>}
+   */
+  function request(route, body) {
+    const init = body === undefined ? {} : {
+      method: 'POST',
+      headers: {'Content-Type': 'application/json'},
+      body: typeof body === 'string' ? body : JSON.stringify(body),
+    };
+    return fetch(`${url}${route}`, init).then((response) => response.json()
+        .then((json) => ({
+          status: response.status,
+          headers: response.headers,
+          body: json,
+        })));
+  }
+
+  before(() => {
+    store = new ScoreStore(path.join(DIRECTORY, 'scores.json'),
+        {maxModes: 0, presetModes: ['normal']});
+    const app = express();
+    app.use('/api', createScoresApi(store));
+    return new Promise((resolve) => {
+      server = app.listen(0, () => {
+        url = `http://127.0.0.1:${server.address().port}/api`;
+        resolve();
+      });
+    });
+  });
+
+  after(() => {
+    server.close();
+    fs.rmSync(DIRECTORY, {recursive: true});
+  });
+
+  it('ranks a verified score', async () => {
+    const replay = createReplay();
+    const {status, body} = await request('/scores',
+        {initials: 'ABC', replay});
+
+    assert.equal(status, 201);
+    assert.equal(body.mode, 'normal');
+    assert.equal(body.rank, 1);
+    assert.equal(body.score.score, replay.score);
+
+    const page = await request('/scores?mode=normal&limit=5');
+    assert.equal(page.status, 200);
+    assert.deepEqual(page.body, {
+      mode: 'normal',
+      total: 1,
+      limit: 5,
+      offset: 0,
+      scores: [Object.assign({rank: 1}, body.score)],
+    });
+  });
+
+  it('responds 400 to invalid requests', async () => {
+    for (const route of [
+      '/scores?mode=Normal',
+      '/scores?limit=0',
+      '/scores?limit=101',
+      '/scores?offset=-1',
+    ]) {
+      const {status, body} = await request(route);
+      assert.equal(status, 400, route);
+      assert.equal(typeof body.error, 'string');
+    }
+    assert.equal((await request('/scores', {initials: 'A'})).status, 400);
+    assert.equal((await request('/scores', '{')).status, 400);
+  });
+
+  it('responds 422 to scores the replay does not earn', async () => {
+    const replay = createReplay();
+    replay.score++;
+    const {status, body} = await request('/scores',
+        {initials: 'ABC', replay});
+
+    assert.equal(status, 422);
+    assert.match(body.error, /Replay scores/);
+  });
+
+  it('responds 507 once there is no room for another mode', async () => {
+    const simulation = createSimulation({ROUND_DURATION: 10000, LIVES: 9});
+    playRound(simulation);
+    const {status} = await request('/scores',
+        {initials: 'ABC', replay: simulation.getReplay()});
+
+    assert.equal(status, 507);
+    assert.deepEqual(store.getModes(), ['normal']);
+  });
+
+  it('responds 503 while too many replays are waiting', async () => {
+    const replay = createReplay();
+    const waiting = Array.from({length: 18},
+        () => verifyReplay({version: 0}).catch(() => {}));
+    const {status, headers} = await request('/scores',
+        {initials: 'ABC', replay});
+    await Promise.all(waiting);
+
+    assert.equal(status, 503);
+    assert.ok(Number(headers.get('Retry-After')) > 0);
+  });
+});
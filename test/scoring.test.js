@@ -0,0 +1,73 @@
+import assert from 'node:assert/strict';
+import {describe, it} from 'node:test';
+
+import {
+  SCORING_STRATEGY_NAMES,
+  getScoringStrategy,
+  registerScoringStrategy,
+} from '../src/static/scoring.js';
+
+/**
+ * A simulation with the default dot sizes, as far as the strategies can
+ * tell.
+ * @const {!Object}
+ */
+const SIMULATION = {
+  MIN_DOT_DIAMETER: 10,
+  MAX_DOT_DIAMETER: 100,
+  time: 1000,
+  getDotSpeed: (dot) => dot.speed,
+};
+
+/**
+ * Returns the points a strategy gives a dot.
+ * @param {string} name
+ * @param {!Object} dot
+ * @return {number}
+ */
+function score(name, dot) {
+  return getScoringStrategy(name)(dot, SIMULATION);
+}
+
+describe('scoring strategies', () => {
+  it('classic gives points inversely proportional to size', () => {
+    assert.equal(score('classic', {r: 5}), 10);
+    assert.equal(score('classic', {r: 25}), 2);
+    assert.equal(score('classic', {r: 50}), 1);
+  });
+
+  it('size gives points linear in size', () => {
+    assert.equal(score('size', {r: 5}), 10);
+    assert.equal(score('size', {r: 27.5}), 6);
+    assert.equal(score('size', {r: 50}), 1);
+  });
+
+  it('speed scales size points by speed', () => {
+    assert.equal(score('speed', {r: 5, speed: 30}), 10);
+    assert.equal(score('speed', {r: 5, speed: 60}), 20);
+    assert.equal(score('speed', {r: 50, speed: 1}), 1);
+  });
+
+  it('time adds a bonus that shrinks as a dot ages', () => {
+    assert.equal(score('time', {r: 50, born: 1000}), 11);
+    assert.equal(score('time', {r: 50, born: -500}), 6);
+    assert.equal(score('time', {r: 50, born: -5000}), 1);
+  });
+
+  it('rejects unknown names', () => {
+    assert.throws(() => getScoringStrategy('unknown'),
+        /Unknown scoring strategy/);
+    assert.throws(() => getScoringStrategy('hasOwnProperty'),
+        /Unknown scoring strategy/);
+  });
+
+  it('can be added by name, once', () => {
+    const strategy = () => 7;
+    registerScoringStrategy('test', strategy);
+
+    assert.ok(SCORING_STRATEGY_NAMES.indexOf('test') > -1);
+    assert.equal(score('test', {r: 5}), 7);
+    assert.throws(() => registerScoringStrategy('test', strategy),
+        /already registered/);
+  });
+});
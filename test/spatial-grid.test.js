@@ -0,0 +1,56 @@
+import assert from 'node:assert/strict';
+import {describe, it} from 'node:test';
+
+import {SpatialGrid} from '../src/static/spatial-grid.js';
+
+describe('SpatialGrid', () => {
+  it('finds items in the cells around a point', () => {
+    const grid = new SpatialGrid(10);
+    const near = {};
+    const far = {};
+    grid.set(near, 15, 15);
+    grid.set(far, 95, 95);
+
+    assert.deepEqual(grid.query(12, 12, 5), [near]);
+    assert.equal(grid.query(50, 50, 50).length, 2);
+    assert.deepEqual(grid.query(50, 50, 5), []);
+  });
+
+  it('finds items off the top and left of the board', () => {
+    const grid = new SpatialGrid(10);
+    const item = {};
+    grid.set(item, -25, -5);
+
+    assert.deepEqual(grid.query(-20, 0, 5), [item]);
+    assert.deepEqual(grid.query(0, 0, 5), []);
+  });
+
+  it('moves items that are set again', () => {
+    const grid = new SpatialGrid(10);
+    const item = {};
+    grid.set(item, 5, 5);
+    grid.set(item, 6, 6);
+    grid.set(item, 55, 5);
+
+    assert.equal(grid.size, 1);
+    assert.deepEqual(grid.query(5, 5, 1), []);
+    assert.deepEqual(grid.query(55, 5, 1), [item]);
+  });
+
+  it('removes items', () => {
+    const grid = new SpatialGrid(10);
+    const items = [{}, {}];
+    items.forEach((item) => grid.set(item, 5, 5));
+    grid.delete(items[0]);
+    grid.delete({});
+
+    assert.deepEqual(grid.query(5, 5, 1), [items[1]]);
+    grid.clear();
+    assert.equal(grid.size, 0);
+    assert.deepEqual(grid.query(5, 5, 1), []);
+  });
+
+  it('uses cells at least a pixel wide', () => {
+    assert.equal(new SpatialGrid(0).cellSize, 1);
+  });
+});
@@ -0,0 +1,158 @@
+import assert from 'node:assert/strict';
+import {describe, it} from 'node:test';
+
+import {GameState} from '../src/static/dot-simulation.js';
+import {getHighScoreTable} from '../src/static/high-scores.js';
+import {
+  ServerBusyError,
+  VerificationError,
+  verifyReplay,
+} from '../server/verify-replay.js';
+import {createSimulation, playRound, waitForDot} from './helpers.js';
+
+/**
+ * Returns the replay of a round played to the end.
+ * @param {!Object=} options
+ * @return {!Object}
+ */
+function createReplay(options = {ROUND_DURATION: 10000}) {
+  const simulation = createSimulation(options);
+  playRound(simulation);
+  return simulation.getReplay();
+}
+
+/**
+ * Returns a replay of a multiplayer round in which another player took a
+ * dot, and the id of the dot.
+ * @return {{replay: !Object, id: number}}
+ */
+function createMultiplayerReplay() {
+  const simulation = createSimulation({
+    ROUND_DURATION: 3000,
+    REPLACE_HIT_DOTS: false,
+  });
+  simulation.begin();
+  const {id} = waitForDot(simulation);
+  simulation.removeDot(id);
+  while (simulation.state === GameState.PLAYING) {
+    simulation.update(1000);
+  }
+  return {replay: simulation.getReplay(), id};
+}
+
+describe('verifyReplay', () => {
+  it('accepts a replay that earns its score', async () => {
+    const simulation = createSimulation({ROUND_DURATION: 10000});
+    const hits = [];
+    simulation.on('score', ({dot}) => hits.push(dot.id));
+    playRound(simulation);
+    const replay = simulation.getReplay();
+    assert.ok(replay.score > 0);
+
+    assert.deepEqual(await verifyReplay(replay), {
+      mode: getHighScoreTable(replay.options),
+      score: replay.score,
+      accuracy: 100,
+      seed: 'test',
+      hits,
+    });
+  });
+
+  it('rejects a replay that claims more than it earns', async () => {
+    const replay = createReplay();
+    replay.score++;
+    await assert.rejects(verifyReplay(replay),
+        new RegExp(`scores ${replay.score - 1}, not ${replay.score}`));
+  });
+
+  it('rejects a malformed replay', async () => {
+    await assert.rejects(verifyReplay({version: 0}), VerificationError);
+  });
+
+  it('rejects rounds that never end by themselves', async () => {
+    const simulation = createSimulation({ROUND_DURATION: 0});
+    simulation.begin();
+    simulation.update(1000);
+    simulation.stop();
+    const replay = simulation.getReplay();
+
+    await assert.rejects(verifyReplay(replay),
+        /without a time limit or lives/);
+  });
+
+  it('rejects leaderboard rounds that are over too soon', async () => {
+    const replay = createReplay({ROUND_DURATION: 3000});
+    await assert.rejects(verifyReplay(replay), /shorter than 10 seconds/);
+  });
+
+  it('rejects clicks off the board', async () => {
+    const replay = createReplay();
+    replay.inputs.push([10, 'hit', 401, 10]);
+    replay.inputs.sort((a, b) => a[0] - b[0]);
+    await assert.rejects(verifyReplay(replay), /clicks off the board/);
+  });
+
+  it('rejects clicks faster than a person can make', async () => {
+    const replay = createReplay();
+    for (let time = 0; time < 1000; time += 40) {
+      replay.inputs.push([time, 'hit', 10, 10]);
+    }
+    replay.inputs.sort((a, b) => a[0] - b[0]);
+    await assert.rejects(verifyReplay(replay), /clicks faster than/);
+  });
+
+  it('rejects removed dots outside a multiplayer round', async () => {
+    const {replay} = createMultiplayerReplay();
+    await assert.rejects(verifyReplay(replay), /can't be ranked/);
+  });
+
+  it('turns replays away while too many are waiting', async () => {
+    // Two replays are played back at once, and sixteen more can wait.
+    const waiting = Array.from({length: 18},
+        () => verifyReplay({version: 0}).catch((error) => error));
+    await assert.rejects(verifyReplay({version: 0}), ServerBusyError);
+
+    const errors = await Promise.all(waiting);
+    assert.ok(errors.every((error) => error instanceof VerificationError));
+    await assert.rejects(verifyReplay({version: 0}), VerificationError);
+  });
+
+  describe('with a multiplayer round', () => {
+    it('accepts dots other players took', async () => {
+      const {replay, id} = createMultiplayerReplay();
+      const round = {seed: 'test', options: replay.options, removable: [id],
+        dropped: []};
+
+      const {score} = await verifyReplay(replay, round);
+      assert.equal(score, replay.score);
+    });
+
+    it('rejects dots no other player took', async () => {
+      const {replay} = createMultiplayerReplay();
+      const round = {seed: 'test', options: replay.options, removable: [],
+        dropped: []};
+
+      await assert.rejects(verifyReplay(replay, round),
+          /removes a dot no other player took/);
+    });
+
+    it('leaves out removals of dots claimed without a hit', async () => {
+      const {replay, id} = createMultiplayerReplay();
+      replay.score = 1;
+      const round = {seed: 'test', options: replay.options, removable: [],
+        dropped: [id]};
+
+      const {score} = await verifyReplay(replay, round);
+      assert.equal(score, 0);
+    });
+
+    it('rejects replays of another round', async () => {
+      const {replay, id} = createMultiplayerReplay();
+      const round = {seed: 'other', options: replay.options, removable: [id],
+        dropped: []};
+
+      await assert.rejects(verifyReplay(replay, round),
+          /of a different round/);
+    });
+  });
+});